@@ -0,0 +1,84 @@
+import { build } from 'vite';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+// --- Vite Plugin: Sandbox Runtime ---
+// Bundles src/runtime into one classic script (React, ReactDOM, lucide-react,
+// Sucrase, html-to-image and the Tailwind browser JIT) that the viewer iframe loads
+// from the hub.
+// App code imports its URL from `virtual:hub-runtime`.
+
+const VIRTUAL_ID = 'virtual:hub-runtime';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+const ENTRY = fileURLToPath(new URL('../src/runtime/index.js', import.meta.url));
+const DEV_PATH = '/@hub-runtime/hub-runtime.js';
+
+const bundleRuntime = async () => {
+  const result = await build({
+    configFile: false,
+    publicDir: false,
+    logLevel: 'warn',
+    define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+    build: {
+      write: false,
+      minify: true,
+      lib: { entry: ENTRY, formats: ['iife'], name: 'HubRuntime', fileName: () => 'hub-runtime.js' },
+    },
+  });
+  const [output] = [].concat(result);
+  return output.output[0].code;
+};
+
+export default function hubRuntime() {
+  let base = '/';
+  let isBuild = false;
+  let code = null;
+  let fileName = null;
+
+  return {
+    name: 'hub-runtime',
+
+    configResolved(config) {
+      base = config.base;
+      isBuild = config.command === 'build';
+    },
+
+    // The content hash in the file name lets browsers cache the runtime across launches.
+    async buildStart() {
+      if (!isBuild) return;
+      code = await bundleRuntime();
+      const hash = createHash('sha256').update(code).digest('hex').slice(0, 8);
+      fileName = `runtime/hub-runtime-${hash}.js`;
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      const url = isBuild ? base + fileName : DEV_PATH;
+      return `export const runtimeUrl = ${JSON.stringify(url)};`;
+    },
+
+    generateBundle() {
+      if (code) this.emitFile({ type: 'asset', fileName, source: code });
+    },
+
+    // In dev the runtime is bundled once on first request and kept in memory.
+    configureServer(server) {
+      let pending = null;
+      server.middlewares.use(DEV_PATH, async (req, res, next) => {
+        try {
+          pending = pending || bundleRuntime();
+          const source = await pending;
+          res.setHeader('Content-Type', 'text/javascript');
+          res.end(source);
+        } catch (err) {
+          pending = null;
+          next(err);
+        }
+      });
+    },
+  };
+}
@@ -1,323 +1,244 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
+import React, { useState, useEffect } from 'react';
 import { 
-  getAuth, 
   onAuthStateChanged,
   signOut,
   GoogleAuthProvider, 
   signInWithPopup 
 } from 'firebase/auth';
 import { 
-  getFirestore, 
-  collection, 
-  addDoc, 
-  updateDoc, 
-  deleteDoc, 
   writeBatch, 
   doc, 
   onSnapshot, 
-  serverTimestamp 
+  getDoc,
+  setDoc,
+  getDocs,
+  updateDoc,
+  runTransaction,
+  query,
+  where,
+  serverTimestamp,
+  increment
 } from 'firebase/firestore';
 import { 
-  Plus, Code, ExternalLink, Box, Layout,
-  ArrowLeft, Lock, User, LogOut, Globe, Search, Loader2,
-  Pencil, Trash2, GripVertical, Check 
+  Plus, Box, Layout, ArrowLeft, ArrowRight, User, LogOut, Search, Loader2,
+  Users, X, FolderOpen, FolderPlus, Settings, Trash2, Star
 } from 'lucide-react';
-
-// --- Firebase Setup ---
-const env = import.meta.env; 
-const firebaseConfig = {
-  apiKey: env.VITE_API_KEY,
-  authDomain: env.VITE_AUTH_DOMAIN,
-  projectId: env.VITE_PROJECT_ID,
-  storageBucket: env.VITE_STORAGE_BUCKET,
-  messagingSenderId: env.VITE_MESSAGING_SENDER_ID,
-  appId: env.VITE_APP_ID
-};
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-const appId = 'gemini-project-hub';
-
-// --- Configuration ---
-const COLORS = {
-  indigo: { name: 'Indigo', bg: 'bg-indigo-50', text: 'text-indigo-600', border: 'border-indigo-200', hover: 'hover:border-indigo-300', shadow: 'hover:shadow-indigo-200/50', ring: 'ring-indigo-500' },
-  emerald: { name: 'Emerald', bg: 'bg-emerald-50', text: 'text-emerald-600', border: 'border-emerald-200', hover: 'hover:border-emerald-300', shadow: 'hover:shadow-emerald-200/50', ring: 'ring-emerald-500' },
-  amber:   { name: 'Amber',   bg: 'bg-amber-50',   text: 'text-amber-600',   border: 'border-amber-200',   hover: 'hover:border-amber-300',   shadow: 'hover:shadow-amber-200/50',   ring: 'ring-amber-500' },
-  rose:    { name: 'Rose',    bg: 'bg-rose-50',    text: 'text-rose-600',    border: 'border-rose-200',    hover: 'hover:border-rose-300',    shadow: 'hover:shadow-rose-200/50',    ring: 'ring-rose-500' },
-  cyan:    { name: 'Cyan',    bg: 'bg-cyan-50',    text: 'text-cyan-600',    border: 'border-cyan-200',    hover: 'hover:border-cyan-300',    shadow: 'hover:shadow-cyan-200/50',    ring: 'ring-cyan-500' },
-  purple:  { name: 'Purple',  bg: 'bg-purple-50',  text: 'text-purple-600',  border: 'border-purple-200',  hover: 'hover:border-purple-300',  shadow: 'hover:shadow-purple-200/50',  ring: 'ring-purple-500' },
-};
+import { auth, db, projectsCol, projectRef, memberRef, collectionsCol, collectionRef } from './firebase';
+import { COLORS, CATEGORIES } from './constants';
+import ProjectViewer from './components/ProjectViewer';
+import HistoryPanel from './components/HistoryPanel';
+import UploadForm from './components/UploadForm';
+import AdminPanel from './components/AdminPanel';
+import AccessRequired from './components/AccessRequired';
+import ProjectNotFound from './components/ProjectNotFound';
+import ProjectCard from './components/ProjectCard';
+import CollectionDialog from './components/CollectionDialog';
+import TrashView from './components/TrashView';
+import { getProjectFiles } from './lib/projectFiles';
+import {
+  SORT_MODES, EMPTY_FILTERS, categoryOf, tagCounts, parseListHash, formatListHash, hasActiveFilters, applyFilters
+} from './lib/search';
+import { acceptInvite } from './lib/membership';
+import {
+  projectSnapshot, restoredSnapshot, projectVersion, writeContent, recordRevision, recordBaseline, INLINE_CONTENT_REMOVED,
+  SaveConflictError
+} from './lib/projectWrites';
+import { storeLargeFiles } from './lib/projectStorage';
+import { loadProjectContent } from './lib/projectContent';
+import { useProjectContent } from './lib/useProjectContent';
+import { useProjectList } from './lib/useProjectList';
+import { useRemixes } from './lib/useRemixes';
+import { fetchLastRank } from './lib/projectQueries';
+import { upgradeHub } from './lib/hubUpgrade';
+import { isTrashed, moveToTrash, restoreFromTrash, purgeExpiredTrash, loadTrashSettings } from './lib/trash';
+import { recordActivity } from './lib/activity';
+import { refreshThumbnail } from './lib/thumbnails';
+import { recordView } from './lib/views';
+import { setStarred } from './lib/stars';
+import { useStars } from './lib/useStars';
+import { pruneMarkers } from './lib/markers';
+import { isEmbedHash } from './lib/embed';
+import { compareOrder, rankBetween, planMove, writeOrder } from './lib/ordering';
+import {
+  ROLE_LABELS, canCreateProjects, canManageTeam, canReorderProjects, canManageCollections, canEditProject, canManageProject
+} from './lib/access';
+import LoadMore from './components/LoadMore';
 
 // --- Utility ---
 const cleanCode = (input) => input.replace(/^```[a-z]*\n/i, '').replace(/```$/, '').trim();
 
-// --- Component: Project Viewer (Smart Renderer) ---
-const ProjectViewer = ({ project, onExit }) => {
-  
-  // Helper to strip conflicting imports
-  const cleanUserCode = (rawCode) => {
-    if (!rawCode) return '';
-    let cleaned = rawCode.replace(/import\s+[\s\S]*?from\s+['"]react['"];?/gi, '// React import removed by system');
-    cleaned = cleaned.replace(/import\s+[\s\S]*?from\s+['"]react-dom\/client['"];?/gi, '');
-    cleaned = cleaned.replace(/import\s+[\s\S]*?from\s+['"]react-dom['"];?/gi, '');
-    return cleaned;
-  };
-
-  const htmlContent = useMemo(() => {
-    if (!project) return '';
-    
-    // 1. DETECT HTML PROJECTS
-    // If code starts with "<", assume it is raw HTML/JS and render directly.
-    if (project.code.trim().startsWith('<')) {
-      return project.code;
-    }
-
-    // 2. RENDER REACT PROJECTS
-    const safeUserCode = cleanUserCode(project.code);
-
-    return `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="UTF-8" />
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <script src="https://cdn.tailwindcss.com"></script>
-          <script type="importmap">
-            {
-              "imports": {
-                "react": "https://esm.sh/react@18.2.0",
-                "react-dom/client": "https://esm.sh/react-dom@18.2.0/client",
-                "lucide-react": "https://esm.sh/lucide-react@0.263.1"
-              }
-            }
-          </script>
-          <script src="https://unpkg.com/@babel/standalone/babel.min.js"></script>
-          <style>
-            body { background-color: white; height: 100vh; margin: 0; }
-            #root { height: 100%; }
-          </style>
-        </head>
-        <body>
-          <div id="root"></div>
-
-          <script type="text/babel" data-type="module">
-            import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
-            import { createRoot } from 'react-dom/client';
-
-            window.onerror = function(message, source, lineno, colno, error) {
-              document.body.innerHTML = '<div style="color:#ef4444; padding:20px; font-family: sans-serif;">' + 
-                '<h2 style="font-weight:bold; margin-bottom:10px;">Runtime Error</h2>' + 
-                '<pre style="white-space: pre-wrap;">' + message + '</pre>' + 
-                '</div>';
-            };
-
-            // --- INJECT USER CODE (Top Level) ---
-            ${safeUserCode}
-
-            // --- MOUNT LOGIC ---
-            const root = createRoot(document.getElementById('root'));
-            
-            try {
-              let ComponentToRender = null;
-              
-              if (typeof App !== 'undefined') ComponentToRender = App;
-              else if (typeof MainHub !== 'undefined') ComponentToRender = MainHub;
-              else if (typeof ProjectHub !== 'undefined') ComponentToRender = ProjectHub;
-              else if (typeof Game !== 'undefined') ComponentToRender = Game;
-              else if (typeof Dashboard !== 'undefined') ComponentToRender = Dashboard;
-              
-              if (ComponentToRender) {
-                root.render(<ComponentToRender />);
-              } else {
-                throw new Error("Could not find main component. Please name it 'App', 'MainHub', or 'Game'.");
-              }
-            } catch (e) {
-              console.error(e);
-              document.body.innerHTML = '<div style="color:orange; padding:20px; font-family: sans-serif;">' + 
-                '<h3>Mounting Error</h3>' + 
-                '<p>' + e.message + '</p>' + 
-                '</div>';
-            }
-          </script>
-        </body>
-      </html>
-    `;
-  }, [project]);
-
-  if (!project) return <div className="flex items-center justify-center h-screen text-slate-500">Loading Project...</div>;
-
-  return (
-    <div className="fixed inset-0 z-50 bg-slate-100 flex flex-col">
-      <div className="h-14 bg-white border-b border-slate-200 flex items-center px-4 justify-between shadow-sm shrink-0">
-        <div className="flex items-center gap-4">
-          <button onClick={onExit} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800">
-            <ArrowLeft className="w-5 h-5" />
-          </button>
-          <div>
-            <h1 className="text-sm font-bold text-slate-800">{project.title}</h1>
-            <span className="text-xs text-slate-500 flex items-center gap-1"><Globe className="w-3 h-3" /> Hosted on Gemini Hub</span>
-          </div>
-        </div>
-      </div>
-      <div className="flex-1 bg-slate-200 p-4 overflow-hidden">
-        <div className="w-full h-full bg-white rounded-lg shadow-lg overflow-hidden border border-slate-300 relative">
-          <iframe 
-            title="Project View" 
-            srcDoc={htmlContent}
-            className="w-full h-full border-0" 
-            sandbox="allow-scripts allow-modals allow-forms allow-popups" 
-          />
-        </div>
-      </div>
-    </div>
-  );
-};
-
-// --- Component: Upload/Edit Form ---
-const UploadForm = ({ initialData, onCancel, onSubmit }) => {
-  const [title, setTitle] = useState(initialData?.title || '');
-  const [desc, setDesc] = useState(initialData?.description || '');
-  const [code, setCode] = useState(initialData?.code || '');
-  const [color, setColor] = useState(initialData?.color || 'indigo');
-  const [loading, setLoading] = useState(false);
-
-  useEffect(() => {
-    if (initialData) {
-      setTitle(initialData.title || '');
-      setDesc(initialData.description || '');
-      setCode(initialData.code || '');
-      setColor(initialData.color || 'indigo');
-    } else {
-      setTitle('');
-      setDesc('');
-      setCode('');
-      setColor('indigo');
-    }
-  }, [initialData]);
+const navigate = (path) => window.location.hash = path;
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    await onSubmit(title, desc, code, color);
-  };
-
-  return (
-    <div className="max-w-2xl mx-auto py-12 px-4">
-      <button onClick={onCancel} className="text-slate-500 hover:text-slate-800 flex items-center gap-2 mb-8">
-        <ArrowLeft className="w-4 h-4" /> Back to Hub
-      </button>
-      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
-        <div className="px-8 py-6 border-b border-slate-100 bg-slate-50/50">
-          <h2 className="text-xl font-bold text-slate-800">
-            {initialData ? 'Edit Project' : 'New Project'}
-          </h2>
-        </div>
-        <form onSubmit={handleSubmit} className="p-8 space-y-6">
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-2">Project Name</label>
-            <input type="text" required value={title} onChange={e => setTitle(e.target.value)} className="w-full border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none" />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-2">Description</label>
-            <textarea required value={desc} onChange={e => setDesc(e.target.value)} className="w-full border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none h-24 resize-none" />
-          </div>
-          
-          {/* Color Picker */}
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-2">Accent Color</label>
-            <div className="flex gap-3">
-              {Object.entries(COLORS).map(([key, val]) => (
-                <button
-                  key={key}
-                  type="button"
-                  onClick={() => setColor(key)}
-                  className={`w-8 h-8 rounded-full flex items-center justify-center transition-all ${val.bg} ${color === key ? `ring-2 ring-offset-2 ${val.ring}` : 'hover:scale-110'}`}
-                  title={val.name}
-                >
-                  {color === key && <Check className={`w-4 h-4 ${val.text}`} />}
-                </button>
-              ))}
-            </div>
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-slate-700 mb-2">Source Code</label>
-            <textarea required value={code} onChange={e => setCode(e.target.value)} className="w-full bg-slate-900 text-slate-300 font-mono text-xs rounded-lg p-4 border border-slate-800 h-64" spellCheck="false" />
-          </div>
-          <div className="pt-4 flex justify-end gap-4">
-            <button type="button" onClick={onCancel} className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
-            <button type="submit" disabled={loading} className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg shadow-sm">
-              {loading ? 'Saving...' : (initialData ? 'Update Project' : 'Deploy Project')}
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-};
+// Number of cards a collection shows on the home page before "Show all".
+const SECTION_PREVIEW = 6;
 
 // --- Main App ---
 export default function ProjectHub() {
   const [user, setUser] = useState(null);
-  const [projects, setProjects] = useState([]);
   const [view, setView] = useState('list'); 
   const [activeProjectId, setActiveProjectId] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isCreator, setIsCreator] = useState(false); 
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [membership, setMembership] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
   const [editingProject, setEditingProject] = useState(null);
-
-  // Drag and Drop State
-  const [draggedItem, setDraggedItem] = useState(null);
+  // A new project's starting point when remixing (see handleRemix).
+  const [remixTemplate, setRemixTemplate] = useState(null);
+  const [editorFocus, setEditorFocus] = useState(null);
+  const [historyProjectId, setHistoryProjectId] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [collectionsLoaded, setCollectionsLoaded] = useState(false);
+  const [activeCollectionId, setActiveCollectionId] = useState(null);
+  // null when closed, { collection } to edit one, { collection: null } to create one.
+  const [collectionDialog, setCollectionDialog] = useState(null);
+
+  // Drag and Drop State: { id, origin (collection it started in), moved }
+  const [drag, setDrag] = useState(null);
+
+  // A project opened by link that the list does not include (unlisted, or private and shared).
+  const [linkedProject, setLinkedProject] = useState({ id: null, project: null, missing: false });
+
+  // Ignore a membership left over from a previous account until the new one loads.
+  const role = membership && user && membership.uid === user.uid ? membership.role : null;
+  const uid = user?.uid;
 
   // 1. Authentication 
   useEffect(() => {
     const unsub = onAuthStateChanged(auth, (u) => {
       setUser(u);
-      setIsCreator(!!u);
-      setAuthLoading(false);
+      if (!u) {
+        setMembership(null);
+        setAuthLoading(false);
+      }
     });
     return () => unsub();
   }, []);
 
-  // 2. Data Sync (Sort by orderIndex)
+  // 1b. Membership (role), accepting a pending invite on first sign-in
+  useEffect(() => {
+    if (!user) return;
+    const unsub = onSnapshot(memberRef(user.uid), async (snap) => {
+      if (snap.exists()) {
+        setMembership({ uid: user.uid, ...snap.data() });
+        setAuthLoading(false);
+        return;
+      }
+      try {
+        // On success the snapshot fires again with the new membership.
+        if (await acceptInvite(user)) return;
+      } catch (error) {
+        console.log("Invite Error:", error.message);
+      }
+      setMembership(null);
+      setAuthLoading(false);
+    }, (error) => {
+      console.log("Membership Error:", error.message);
+      setAuthLoading(false);
+    });
+    return () => unsub();
+  }, [user]);
+
+  // 2. Data Sync: project documents only (code loads when a project opens), a page at a time.
+  // A collection page lists that collection in manual order; the home page follows the sort menu.
+  const projectList = useProjectList(role, uid, view === 'collection'
+    ? { sort: 'manual', collectionId: activeCollectionId }
+    : { sort: filters.sort });
+  const { projects, setProjects } = projectList;
+
+  // Projects saved by older versions of the hub lack fields the list queries need; an owner
+  // sees everything, so their session upgrades them once (see lib/hubUpgrade). It also purges
+  // projects that have been in the trash past the retention period (see lib/trash).
+  useEffect(() => {
+    if (role !== 'owner') return;
+    upgradeHub(user)
+      .then(() => purgeExpiredTrash(user))
+      .catch(error => console.log("Upgrade Error:", error.message));
+  }, [role, user]);
+
+  // 2a. Collections (home page sections), alphabetical
   useEffect(() => {
-    const q = collection(db, 'artifacts', appId, 'public', 'data', 'hub_projects');
-    const unsub = onSnapshot(q, (snap) => {
+    const unsub = onSnapshot(collectionsCol(), (snap) => {
       const data = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-      
-      // Sort by orderIndex (ascending), fallback to createdAt
-      data.sort((a, b) => {
-        if (a.orderIndex !== undefined && b.orderIndex !== undefined) {
-          return a.orderIndex - b.orderIndex;
-        }
-        return (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0);
-      });
-      
-      setProjects(data);
+      data.sort((a, b) => a.name.localeCompare(b.name));
+      setCollections(data);
+      setCollectionsLoaded(true);
     }, (error) => {
-       console.log("DB Error:", error.message);
+      console.log("Collections Error:", error.message);
+      setCollectionsLoaded(true);
     });
     return () => unsub();
   }, []);
 
+  // 2b. Direct link: fetch the opened project on its own, so unlisted and shared
+  // projects open without being in the list, and a missing/private one can say so.
+  useEffect(() => {
+    if (!activeProjectId) return;
+    const unsub = onSnapshot(projectRef(activeProjectId), (snap) => {
+      setLinkedProject({ id: activeProjectId, project: snap.exists() ? { id: snap.id, ...snap.data() } : null, missing: !snap.exists() });
+    }, () => {
+      // Permission denied: private, and this visitor isn't allowed to see it.
+      setLinkedProject({ id: activeProjectId, project: null, missing: true });
+    });
+    return () => unsub();
+  }, [activeProjectId, uid, role]);
+
+  // 2c. Views: count each project once per signed-in user for the "Most viewed" sort, once it
+  // is known who is looking.
+  useEffect(() => {
+    if (view === 'view' && activeProjectId && !authLoading) recordView(activeProjectId, uid);
+  }, [view, activeProjectId, uid, authLoading]);
+
+  // 2d. Stars: the projects this user has starred, for the star toggles and "My starred".
+  const starredIds = useStars(uid);
+
+  // 2e. Stars and view markers left behind by purged projects (see lib/markers).
+  useEffect(() => {
+    if (uid) pruneMarkers(uid).catch(error => console.log("Markers Error:", error.message));
+  }, [uid]);
+
   // 3. Routing
   useEffect(() => {
     const handleHash = () => {
       const h = window.location.hash;
+      // Embeds are a page of their own (see main.jsx).
+      if (isEmbedHash(h)) {
+        window.location.reload();
+        return;
+      }
       if (h.startsWith('#/project/')) {
         setActiveProjectId(h.replace('#/project/', ''));
+        setActiveCollectionId(null);
         setView('view');
         setEditingProject(null);
+        setRemixTemplate(null);
+      } else if (h.startsWith('#/collection/')) {
+        setActiveCollectionId(h.replace('#/collection/', ''));
+        setView('collection');
+        setActiveProjectId(null);
+        setEditingProject(null);
+        setRemixTemplate(null);
       } else if (h === '#/upload') {
+        // Keeps activeCollectionId, so "New Project" on a collection page files the project there.
         setView('upload');
         setActiveProjectId(null);
+      } else if (h === '#/trash') {
+        setView('trash');
+        setActiveProjectId(null);
+        setActiveCollectionId(null);
+        setEditingProject(null);
+        setRemixTemplate(null);
+      } else if (h === '#/admin') {
+        setView('admin');
+        setActiveProjectId(null);
+        setActiveCollectionId(null);
+        setEditingProject(null);
+        setRemixTemplate(null);
       } else {
         setView('list');
         setActiveProjectId(null);
+        setActiveCollectionId(null);
         setEditingProject(null);
+        setRemixTemplate(null);
+        setFilters(parseListHash(h));
       }
     };
     handleHash();
@@ -325,83 +246,332 @@ export default function ProjectHub() {
     return () => window.removeEventListener('hashchange', handleHash);
   }, []); 
 
-  const navigate = (path) => window.location.hash = path;
+  // Filters live in the list URL so a filtered view can be bookmarked and shared; replacing
+  // the entry keeps typing in the search box out of the browser history.
+  const updateFilters = (patch) => {
+    const next = { ...filters, ...patch };
+    if (view !== 'list') {
+      // Searching from a collection page searches the whole hub.
+      navigate(formatListHash(next));
+      return;
+    }
+    setFilters(next);
+    window.history.replaceState(null, '', formatListHash(next));
+  };
+
+  // The collection a project is shown in; one pointing at a deleted collection counts as none.
+  const sectionOf = (project) => (collections.some(c => c.id === project.collectionId) ? project.collectionId : null);
+
+  // A rank after the last project of a collection (or of the projects in none), which the list
+  // may not have loaded yet.
+  const rankAtEnd = async (collectionId) => rankBetween(await fetchLastRank(role, uid, collectionId), null);
+
+  const toggleTagFilter = (tag, e) => {
+    e?.stopPropagation();
+    updateFilters({ tags: filters.tags.includes(tag) ? filters.tags.filter(t => t !== tag) : [...filters.tags, tag] });
+  };
 
   // --- ACTIONS ---
 
-  const handleSave = async (title, desc, code, color) => {
+  // `baseVersion` is the version the form started from; unless `force` is set, the save is
+  // refused with a SaveConflictError when the project has been saved since. New projects come
+  // with the `id` their assets were uploaded under.
+  const handleSave = async ({ id, title, description, color, category, tags, type, files, entry, dependencies, mount, assets, forkedFrom, collectionId, access }, { baseVersion, force } = {}) => {
+    const ref = editingProject ? projectRef(editingProject.id) : doc(projectsCol(), id);
+    const sources = files.map(f => ({ path: f.path, content: cleanCode(f.content) }));
+    // Returns the saved project, unless it is gone, trashed or (without `force`) saved since.
+    const checkCurrent = (snap) => {
+      if (!snap.exists()) throw new Error('This project was deleted while you were editing it.');
+      const current = { id: snap.id, ...snap.data() };
+      if (isTrashed(current)) throw new Error('This project was moved to the trash while you were editing it.');
+      if (!force && projectVersion(current) !== baseVersion) throw new SaveConflictError(current);
+      return current;
+    };
+    // Checked before uploading too: nothing may delete what is in Storage, so a refused save
+    // shouldn't leave files there. The transaction checks again.
+    if (editingProject) checkCurrent(await getDoc(ref));
+    // Large sources go to Storage first, so the document only holds references to them.
+    const stored = await storeLargeFiles(ref.id, sources);
+    const snapshot = projectSnapshot({
+      title,
+      description,
+      color,
+      category,
+      tags,
+      type,
+      files: stored,
+      entry,
+      dependencies,
+      mount,
+      assets
+    });
+    const moving = collectionId !== undefined && (!editingProject || (collectionId || null) !== sectionOf(editingProject));
+    const rank = moving ? await rankAtEnd(collectionId || null) : null;
+    // The version this save creates, and the thumbnail it may make outdated.
+    let version = 1;
+    let thumbnail = null;
     if (editingProject) {
-      // UPDATE
-      const projectRef = doc(db, 'artifacts', appId, 'public', 'data', 'hub_projects', editingProject.id);
-      await updateDoc(projectRef, {
-        title,
-        description: desc,
-        code: cleanCode(code),
-        color,
-        updatedAt: serverTimestamp()
+      // UPDATE (in a transaction, so the version check and the write see the same copy)
+      await runTransaction(db, async (transaction) => {
+        const current = checkCurrent(await transaction.get(ref));
+        const baselines = recordBaseline(transaction, current);
+        version = projectVersion(current) + 1 + baselines;
+        thumbnail = current.thumbnail || null;
+        transaction.update(ref, {
+          ...writeContent(transaction, ref.id, snapshot, sources),
+          // Sharing settings stay out of revisions; only people who may change them send them.
+          ...access,
+          ...(rank ? { collectionId, rank } : {}),
+          ...INLINE_CONTENT_REMOVED,
+          revisionCount: increment(1 + baselines),
+          updatedAt: serverTimestamp()
+        });
+        recordRevision(transaction, ref.id, snapshot, user);
+        recordActivity(transaction, { id: ref.id, title }, 'update', user, {
+          detail: force && projectVersion(current) !== baseVersion ? 'Saved over changes made by someone else' : null
+        });
       });
     } else {
-      // CREATE (Put at end of list)
-      const newOrderIndex = projects.length; 
-      await addDoc(collection(db, 'artifacts', appId, 'public', 'data', 'hub_projects'), {
-        title, 
-        description: desc, 
-        code: cleanCode(code), 
-        color,
-        orderIndex: newOrderIndex,
-        authorId: user.uid, 
-        createdAt: serverTimestamp()
+      // CREATE (Put at end of its collection)
+      const batch = writeBatch(db);
+      batch.set(ref, {
+        ...writeContent(batch, ref.id, snapshot, sources),
+        collectionId: collectionId || null,
+        rank: rank || await rankAtEnd(null),
+        authorId: user.uid,
+        editors: access?.editors || [],
+        visibility: access?.visibility || 'public',
+        revisionCount: 1,
+        viewCount: 0,
+        starCount: 0,
+        commentCount: 0,
+        deletedAt: null,
+        ...(forkedFrom ? { forkedFrom } : {}),
+        createdAt: serverTimestamp(),
+        // Set from the start, so the "Recently updated" order includes new projects.
+        updatedAt: serverTimestamp()
+      });
+      recordRevision(batch, ref.id, snapshot, user);
+      recordActivity(batch, { id: ref.id, title }, 'create', user, {
+        detail: forkedFrom ? `Remixed from "${forkedFrom.title}"` : null
       });
+      await batch.commit();
     }
+    // Captured in the background; the card keeps its icon (or old image) until it's done.
+    refreshThumbnail({ id: ref.id, ...snapshot, files: sources, revisionCount: version, thumbnail })
+      .catch(error => console.log("Thumbnail Error:", error.message));
     setEditingProject(null);
     navigate('#/');
   };
 
-  const handleEdit = (project, e) => {
+  const handleRestore = async (project, revision) => {
+    const snapshot = restoredSnapshot(await loadProjectContent(project), revision);
+    const { files } = getProjectFiles(await loadProjectContent(revision));
+    const batch = writeBatch(db);
+    batch.update(projectRef(project.id), {
+      ...writeContent(batch, project.id, snapshot, files),
+      ...INLINE_CONTENT_REMOVED,
+      revisionCount: increment(1),
+      updatedAt: serverTimestamp()
+    });
+    recordRevision(batch, project.id, snapshot, user, { restoredFrom: revision.id });
+    recordActivity(batch, { id: project.id, title: snapshot.title }, 'update', user, { detail: 'Restored an earlier revision' });
+    await batch.commit();
+  };
+
+  const handleToggleStar = (project, e) => {
+    e?.stopPropagation();
+    setStarred(project.id, uid, !starredIds.has(project.id))
+      .catch(error => console.log("Star Error:", error.message));
+  };
+
+  const handleShowHistory = (projectId, e) => {
+    e?.stopPropagation();
+    setHistoryProjectId(projectId);
+  };
+
+  const handleEdit = async (project, e) => {
     e.stopPropagation();
-    setEditingProject(project);
+    try {
+      setEditingProject(await loadProjectContent(project));
+    } catch (error) {
+      window.alert(error.message);
+      return;
+    }
+    setEditorFocus(null);
     navigate('#/upload');
   };
 
-  const handleDelete = async (projectId, e) => {
+  // Opens the form as a new project of the current user's, filled in from `project` and crediting
+  // it through `forkedFrom` (the version is kept too, for seeing what changed since).
+  const handleRemix = async (project, e) => {
+    e?.stopPropagation();
+    let source;
+    try {
+      source = await loadProjectContent(project);
+    } catch (error) {
+      window.alert(error.message);
+      return;
+    }
+    startProject({
+      ...projectSnapshot({ ...source, ...getProjectFiles(source) }),
+      title: `${project.title} (remix)`,
+      forkedFrom: { id: project.id, title: project.title, version: projectVersion(project) },
+    });
+  };
+
+  const startProject = (template = null) => {
+    setEditingProject(null);
+    setRemixTemplate(template);
+    navigate('#/upload');
+  };
+
+  // Jump from a console entry in the viewer to the offending line in the editor.
+  const handleOpenSource = (path, line) => {
+    setEditingProject(viewedProject);
+    setEditorFocus({ path, line });
+    navigate('#/upload');
+  };
+
+  // Deleting moves the project to the trash, where it can be restored until it is purged.
+  const handleDelete = async (project, e) => {
     e.stopPropagation();
-    if (window.confirm("Are you sure?")) {
-      await deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', 'hub_projects', projectId));
+    const { retentionDays } = await loadTrashSettings();
+    const kept = retentionDays ? `for ${retentionDays} day${retentionDays === 1 ? '' : 's'}` : 'until it is deleted from there';
+    if (!window.confirm(`Move "${project.title}" to the trash? It can be restored from the Trash ${kept}.`)) return;
+    try {
+      await moveToTrash(project, user);
+    } catch (error) {
+      window.alert(error.message);
     }
   };
 
-  // --- DRAG AND DROP LOGIC ---
-  const handleDragStart = (e, index) => {
-    setDraggedItem(projects[index]);
-    e.dataTransfer.effectAllowed = "move";
-    e.dataTransfer.setDragImage(e.target.parentNode, 20, 20);
+  const handleRestoreFromTrash = async (project) => {
+    try {
+      await restoreFromTrash(project, user);
+    } catch (error) {
+      window.alert(error.message);
+    }
   };
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    const draggedOverItem = projects[index];
-    if (draggedItem === draggedOverItem) return;
-    let items = projects.filter(item => item !== draggedItem);
-    items.splice(index, 0, draggedItem);
-    setProjects(items);
+  // --- COLLECTIONS ---
+  const handleSaveCollection = async (collection, { name, description, color }) => {
+    if (collection) {
+      await updateDoc(collectionRef(collection.id), { name, description, color, updatedAt: serverTimestamp() });
+    } else {
+      await setDoc(doc(collectionsCol()), { name, description, color, authorId: user.uid, createdAt: serverTimestamp() });
+    }
   };
 
-  const handleDragEnd = async () => {
-    setDraggedItem(null);
+  // Projects in the collection are kept and fall back to "Other projects", after the ones already there.
+  const handleDeleteCollection = async (collection) => {
+    const members = (await getDocs(query(projectsCol(), where('collectionId', '==', collection.id))))
+      .docs.map(d => ({ id: d.id, ...d.data() }))
+      .sort(compareOrder);
     const batch = writeBatch(db);
-    projects.forEach((proj, index) => {
-        const ref = doc(db, 'artifacts', appId, 'public', 'data', 'hub_projects', proj.id);
-        batch.update(ref, { orderIndex: index });
+    let rank = await rankAtEnd(null);
+    members.forEach((proj) => {
+      batch.update(projectRef(proj.id), { collectionId: null, rank });
+      rank = rankBetween(rank, null);
     });
+    batch.delete(collectionRef(collection.id));
+    await batch.commit();
+    if (activeCollectionId === collection.id) navigate('#/');
+  };
+
+  // --- DRAG AND DROP LOGIC ---
+  // Reordering works on the full list, so it stays right while only some cards are shown, and
+  // saving writes only the moved project's rank (plus its collection when that changed).
+
+  // Puts a project next to `target` (after it when moving forward) or, without a target, first
+  // in `collectionId`. Returns the same list when nothing moves.
+  const placeProject = (list, movedId, target, collectionId) => {
+    const from = list.findIndex(p => p.id === movedId);
+    const moved = list[from];
+    if (!moved || target?.id === movedId || (!target && sectionOf(moved) === collectionId)) return list;
+    const items = list.filter(p => p.id !== movedId);
+    let index;
+    if (target) {
+      const to = list.findIndex(p => p.id === target.id);
+      index = items.findIndex(p => p.id === target.id) + (to > from ? 1 : 0);
+    } else {
+      index = Math.max(0, items.findIndex(p => sectionOf(p) === collectionId));
+    }
+    items.splice(index, 0, { ...moved, collectionId });
+    return items;
+  };
+
+  const saveMove = async (list, movedId, origin) => {
+    const collectionId = sectionOf(list.find(p => p.id === movedId));
+    // Unloaded projects all sort after the list's end.
+    const writes = planMove(list.filter(p => sectionOf(p) === collectionId), movedId, projectList.end?.rank ?? null)
+      .map(([id, fields]) => [id, id === movedId && collectionId !== origin ? { ...fields, collectionId } : fields]);
+    const moved = list.find(p => p.id === movedId);
     try {
-        await batch.commit();
+      await writeOrder(writes, batch => recordActivity(batch, moved, 'reorder', user, {
+        detail: collectionId !== origin ? `Filed under ${collections.find(c => c.id === collectionId)?.name || 'Other projects'}` : null
+      }));
     } catch (err) {
-        console.error("Failed to save order", err);
+      console.error("Failed to save order", err);
     }
   };
 
+  // Mouse and touch share pointer events: the handle starts the drag, and the card (or the empty
+  // part of a section) under the pointer decides where the project goes.
+  const handleDragStart = (e, project) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDrag({ id: project.id, origin: sectionOf(project), moved: false });
+  };
+
+  useEffect(() => {
+    if (!drag) return;
+    const handleMove = (e) => {
+      // Keep the page scrolling while dragging near the top or bottom edge (touch can't scroll otherwise).
+      if (e.clientY < 60) window.scrollBy(0, -20);
+      else if (e.clientY > window.innerHeight - 60) window.scrollBy(0, 20);
+      const el = document.elementFromPoint(e.clientX, e.clientY);
+      const card = el?.closest('[data-project-id]');
+      const zone = el?.closest('[data-drop-collection]');
+      const target = card && projects.find(p => p.id === card.dataset.projectId);
+      let next = projects;
+      if (target) next = placeProject(projects, drag.id, target, sectionOf(target));
+      else if (zone) next = placeProject(projects, drag.id, null, zone.dataset.dropCollection || null);
+      if (next !== projects) {
+        setProjects(next);
+        setDrag({ ...drag, moved: true });
+      }
+    };
+    const handleUp = () => {
+      setDrag(null);
+      if (drag.moved) saveMove(projects, drag.id, drag.origin);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    window.addEventListener('pointercancel', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    };
+  });
+
+  // Arrow keys on a focused handle move the project one place among the cards shown.
+  const handleMoveKey = (e, project, items) => {
+    const step = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const target = items[items.findIndex(p => p.id === project.id) + step];
+    if (!target) return;
+    const next = placeProject(projects, project.id, target, sectionOf(target));
+    setProjects(next);
+    saveMove(next, project.id, sectionOf(project));
+  };
+
   const toggleLogin = async () => {
-    if (!isCreator) {
+    if (!user) {
       setAuthLoading(true);
       const provider = new GoogleAuthProvider();
       try {
@@ -416,8 +586,70 @@ export default function ProjectHub() {
   };
 
   // --- VIEW LOGIC ---
-  const activeProject = projects.find(p => p.id === activeProjectId);
-  const filteredProjects = projects.filter(p => p.title.toLowerCase().includes(searchTerm.toLowerCase()) || p.description.toLowerCase().includes(searchTerm.toLowerCase()));
+  const linked = linkedProject.id === activeProjectId ? linkedProject : null;
+  const activeProject = projects.find(p => p.id === activeProjectId) || linked?.project;
+  // The viewer and "open in editor" need the project's content loaded.
+  const viewedProject = useProjectContent(activeProject);
+  const remixes = useRemixes(view === 'view' ? activeProjectId : null, role, uid);
+  // Projects saved before thumbnails existed, restored or imported get theirs when someone
+  // who may edit them opens them.
+  useEffect(() => {
+    if (!viewedProject || viewedProject.error || !canEditProject(viewedProject, user, role)) return;
+    refreshThumbnail(viewedProject).catch(error => console.log("Thumbnail Error:", error.message));
+  }, [viewedProject, user, role]);
+
+  const historyProject = projects.find(p => p.id === historyProjectId) || (activeProject?.id === historyProjectId ? activeProject : null);
+  const filteredProjects = applyFilters(projects, filters, starredIds);
+  const allTags = tagCounts(projects);
+  const usedCategories = Object.keys(CATEGORIES).filter(key => projects.some(p => categoryOf(p) === key));
+  // Chips for the most used tags, plus any selected one that didn't make the cut.
+  const tagChips = [...new Set([...allTags.slice(0, 12).map(t => t.tag), ...filters.tags])];
+  const activeCollection = collections.find(c => c.id === activeCollectionId);
+  // Until the last page is in, an empty list or search may still fill up.
+  const listPending = projectList.loading || projectList.hasMore;
+  // The manual order is what dragging changes, so it is only offered while the list shows it.
+  const canDrag = canReorderProjects(role) && (view === 'collection' || filters.sort === 'manual');
+
+  // Home page: one section per collection, then the projects in none. Filtering flattens the list.
+  const sections = !hasActiveFilters(filters) && collections.length > 0
+    ? [
+        ...collections.map(collection => ({ collection, items: filteredProjects.filter(p => sectionOf(p) === collection.id) })),
+        { collection: null, items: filteredProjects.filter(p => sectionOf(p) === null) }
+      ]
+    : null;
+
+  // `collectionId` makes the grid's empty space a drop target for that collection (null for
+  // "Other projects"); the flat search results grid has none.
+  const renderGrid = (items, collectionId) => (
+    <div
+      data-drop-collection={collectionId === undefined ? undefined : collectionId || ''}
+      className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
+    >
+      {items.map(p => (
+        <ProjectCard
+          key={p.id}
+          project={p}
+          canDrag={canDrag}
+          dragging={p.id === drag?.id}
+          onOpen={() => navigate(`#/project/${p.id}`)}
+          onShowHistory={(e) => handleShowHistory(p.id, e)}
+          starred={starredIds.has(p.id)}
+          onToggleStar={user ? (e) => handleToggleStar(p, e) : undefined}
+          onEdit={canEditProject(p, user, role) ? (e) => handleEdit(p, e) : undefined}
+          onRemix={canCreateProjects(role) ? (e) => handleRemix(p, e) : undefined}
+          onDelete={canManageProject(p, user, role) ? (e) => handleDelete(p, e) : undefined}
+          onTagClick={toggleTagFilter}
+          onDragStart={(e) => handleDragStart(e, p)}
+          onMoveKey={(e) => handleMoveKey(e, p, items)}
+        />
+      ))}
+      {items.length === 0 && (
+        <div className="col-span-full border-2 border-dashed border-slate-200 rounded-xl p-8 text-center text-sm text-slate-400">
+          {canDrag ? 'Drag projects here' : 'No projects in this collection yet'}
+        </div>
+      )}
+    </div>
+  );
 
   if (authLoading) {
     return (
@@ -428,23 +660,77 @@ export default function ProjectHub() {
     );
   }
 
-  if (view === 'view' && activeProject) return <ProjectViewer project={activeProject} onExit={() => navigate('#/')} />;
+  const historyPanel = historyProject && (
+    <HistoryPanel
+      project={historyProject}
+      canRestore={canEditProject(historyProject, user, role)}
+      onRestore={(revision) => handleRestore(historyProject, revision)}
+      onClose={() => setHistoryProjectId(null)}
+    />
+  );
+
+  if (view === 'view' && !activeProject && linked?.missing) {
+    return <ProjectNotFound user={user} onLogin={toggleLogin} onExit={() => navigate('#/')} />;
+  }
+
+  if (view === 'view') {
+    return (
+      <>
+        <ProjectViewer
+          project={viewedProject?.error ? null : viewedProject}
+          error={viewedProject?.error}
+          user={user}
+          canSetThumbnail={!!activeProject && canEditProject(activeProject, user, role)}
+          remixes={remixes}
+          onRemix={activeProject && canCreateProjects(role) ? () => handleRemix(activeProject) : undefined}
+          onExit={() => navigate(formatListHash(filters))}
+          onShowHistory={() => handleShowHistory(activeProject.id)}
+          onOpenSource={activeProject && canEditProject(activeProject, user, role) ? handleOpenSource : undefined}
+          trashed={isTrashed(activeProject)}
+          onRestoreFromTrash={isTrashed(activeProject) && canManageProject(activeProject, user, role) ? () => handleRestoreFromTrash(activeProject) : undefined}
+          starred={!!activeProject && starredIds.has(activeProject.id)}
+          onToggleStar={activeProject && user ? () => handleToggleStar(activeProject) : undefined}
+          onLogin={toggleLogin}
+        />
+        {historyPanel}
+      </>
+    );
+  }
 
   if (view === 'upload') {
-    if (!isCreator) {
-      return (
-        <div className="flex flex-col items-center justify-center min-h-screen bg-slate-50 p-4">
-          <div className="bg-white p-8 rounded-2xl shadow-lg border border-slate-100 max-w-md w-full text-center">
-            <div className="w-16 h-16 bg-indigo-50 rounded-full flex items-center justify-center mx-auto mb-6"><Lock className="w-8 h-8 text-indigo-600" /></div>
-            <h2 className="text-2xl font-bold text-slate-800 mb-2">Creator Access Only</h2>
-            <p className="text-slate-500 mb-8">You must be logged in to contribute.</p>
-            <button onClick={toggleLogin} className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors">Log In with Google</button>
-            <button onClick={() => navigate('#/')} className="mt-4 text-slate-400 hover:text-slate-600 text-sm">Cancel</button>
-          </div>
-        </div>
-      );
+    const allowed = editingProject ? canEditProject(editingProject, user, role) : canCreateProjects(role);
+    if (!allowed) {
+      return <AccessRequired user={user} onLogin={toggleLogin} onExit={() => navigate('#/')} />;
+    }
+    return (
+      <UploadForm
+        key={editingProject?.id || (remixTemplate ? `remix:${remixTemplate.forkedFrom.id}` : 'new')}
+        initialData={editingProject || remixTemplate}
+        focus={editorFocus}
+        userId={user.uid}
+        authorId={editingProject ? editingProject.authorId : user.uid}
+        canManageAccess={!editingProject || canManageProject(editingProject, user, role)}
+        tagSuggestions={allTags}
+        collections={collections}
+        defaultCollectionId={activeCollectionId}
+        onCancel={() => navigate('#/')}
+        onSubmit={handleSave}
+      />
+    );
+  }
+
+  if (view === 'trash') {
+    if (!canCreateProjects(role)) {
+      return <AccessRequired user={user} onLogin={toggleLogin} onExit={() => navigate('#/')} />;
     }
-    return <UploadForm initialData={editingProject} onCancel={() => navigate('#/')} onSubmit={handleSave} />;
+    return <TrashView user={user} role={role} onExit={() => navigate('#/')} />;
+  }
+
+  if (view === 'admin') {
+    if (!canManageTeam(role)) {
+      return <AccessRequired user={user} title="Owner Access Only" onLogin={toggleLogin} onExit={() => navigate('#/')} />;
+    }
+    return <AdminPanel user={user} onExit={() => navigate('#/')} />;
   }
 
   return (
@@ -458,91 +744,179 @@ export default function ProjectHub() {
           <div className="flex items-center gap-3">
             <div className="hidden md:flex relative group">
               <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400 group-focus-within:text-indigo-500 transition-colors" />
-              <input value={searchTerm} onChange={e => setSearchTerm(e.target.value)} placeholder="Find projects..." className="pl-9 pr-4 py-2 bg-slate-100 border-transparent rounded-lg text-sm focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all w-64 outline-none" />
+              <input value={filters.q} onChange={e => updateFilters({ q: e.target.value })} placeholder="Search titles, tags, code..." className="pl-9 pr-4 py-2 bg-slate-100 border-transparent rounded-lg text-sm focus:bg-white focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-500 transition-all w-64 outline-none" />
             </div>
             <div className="h-6 w-px bg-slate-200 mx-2"></div>
-            <button onClick={toggleLogin} className={`text-sm font-medium px-3 py-2 rounded-lg transition-colors flex items-center gap-2 ${isCreator ? 'text-indigo-600 bg-indigo-50' : 'text-slate-500 hover:bg-slate-100'}`}>
-              {isCreator ? <User className="w-4 h-4" /> : <LogOut className="w-4 h-4" />}
-              <span className="hidden sm:inline">{isCreator ? 'Creator' : 'Guest'}</span>
+            {canCreateProjects(role) && (
+              <button onClick={() => navigate('#/trash')} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-500 hover:bg-slate-100 flex items-center gap-2" title="Deleted projects">
+                <Trash2 className="w-4 h-4" /> <span className="hidden sm:inline">Trash</span>
+              </button>
+            )}
+            {canManageTeam(role) && (
+              <button onClick={() => navigate('#/admin')} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-500 hover:bg-slate-100 flex items-center gap-2" title="Manage team">
+                <Users className="w-4 h-4" /> <span className="hidden sm:inline">Team</span>
+              </button>
+            )}
+            <button onClick={toggleLogin} className={`text-sm font-medium px-3 py-2 rounded-lg transition-colors flex items-center gap-2 ${user ? 'text-indigo-600 bg-indigo-50' : 'text-slate-500 hover:bg-slate-100'}`} title={user ? `Signed in as ${user.email} — click to sign out` : 'Sign in'}>
+              {user ? <User className="w-4 h-4" /> : <LogOut className="w-4 h-4" />}
+              <span className="hidden sm:inline">{user ? (ROLE_LABELS[role] || 'Viewer') : 'Guest'}</span>
             </button>
-            <button onClick={() => { setEditingProject(null); navigate('#/upload'); }} className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 transition-all shadow-md shadow-slate-200"><Plus className="w-4 h-4" /> New Project</button>
+            <button onClick={() => startProject()} className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 transition-all shadow-md shadow-slate-200"><Plus className="w-4 h-4" /> New Project</button>
           </div>
         </div>
       </nav>
       <main className="max-w-6xl mx-auto px-4 py-12">
-        <div className="mb-10">
-          <h1 className="text-3xl font-bold text-slate-900 mb-3">Project Repository</h1>
-          <p className="text-slate-500 max-w-2xl">A collection of web applications, tools, and experiments created with Gemini.</p>
-        </div>
-        {projects.length === 0 ? (
+        {view === 'collection' ? (
+          <div className="mb-10">
+            <button onClick={() => navigate('#/')} className="text-slate-500 hover:text-slate-800 flex items-center gap-2 mb-6 text-sm">
+              <ArrowLeft className="w-4 h-4" /> All projects
+            </button>
+            {activeCollection && (
+              <div className="flex items-start gap-4">
+                <div className={`w-12 h-12 rounded-xl flex items-center justify-center shrink-0 ${COLORS[activeCollection.color || 'indigo'].bg} ${COLORS[activeCollection.color || 'indigo'].text}`}>
+                  <FolderOpen className="w-6 h-6" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <h1 className="text-3xl font-bold text-slate-900 mb-2">{activeCollection.name}</h1>
+                  {activeCollection.description && <p className="text-slate-500 max-w-2xl">{activeCollection.description}</p>}
+                </div>
+                {canManageCollections(role) && (
+                  <button onClick={() => setCollectionDialog({ collection: activeCollection })} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-500 hover:bg-slate-100 flex items-center gap-2">
+                    <Settings className="w-4 h-4" /> Edit
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="mb-10 flex items-end justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-slate-900 mb-3">Project Repository</h1>
+              <p className="text-slate-500 max-w-2xl">A collection of web applications, tools, and experiments created with Gemini.</p>
+            </div>
+            {canManageCollections(role) && (
+              <button onClick={() => setCollectionDialog({ collection: null })} className="text-sm font-medium px-3 py-2 rounded-lg border border-slate-200 bg-white text-slate-600 hover:bg-slate-50 flex items-center gap-2 shrink-0">
+                <FolderPlus className="w-4 h-4" /> New collection
+              </button>
+            )}
+          </div>
+        )}
+        {view === 'list' && projects.length > 0 && (
+          <div className="mb-8 flex flex-wrap items-center gap-2">
+            {user && (
+              <>
+                <button
+                  onClick={() => updateFilters({ starred: !filters.starred })}
+                  className={`text-xs font-medium px-3 py-1.5 rounded-full border transition-colors flex items-center gap-1.5 ${filters.starred ? 'bg-amber-500 border-amber-500 text-white' : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'}`}
+                >
+                  <Star className={`w-3 h-3 ${filters.starred ? 'fill-current' : ''}`} /> My starred
+                </button>
+                {(usedCategories.length > 0 || tagChips.length > 0) && <div className="h-5 w-px bg-slate-200 mx-1"></div>}
+              </>
+            )}
+            {usedCategories.map(key => (
+              <button
+                key={key}
+                onClick={() => updateFilters({ category: filters.category === key ? null : key })}
+                className={`text-xs font-medium px-3 py-1.5 rounded-full border transition-colors ${filters.category === key ? 'bg-slate-900 border-slate-900 text-white' : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'}`}
+              >
+                {CATEGORIES[key].name}
+              </button>
+            ))}
+            {usedCategories.length > 0 && tagChips.length > 0 && <div className="h-5 w-px bg-slate-200 mx-1"></div>}
+            {tagChips.map(tag => (
+              <button
+                key={tag}
+                onClick={() => toggleTagFilter(tag)}
+                className={`text-xs px-2.5 py-1.5 rounded-full border transition-colors ${filters.tags.includes(tag) ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-slate-200 text-slate-500 hover:border-slate-300'}`}
+              >
+                #{tag}
+              </button>
+            ))}
+            {hasActiveFilters(filters) && (
+              <button onClick={() => updateFilters({ q: '', tags: [], category: null, starred: false })} className="text-xs text-slate-500 hover:text-slate-800 flex items-center gap-1 px-2">
+                <X className="w-3 h-3" /> Clear
+              </button>
+            )}
+            <select
+              value={filters.sort}
+              onChange={e => updateFilters({ sort: e.target.value })}
+              className="ml-auto border border-slate-200 rounded-lg px-3 py-1.5 text-sm text-slate-600 bg-white outline-none"
+            >
+              {Object.entries(SORT_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+        )}
+        {view === 'collection' ? (
+          !collectionsLoaded ? (
+            <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 text-slate-300 animate-spin" /></div>
+          ) : !activeCollection ? (
+            <div className="border-2 border-dashed border-slate-200 rounded-2xl p-12 text-center bg-slate-50/50">
+              <FolderOpen className="w-12 h-12 text-slate-300 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-slate-900">Collection not found</h3>
+              <p className="text-slate-500 text-sm">It may have been deleted.</p>
+            </div>
+          ) : projects.length === 0 && listPending ? null : (
+            renderGrid(projects.filter(p => sectionOf(p) === activeCollection.id), activeCollection.id)
+          )
+        ) : filteredProjects.length === 0 && listPending ? null : projects.length === 0 ? (
           <div className="border-2 border-dashed border-slate-200 rounded-2xl p-12 text-center bg-slate-50/50">
             <Layout className="w-12 h-12 text-slate-300 mx-auto mb-4" />
             <h3 className="text-lg font-medium text-slate-900">No projects yet</h3>
-            <button onClick={() => { setEditingProject(null); navigate('#/upload'); }} className="text-indigo-600 font-medium hover:underline">Upload Project</button>
+            <button onClick={() => startProject()} className="text-indigo-600 font-medium hover:underline">Upload Project</button>
           </div>
-        ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {filteredProjects.map((p, index) => {
-               const theme = COLORS[p.color || 'indigo'];
-               return (
-              <div 
-                key={p.id}
-                onClick={() => navigate(`#/project/${p.id}`)}
-                onDragOver={(e) => isCreator && handleDragOver(e, index)}
-                className={`group bg-white border rounded-xl overflow-hidden transition-all cursor-pointer flex flex-col h-[280px] relative ${theme.border} ${theme.shadow} hover:shadow-xl`}
-              >
-                
-                {/* --- CREATOR ACTIONS --- */}
-                {isCreator && (
-                  <div className="absolute top-3 right-3 flex gap-2 z-10 opacity-0 group-hover:opacity-100 transition-opacity">
-                    {/* DRAG HANDLE */}
-                    <div 
-                      draggable
-                      onDragStart={(e) => handleDragStart(e, index)}
-                      onDragEnd={handleDragEnd}
-                      onClick={(e) => e.stopPropagation()}
-                      className="p-2 bg-white text-slate-400 hover:text-slate-800 border border-slate-200 rounded-full shadow-sm cursor-grab active:cursor-grabbing"
-                      title="Drag to Reorder"
-                    >
-                       <GripVertical className="w-4 h-4" />
-                    </div>
-
-                    <button 
-                      onClick={(e) => handleEdit(p, e)}
-                      className="p-2 bg-white text-slate-500 hover:text-indigo-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
-                      title="Edit Project"
-                    >
-                      <Pencil className="w-4 h-4" />
-                    </button>
-                    <button 
-                      onClick={(e) => handleDelete(p.id, e)}
-                      className="p-2 bg-white text-slate-500 hover:text-red-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
-                      title="Delete Project"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
-                  </div>
-                )}
-
-                <div className="p-6 flex-1">
-                  <div className="flex justify-between items-start mb-4">
-                    <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${theme.bg} ${theme.text}`}>
-                      <Code className="w-5 h-5" />
+        ) : filteredProjects.length === 0 ? (
+          <div className="border-2 border-dashed border-slate-200 rounded-2xl p-12 text-center bg-slate-50/50">
+            <Search className="w-12 h-12 text-slate-300 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-slate-900">No matching projects</h3>
+            <button onClick={() => updateFilters({ q: '', tags: [], category: null, starred: false })} className="text-indigo-600 font-medium hover:underline">Clear filters</button>
+          </div>
+        ) : sections ? (
+          <div className="space-y-12">
+            {sections.map(({ collection, items }) => {
+              const theme = COLORS[collection?.color || 'indigo'];
+              if (!collection && items.length === 0 && !drag) return null;
+              return (
+                <section key={collection?.id || 'none'}>
+                  <div className="flex items-end justify-between gap-4 mb-4">
+                    <div className="flex items-center gap-3 min-w-0">
+                      {collection && (
+                        <div className={`w-8 h-8 rounded-lg flex items-center justify-center shrink-0 ${theme.bg} ${theme.text}`}>
+                          <FolderOpen className="w-4 h-4" />
+                        </div>
+                      )}
+                      <div className="min-w-0">
+                        <h2 className="text-lg font-bold text-slate-800 truncate">{collection ? collection.name : 'Other projects'}</h2>
+                        {collection?.description && <p className="text-sm text-slate-500 truncate">{collection.description}</p>}
+                      </div>
                     </div>
-                    <ExternalLink className="w-4 h-4 text-slate-300 group-hover:text-indigo-400" />
+                    {collection && (
+                      <button onClick={() => navigate(`#/collection/${collection.id}`)} className={`text-sm font-medium flex items-center gap-1 shrink-0 ${theme.text} hover:underline`}>
+                        Show all{items.length > SECTION_PREVIEW && !projectList.hasMore ? ` ${items.length}` : ''} <ArrowRight className="w-4 h-4" />
+                      </button>
+                    )}
                   </div>
-                  <h3 className={`text-lg font-bold text-slate-900 mb-2 line-clamp-1 group-hover:${theme.text}`}>{p.title}</h3>
-                  <p className="text-slate-500 text-sm line-clamp-3 leading-relaxed">{p.description}</p>
-                </div>
-                <div className="px-6 py-4 border-t border-slate-50 bg-slate-50/50 group-hover:bg-white transition-colors flex items-center justify-between">
-                  <span className="text-xs font-medium text-slate-400 bg-white border border-slate-200 px-2 py-1 rounded">Web App</span>
-                  <span className={`text-xs font-medium opacity-0 group-hover:opacity-100 flex items-center gap-1 ${theme.text}`}>Launch <ArrowLeft className="w-3 h-3 rotate-180" /></span>
-                </div>
-              </div>
-            )})}
+                  {renderGrid(collection ? items.slice(0, SECTION_PREVIEW) : items, collection?.id || null)}
+                </section>
+              );
+            })}
           </div>
+        ) : (
+          renderGrid(filteredProjects)
+        )}
+        {listPending && (view === 'list' || activeCollection) && (
+          <LoadMore loading={projectList.loading} hasMore={projectList.hasMore} onLoadMore={projectList.loadMore} />
         )}
       </main>
+      {collectionDialog && (
+        <CollectionDialog
+          collection={collectionDialog.collection}
+          onSave={(data) => handleSaveCollection(collectionDialog.collection, data)}
+          onDelete={() => handleDeleteCollection(collectionDialog.collection)}
+          onClose={() => setCollectionDialog(null)}
+        />
+      )}
+      {historyPanel}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, Crown } from 'lucide-react';
+import { isHubClaimed, claimHub } from '../lib/membership';
+
+// --- Component: Access gate for pages that need a hub role ---
+const AccessRequired = ({ user, title = 'Creator Access Only', onLogin, onExit }) => {
+  const [claimable, setClaimable] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    isHubClaimed()
+      .then(claimed => { if (!cancelled) setClaimable(!claimed); })
+      .catch(err => console.log("Hub Error:", err.message));
+    return () => { cancelled = true; };
+  }, [user]);
+
+  const handleClaim = async () => {
+    try {
+      await claimHub(user);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-slate-50 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-lg border border-slate-100 max-w-md w-full text-center">
+        <div className="w-16 h-16 bg-indigo-50 rounded-full flex items-center justify-center mx-auto mb-6"><Lock className="w-8 h-8 text-indigo-600" /></div>
+        <h2 className="text-2xl font-bold text-slate-800 mb-2">{title}</h2>
+        {!user ? (
+          <>
+            <p className="text-slate-500 mb-8">You must be logged in to contribute.</p>
+            <button onClick={onLogin} className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors">Log In with Google</button>
+          </>
+        ) : claimable ? (
+          <>
+            <p className="text-slate-500 mb-8">This hub has no owner yet. Claim it to manage the team and invite collaborators.</p>
+            <button onClick={handleClaim} className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors flex items-center justify-center gap-2"><Crown className="w-4 h-4" /> Claim as {user.email}</button>
+          </>
+        ) : (
+          <p className="text-slate-500 mb-8">{user.email} doesn't have permission for this. Ask a hub owner to invite you with the right role.</p>
+        )}
+        {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+        <button onClick={onExit} className="mt-4 text-slate-400 hover:text-slate-600 text-sm">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default AccessRequired;
@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { Loader2 } from 'lucide-react';
+import { ACTIVITY_LABELS, activityQuery } from '../lib/activity';
+
+const PAGE_SIZE = 30;
+
+const formatDate = (ts) => (ts ? ts.toDate().toLocaleString() : 'Saving...');
+
+// --- Component: Activity log of one project, or of the whole hub without a projectId ---
+const ActivityList = ({ projectId = null }) => {
+  const [count, setCount] = useState(PAGE_SIZE);
+  const [events, setEvents] = useState(null);
+
+  useEffect(() => {
+    return onSnapshot(activityQuery(projectId, count), (snap) => {
+      setEvents(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.log("Activity Error:", error.message);
+      setEvents([]);
+    });
+  }, [projectId, count]);
+
+  if (!events) return <div className="flex justify-center py-8"><Loader2 className="w-6 h-6 text-slate-300 animate-spin" /></div>;
+  if (events.length === 0) return <p className="px-4 py-8 text-center text-sm text-slate-400">No activity recorded yet.</p>;
+
+  return (
+    <div>
+      <div className="divide-y divide-slate-100">
+        {events.map(event => (
+          <div key={event.id} className="px-4 py-3 text-sm">
+            <p className="text-slate-800">
+              <span className="font-medium">{ACTIVITY_LABELS[event.action] || event.action}</span>
+              {!projectId && (
+                event.action === 'purge'
+                  ? <span className="text-slate-600"> {event.projectTitle}</span>
+                  : <> <a href={`#/project/${event.projectId}`} className="text-indigo-600 hover:underline">{event.projectTitle}</a></>
+              )}
+            </p>
+            {event.detail && <p className="text-xs text-slate-500">{event.detail}</p>}
+            <p className="text-xs text-slate-400">{event.actorName} · {formatDate(event.createdAt)}</p>
+          </div>
+        ))}
+      </div>
+      {events.length >= count && (
+        <div className="flex justify-center py-4">
+          <button onClick={() => setCount(c => c + PAGE_SIZE)} className="text-sm font-medium px-4 py-2 rounded-lg border border-slate-200 bg-white text-slate-600 hover:bg-slate-50">
+            Show more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityList;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { onSnapshot, getDocs, setDoc, updateDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { ArrowLeft, UserPlus, Trash2, Mail, Users, Download, Upload, Loader2 } from 'lucide-react';
+import { membersCol, memberRef, invitesCol, inviteRef, projectsCol, collectionsCol } from '../firebase';
+import { ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS } from '../lib/access';
+import { buildHubArchive, readHubArchive } from '../lib/hubArchive';
+import { downloadFile } from '../lib/exportProject';
+import { compareOrder } from '../lib/ordering';
+import { loadProjectContent } from '../lib/projectContent';
+import { isTrashed } from '../lib/trash';
+import ImportHubDialog from './ImportHubDialog';
+import ActivityList from './ActivityList';
+
+const fetchAll = async (col) => (await getDocs(col)).docs.map(d => ({ id: d.id, ...d.data() }));
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    onChange={e => onChange(e.target.value)}
+    disabled={disabled}
+    className="border border-slate-300 rounded px-2 py-1 text-xs outline-none disabled:bg-slate-50 disabled:text-slate-400"
+  >
+    {ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+  </select>
+);
+
+// --- Component: Hub administration (members, invites, backup, activity) ---
+const AdminPanel = ({ user, onExit }) => {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [error, setError] = useState('');
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [backupError, setBackupError] = useState('');
+  const [pendingImport, setPendingImport] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const unsubMembers = onSnapshot(membersCol(), (snap) => {
+      const data = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+      data.sort((a, b) => (a.email || '').localeCompare(b.email || ''));
+      setMembers(data);
+    }, (err) => console.log("Members Error:", err.message));
+    const unsubInvites = onSnapshot(invitesCol(), (snap) => {
+      setInvites(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => console.log("Invites Error:", err.message));
+    return () => { unsubMembers(); unsubInvites(); };
+  }, []);
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    const address = email.trim().toLowerCase();
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(address)) {
+      setError('Enter a valid email address.');
+      return;
+    }
+    if (members.some(m => m.email === address)) {
+      setError(`${address} is already a member.`);
+      return;
+    }
+    run(async () => {
+      await setDoc(inviteRef(address), { email: address, role, invitedBy: user.uid, createdAt: serverTimestamp() });
+      setEmail('');
+    });
+  };
+
+  const runBackup = async (action) => {
+    setBackupError('');
+    setBackupBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setBackupError(err.message);
+    }
+    setBackupBusy(false);
+  };
+
+  // Projects in the trash stay out of the archive.
+  const handleExportHub = () => runBackup(async () => {
+    const projects = await Promise.all((await fetchAll(projectsCol())).filter(p => !isTrashed(p)).map(loadProjectContent));
+    projects.sort(compareOrder);
+    const archive = buildHubArchive(projects, await fetchAll(collectionsCol()));
+    downloadFile(`gemini-hub-${new Date().toISOString().slice(0, 10)}.zip`, archive, 'application/zip');
+  });
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    runBackup(async () => {
+      const archive = readHubArchive(new Uint8Array(await file.arrayBuffer()));
+      setPendingImport({ archive, existing: await fetchAll(projectsCol()) });
+    });
+  };
+
+  const handleRemoveMember = (member) => {
+    if (window.confirm(`Remove ${member.email} from the hub? Their projects stay, but they lose access.`)) {
+      run(() => deleteDoc(memberRef(member.id)));
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto py-12 px-4">
+      <button onClick={onExit} className="text-slate-500 hover:text-slate-800 flex items-center gap-2 mb-8">
+        <ArrowLeft className="w-4 h-4" /> Back to Hub
+      </button>
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="px-8 py-6 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+          <Users className="w-5 h-5 text-slate-400" />
+          <h2 className="text-xl font-bold text-slate-800">Team</h2>
+        </div>
+        <div className="p-8 space-y-8">
+          <form onSubmit={handleInvite}>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Invite by email</label>
+            <div className="flex gap-3">
+              <input
+                type="email"
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                placeholder="teammate@example.com"
+                className="flex-1 border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none text-sm"
+              />
+              <RoleSelect value={role} onChange={setRole} />
+              <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg shadow-sm text-sm flex items-center gap-2">
+                <UserPlus className="w-4 h-4" /> Invite
+              </button>
+            </div>
+            <p className="mt-2 text-xs text-slate-500">{ROLE_LABELS[role]}: {ROLE_DESCRIPTIONS[role]}. The invite is applied the next time they sign in with Google.</p>
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+          </form>
+
+          <div>
+            <h3 className="text-sm font-medium text-slate-700 mb-2">Members</h3>
+            <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {members.map(m => (
+                <div key={m.id} className="px-4 py-3 flex items-center gap-3 text-sm">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-slate-800 truncate">{m.displayName || m.email}{m.id === user.uid && <span className="text-slate-400 font-normal"> (you)</span>}</p>
+                    {m.displayName && <p className="text-xs text-slate-500 truncate">{m.email}</p>}
+                  </div>
+                  <RoleSelect value={m.role} disabled={m.id === user.uid} onChange={(r) => run(() => updateDoc(memberRef(m.id), { role: r }))} />
+                  <button
+                    onClick={() => handleRemoveMember(m)}
+                    disabled={m.id === user.uid}
+                    className="p-1.5 text-slate-400 hover:text-red-600 disabled:invisible"
+                    title="Remove member"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {invites.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-slate-700 mb-2">Pending invites</h3>
+              <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+                {invites.map(inv => (
+                  <div key={inv.id} className="px-4 py-3 flex items-center gap-3 text-sm">
+                    <Mail className="w-4 h-4 text-slate-400 shrink-0" />
+                    <span className="flex-1 truncate text-slate-700">{inv.email}</span>
+                    <RoleSelect value={inv.role} onChange={(r) => run(() => updateDoc(inviteRef(inv.email), { role: r }))} />
+                    <button onClick={() => run(() => deleteDoc(inviteRef(inv.email)))} className="p-1.5 text-slate-400 hover:text-red-600" title="Revoke invite">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-medium text-slate-700 mb-2">Backup</h3>
+            <div className="border border-slate-200 rounded-lg px-4 py-3 flex flex-wrap items-center gap-3 text-sm">
+              <p className="flex-1 min-w-[200px] text-xs text-slate-500">Every project with its files, metadata and order in one archive, for moving between Firebase projects or seeding an emulator.</p>
+              {backupBusy && <Loader2 className="w-4 h-4 text-slate-400 animate-spin" />}
+              <button onClick={handleExportHub} disabled={backupBusy} className="px-3 py-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 flex items-center gap-2 disabled:opacity-50">
+                <Download className="w-4 h-4" /> Export hub
+              </button>
+              <button onClick={() => fileInputRef.current.click()} disabled={backupBusy} className="px-3 py-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 flex items-center gap-2 disabled:opacity-50">
+                <Upload className="w-4 h-4" /> Import hub
+              </button>
+              <input ref={fileInputRef} type="file" accept=".zip,application/zip" onChange={handleImportFile} className="hidden" />
+            </div>
+            {backupError && <p className="mt-2 text-sm text-red-600">{backupError}</p>}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-slate-700 mb-2">Activity</h3>
+            <div className="border border-slate-200 rounded-lg max-h-[32rem] overflow-y-auto">
+              <ActivityList />
+            </div>
+          </div>
+        </div>
+      </div>
+      {pendingImport && (
+        <ImportHubDialog
+          archive={pendingImport.archive}
+          existing={pendingImport.existing}
+          user={user}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,102 @@
+import React, { useState, useRef } from 'react';
+import { Upload, Image, Music, Type, FileJson, File, Copy, Check, Trash2, Loader2 } from 'lucide-react';
+import { uploadAsset, ASSET_SIZE_LIMIT } from '../lib/projectStorage';
+import { ASSET_SCHEME } from '../lib/assetRefs';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const iconFor = (asset) => {
+  const type = asset.contentType || '';
+  if (type.startsWith('image/')) return Image;
+  if (type.startsWith('audio/')) return Music;
+  if (type.startsWith('font/') || /\.(woff2?|ttf|otf)$/i.test(asset.path)) return Type;
+  if (type.includes('json')) return FileJson;
+  return File;
+};
+
+// File names become paths the code can refer to, so keep them URL- and import-friendly.
+const assetPath = (name) => name.trim().replace(/[^\w.-]+/g, '-') || 'asset';
+
+// --- Component: A project's uploaded assets (images, sounds, fonts, data files) ---
+const AssetManager = ({ projectId, assets, files, onChange }) => {
+  const [uploading, setUploading] = useState(0);
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  const handleFiles = async (e) => {
+    const picked = [...e.target.files];
+    e.target.value = '';
+    setError('');
+    setUploading(picked.length);
+    let next = assets;
+    for (const file of picked) {
+      const path = assetPath(file.name);
+      try {
+        if (files.some(f => f.path === path)) throw new Error(`${path} is already a source file.`);
+        const asset = await uploadAsset(projectId, file, path);
+        // Uploading a file with the same name replaces the asset.
+        next = [...next.filter(a => a.path !== path), asset];
+        onChange(next);
+      } catch (err) {
+        setError(err.message);
+      }
+      setUploading(n => n - 1);
+    }
+  };
+
+  const handleCopy = (asset) => {
+    navigator.clipboard.writeText(ASSET_SCHEME + asset.path);
+    setCopied(asset.path);
+    setTimeout(() => setCopied(c => (c === asset.path ? null : c)), 1500);
+  };
+
+  return (
+    <div className="border border-slate-200 rounded-lg">
+      <div className="px-4 py-3 border-b border-slate-100 flex items-center justify-between gap-4">
+        <p className="text-xs text-slate-500">
+          Refer to an asset as <code className="font-mono">{ASSET_SCHEME}name</code>, by relative path in HTML and CSS, or import it to get its URL. Up to {ASSET_SIZE_LIMIT / 1024 / 1024} MB each.
+        </p>
+        <button type="button" onClick={() => inputRef.current.click()} disabled={uploading > 0} className="text-xs font-medium text-indigo-600 hover:text-indigo-800 flex items-center gap-1 shrink-0 disabled:opacity-50">
+          {uploading > 0 ? <Loader2 className="w-3 h-3 animate-spin" /> : <Upload className="w-3 h-3" />} {uploading > 0 ? `Uploading ${uploading}...` : 'Upload files'}
+        </button>
+        <input ref={inputRef} type="file" multiple className="hidden" onChange={handleFiles} />
+      </div>
+
+      {assets.length > 0 && (
+        <div className="divide-y divide-slate-100">
+          {assets.map((asset) => {
+            const Icon = iconFor(asset);
+            return (
+              <div key={asset.path} className="px-4 py-2 flex items-center gap-3 text-sm">
+                {asset.contentType?.startsWith('image/')
+                  ? <img src={asset.url} alt="" className="w-8 h-8 rounded object-cover bg-slate-100 shrink-0" />
+                  : <Icon className="w-4 h-4 mx-2 text-slate-400 shrink-0" />}
+                <span className="font-mono flex-1 truncate">{asset.path}</span>
+                <span className="text-xs text-slate-400">{formatSize(asset.size)}</span>
+                <button type="button" onClick={() => handleCopy(asset)} className="text-slate-400 hover:text-indigo-600" title={`Copy ${ASSET_SCHEME}${asset.path}`}>
+                  {copied === asset.path ? <Check className="w-4 h-4 text-emerald-600" /> : <Copy className="w-4 h-4" />}
+                </button>
+                <button type="button" onClick={() => onChange(assets.filter(a => a.path !== asset.path))} className="text-slate-400 hover:text-red-600" title="Remove">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {error && (
+        <div className="px-4 py-2 border-t border-slate-100 text-xs">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssetManager;
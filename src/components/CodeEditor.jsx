@@ -0,0 +1,113 @@
+import React, { useEffect, useRef } from 'react';
+import { basicSetup } from 'codemirror';
+import { EditorState } from '@codemirror/state';
+import { EditorView, keymap } from '@codemirror/view';
+import { indentWithTab } from '@codemirror/commands';
+import { javascript } from '@codemirror/lang-javascript';
+import { css } from '@codemirror/lang-css';
+import { html } from '@codemirror/lang-html';
+import { json } from '@codemirror/lang-json';
+import { setDiagnostics } from '@codemirror/lint';
+import { oneDark } from '@codemirror/theme-one-dark';
+import { fileKind } from '../lib/projectFiles';
+
+const languageFor = (path) => {
+  switch (fileKind(path)) {
+    case 'script': return javascript({ jsx: true, typescript: /\.tsx?$/i.test(path) });
+    case 'css': return css();
+    case 'html': return html();
+    case 'json': return json();
+    default: return [];
+  }
+};
+
+const theme = EditorView.theme({
+  '&': { height: '100%', fontSize: '12px', backgroundColor: '#0f172a' },
+  '.cm-scroller': { fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace' },
+  '.cm-gutters': { backgroundColor: '#0f172a' },
+});
+
+// Line/column (1-based line, 0-based column) -> document offset, clamped to the document.
+const offsetOf = (doc, line, column = 0) => {
+  const target = doc.line(Math.min(Math.max(line, 1), doc.lines));
+  return Math.min(target.from + Math.max(column, 0), target.to);
+};
+
+// `onChangeRef` holds the latest change handler, so states made earlier still report to it.
+const createState = (doc, filePath, onChangeRef) => EditorState.create({
+  doc,
+  extensions: [
+    basicSetup,
+    keymap.of([indentWithTab]),
+    languageFor(filePath),
+    oneDark,
+    theme,
+    EditorView.updateListener.of((update) => {
+      if (update.docChanged) onChangeRef.current(update.state.doc.toString());
+    }),
+  ],
+});
+
+// --- Component: CodeMirror editor for one file at a time ---
+// Highlighting, bracket matching, search/replace (Ctrl/Cmd-F) and indentation come from basicSetup
+// plus the file's language. Each file keeps its own editor state, so undo history survives tab switches.
+// `diagnostics` are [{ line, column, message, severity }]; `reveal` ({ line }) selects a line.
+const CodeEditor = ({ path, value, diagnostics, reveal, onChange }) => {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const statesRef = useRef(new Map());
+  // The file the editor shows, and the latest props, for effects that only run on mount or file switches.
+  const pathRef = useRef(path);
+  const valueRef = useRef(value);
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    valueRef.current = value;
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => {
+    const view = new EditorView({ state: createState(valueRef.current, pathRef.current, onChangeRef), parent: hostRef.current });
+    viewRef.current = view;
+    return () => view.destroy();
+  }, []);
+
+  // Switching files: park the current state and pick up the other file's (or start one).
+  useEffect(() => {
+    const view = viewRef.current;
+    if (pathRef.current === path) return;
+    statesRef.current.set(pathRef.current, view.state);
+    const saved = statesRef.current.get(path);
+    const doc = valueRef.current;
+    view.setState(saved && saved.doc.toString() === doc ? saved : createState(doc, path, onChangeRef));
+    pathRef.current = path;
+  }, [path]);
+
+  // Content changed from outside the editor (e.g. a file was replaced): take it over.
+  useEffect(() => {
+    const view = viewRef.current;
+    const current = view.state.doc.toString();
+    if (current !== value) view.dispatch({ changes: { from: 0, to: current.length, insert: value } });
+  }, [value]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    const { doc } = view.state;
+    view.dispatch(setDiagnostics(view.state, (diagnostics || []).map((d) => {
+      const from = offsetOf(doc, d.line, d.column);
+      return { from, to: Math.min(doc.length, Math.max(from + 1, doc.lineAt(from).to)), severity: d.severity || 'error', message: d.message };
+    })));
+  }, [diagnostics, path, value]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!reveal) return;
+    const line = view.state.doc.line(Math.min(Math.max(reveal.line, 1), view.state.doc.lines));
+    view.dispatch({ selection: { anchor: line.from, head: line.to }, scrollIntoView: true });
+    view.focus();
+  }, [reveal]);
+
+  return <div ref={hostRef} className="h-full min-h-0 overflow-hidden" />;
+};
+
+export default CodeEditor;
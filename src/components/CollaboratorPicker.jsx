@@ -0,0 +1,40 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { membersCol } from '../firebase';
+
+// --- Component: Grant other editors access to one project ---
+const CollaboratorPicker = ({ value, authorId, onChange }) => {
+  const [members, setMembers] = useState([]);
+
+  useEffect(() => {
+    const unsub = onSnapshot(membersCol(), (snap) => {
+      setMembers(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => console.log("Members Error:", err.message));
+    return () => unsub();
+  }, []);
+
+  // Owners can already edit everything and viewers cannot edit at all.
+  const candidates = members.filter(m => m.role === 'editor' && m.id !== authorId);
+
+  const toggle = (uid) => {
+    onChange(value.includes(uid) ? value.filter(id => id !== uid) : [...value, uid]);
+  };
+
+  if (candidates.length === 0) {
+    return <p className="text-xs text-slate-500">No other editors on the team yet. Invite them from the Team page.</p>;
+  }
+
+  return (
+    <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+      {candidates.map(m => (
+        <label key={m.id} className="px-4 py-2 flex items-center gap-3 text-sm cursor-pointer hover:bg-slate-50">
+          <input type="checkbox" checked={value.includes(m.id)} onChange={() => toggle(m.id)} />
+          <span className="flex-1 text-slate-700">{m.displayName || m.email}</span>
+          {m.displayName && <span className="text-xs text-slate-400">{m.email}</span>}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default CollaboratorPicker;
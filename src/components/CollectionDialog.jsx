@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { X, Check, FolderOpen, Trash2 } from 'lucide-react';
+import { COLORS } from '../constants';
+
+// --- Component: Create or edit a collection (name, description, color) ---
+const CollectionDialog = ({ collection, onSave, onDelete, onClose }) => {
+  const [name, setName] = useState(collection?.name || '');
+  const [description, setDescription] = useState(collection?.description || '');
+  const [color, setColor] = useState(collection?.color || 'indigo');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    setSaving(true);
+    try {
+      await action();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(() => onSave({ name: name.trim(), description: description.trim(), color }));
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the collection "${collection.name}"? Its projects are kept and move to "Other projects".`)) {
+      run(onDelete);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/50 flex items-center justify-center p-4" onClick={saving ? undefined : onClose}>
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-2xl w-full max-w-md overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="h-14 px-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <FolderOpen className="w-5 h-5 text-indigo-600" />
+            <h2 className="font-bold text-slate-800">{collection ? 'Edit collection' : 'New collection'}</h2>
+          </div>
+          <button type="button" onClick={onClose} disabled={saving} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800 disabled:opacity-50">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-6 space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Name</label>
+            <input type="text" required autoFocus value={name} onChange={e => setName(e.target.value)} placeholder="e.g. Games" className="w-full border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Description</label>
+            <textarea value={description} onChange={e => setDescription(e.target.value)} className="w-full border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none h-20 resize-none" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Color</label>
+            <div className="flex gap-3">
+              {Object.entries(COLORS).map(([key, val]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setColor(key)}
+                  className={`w-8 h-8 rounded-full flex items-center justify-center transition-all ${val.bg} ${color === key ? `ring-2 ring-offset-2 ${val.ring}` : 'hover:scale-110'}`}
+                  title={val.name}
+                >
+                  {color === key && <Check className={`w-4 h-4 ${val.text}`} />}
+                </button>
+              ))}
+            </div>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+        <div className="px-6 py-4 border-t border-slate-100 flex items-center gap-3">
+          {collection && (
+            <button type="button" onClick={handleDelete} disabled={saving} className="text-sm text-slate-500 hover:text-red-600 flex items-center gap-1.5 disabled:opacity-50">
+              <Trash2 className="w-4 h-4" /> Delete
+            </button>
+          )}
+          <div className="flex-1"></div>
+          <button type="button" onClick={onClose} disabled={saving} className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm">Cancel</button>
+          <button type="submit" disabled={saving || !name.trim()} className="bg-indigo-600 hover:bg-indigo-700 text-white px-5 py-2 rounded-lg shadow-sm text-sm disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CollectionDialog;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { X, MessageSquare, Reply, Trash2, Loader2, LogIn } from 'lucide-react';
+import { commentsCol } from '../firebase';
+import { COMMENT_MAX_LENGTH, addComment, deleteComment, commentThreads } from '../lib/comments';
+
+const formatDate = (ts) => (ts ? ts.toDate().toLocaleString() : 'Posting...');
+
+// Text box with a Post button; clears itself once the comment is saved.
+const CommentForm = ({ placeholder, autoFocus, onSubmit, onCancel }) => {
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setBusy(true);
+    setError('');
+    try {
+      await onSubmit(text.trim());
+      setText('');
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={text}
+        onChange={e => setText(e.target.value)}
+        onKeyDown={e => (e.key === 'Enter' && (e.metaKey || e.ctrlKey) ? handleSubmit(e) : undefined)}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        maxLength={COMMENT_MAX_LENGTH}
+        rows={3}
+        className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm outline-none focus:border-indigo-500 resize-none"
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-xs font-medium px-3 py-1.5 rounded-lg text-slate-500 hover:bg-slate-100">Cancel</button>
+        )}
+        <button type="submit" disabled={busy || !text.trim()} className="text-xs font-medium px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50 flex items-center gap-1.5">
+          {busy && <Loader2 className="w-3 h-3 animate-spin" />} Post
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// --- Component: Comment threads beside the running project ---
+const CommentsPanel = ({ projectId, user, onLogin, onClose }) => {
+  const [comments, setComments] = useState(null);
+  const [replyTo, setReplyTo] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    return onSnapshot(commentsCol(projectId), (snap) => {
+      setComments(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+      console.log("Comments Error:", err.message);
+      setComments([]);
+    });
+  }, [projectId]);
+
+  const threads = comments ? commentThreads(comments) : [];
+
+  const handleDelete = async (comment, hasReplies) => {
+    if (!window.confirm('Delete this comment?')) return;
+    setError('');
+    try {
+      await deleteComment(projectId, comment, hasReplies);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderComment = (comment, hasReplies, threadId) => (
+    <div>
+      {comment.deleted ? (
+        <p className="text-sm italic text-slate-400">Comment deleted</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-500">
+            <span className="font-medium text-slate-700">{comment.authorName}</span> · {formatDate(comment.createdAt)}
+          </p>
+          <p className="text-sm text-slate-800 whitespace-pre-wrap break-words">{comment.text}</p>
+          <div className="flex gap-3 mt-1">
+            {user && (
+              <button onClick={() => setReplyTo(threadId)} className="text-xs text-slate-500 hover:text-indigo-600 flex items-center gap-1">
+                <Reply className="w-3 h-3" /> Reply
+              </button>
+            )}
+            {user && comment.authorId === user.uid && (
+              <button onClick={() => handleDelete(comment, hasReplies)} className="text-xs text-slate-500 hover:text-red-600 flex items-center gap-1">
+                <Trash2 className="w-3 h-3" /> Delete
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="w-96 max-w-full shrink-0 bg-white border-l border-slate-200 flex flex-col">
+      <div className="h-12 px-4 border-b border-slate-200 flex items-center justify-between shrink-0">
+        <div className="flex items-center gap-2">
+          <MessageSquare className="w-4 h-4 text-indigo-600" />
+          <h2 className="text-sm font-bold text-slate-800">Comments</h2>
+        </div>
+        <button onClick={onClose} className="p-1.5 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto">
+        {!comments ? (
+          <div className="flex justify-center py-8"><Loader2 className="w-6 h-6 text-slate-300 animate-spin" /></div>
+        ) : threads.length === 0 ? (
+          <p className="px-4 py-8 text-center text-sm text-slate-400">No comments yet.</p>
+        ) : (
+          <div className="divide-y divide-slate-100">
+            {threads.map(({ comment, replies }) => (
+              <div key={comment.id} className="px-4 py-3 space-y-3">
+                {renderComment(comment, replies.length > 0, comment.id)}
+                {replies.length > 0 && (
+                  <div className="pl-4 border-l-2 border-slate-100 space-y-3">
+                    {replies.map(reply => <div key={reply.id}>{renderComment(reply, false, comment.id)}</div>)}
+                  </div>
+                )}
+                {replyTo === comment.id && (
+                  <div className="pl-4">
+                    <CommentForm
+                      placeholder={`Reply to ${comment.deleted ? 'this thread' : comment.authorName}`}
+                      autoFocus
+                      onSubmit={async (text) => {
+                        await addComment(projectId, user, text, comment.id);
+                        setReplyTo(null);
+                      }}
+                      onCancel={() => setReplyTo(null)}
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        {error && <p className="px-4 py-2 text-xs text-red-600">{error}</p>}
+      </div>
+      <div className="p-4 border-t border-slate-200 shrink-0">
+        {user ? (
+          <CommentForm placeholder="Leave feedback on this project" onSubmit={text => addComment(projectId, user, text)} />
+        ) : (
+          <button onClick={onLogin} className="w-full text-sm font-medium px-3 py-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 flex items-center justify-center gap-2">
+            <LogIn className="w-4 h-4" /> Sign in to comment
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentsPanel;
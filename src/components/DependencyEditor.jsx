@@ -0,0 +1,127 @@
+import React, { useState, useMemo } from 'react';
+import { Package, ScanSearch, Plus, Trash2, Loader2, AlertTriangle } from 'lucide-react';
+import {
+  BUILTIN_PACKAGES,
+  RUNTIME_PINNED,
+  scanDependencies,
+  fetchLatestVersion,
+  isValidPackageName
+} from '../lib/dependencies';
+import { buildModuleGraph } from '../lib/srcDoc';
+
+// --- Component: Dependency Manifest Editor ---
+const DependencyEditor = ({ dependencies, files, type, onChange }) => {
+  const [name, setName] = useState('');
+  const [version, setVersion] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState('');
+
+  const entries = Object.entries(dependencies).sort(([a], [b]) => a.localeCompare(b));
+  const { undeclared } = useMemo(() => buildModuleGraph(files, dependencies, [], type), [files, dependencies, type]);
+
+  const addPackages = async (names) => {
+    const versions = await Promise.all(names.map(fetchLatestVersion));
+    const next = { ...dependencies };
+    names.forEach((n, i) => { next[n] = versions[i]; });
+    onChange(next);
+  };
+
+  const handleAdd = async () => {
+    const pkg = name.trim();
+    if (!isValidPackageName(pkg)) {
+      setError(`"${pkg}" is not a valid npm package name.`);
+      return;
+    }
+    if (RUNTIME_PINNED.includes(pkg)) {
+      setError(`${pkg} is provided by the hub runtime and cannot be replaced.`);
+      return;
+    }
+    setError('');
+    if (version.trim()) onChange({ ...dependencies, [pkg]: version.trim() });
+    else await addPackages([pkg]);
+    setName('');
+    setVersion('');
+  };
+
+  const handleScan = async () => {
+    const found = scanDependencies(files, type).filter(n => !dependencies[n] && !BUILTIN_PACKAGES.includes(n));
+    if (found.length === 0) {
+      setError('No new packages found in the import statements.');
+      return;
+    }
+    setError('');
+    setScanning(true);
+    await addPackages(found);
+    setScanning(false);
+  };
+
+  const handleRemove = (pkg) => {
+    const next = { ...dependencies };
+    delete next[pkg];
+    onChange(next);
+  };
+
+  return (
+    <div className="border border-slate-200 rounded-lg">
+      <div className="px-4 py-3 border-b border-slate-100 flex items-center justify-between">
+        <p className="text-xs text-slate-500">React, ReactDOM and lucide-react are provided by the hub runtime.</p>
+        <button type="button" onClick={handleScan} disabled={scanning} className="text-xs font-medium text-indigo-600 hover:text-indigo-800 flex items-center gap-1 disabled:opacity-50">
+          {scanning ? <Loader2 className="w-3 h-3 animate-spin" /> : <ScanSearch className="w-3 h-3" />} Detect from imports
+        </button>
+      </div>
+
+      {entries.length > 0 && (
+        <div className="divide-y divide-slate-100">
+          {entries.map(([pkg, ver]) => (
+            <div key={pkg} className="px-4 py-2 flex items-center gap-3 text-sm">
+              <Package className="w-4 h-4 text-slate-400 shrink-0" />
+              <span className="font-mono flex-1 truncate">{pkg}</span>
+              <input
+                value={ver}
+                onChange={e => onChange({ ...dependencies, [pkg]: e.target.value })}
+                className="w-28 border border-slate-300 rounded px-2 py-1 font-mono text-xs outline-none"
+              />
+              <button type="button" onClick={() => handleRemove(pkg)} className="text-slate-400 hover:text-red-600" title="Remove">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="px-4 py-3 border-t border-slate-100 flex items-center gap-2">
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); handleAdd(); } }}
+          placeholder="package name"
+          className="flex-1 border border-slate-300 rounded px-2 py-1 font-mono text-xs outline-none"
+        />
+        <input
+          value={version}
+          onChange={e => setVersion(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); handleAdd(); } }}
+          placeholder="latest"
+          className="w-28 border border-slate-300 rounded px-2 py-1 font-mono text-xs outline-none"
+        />
+        <button type="button" onClick={handleAdd} disabled={!name.trim()} className="p-1.5 text-slate-500 hover:text-indigo-600 disabled:opacity-40" title="Add dependency">
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+
+      {(error || undeclared.length > 0) && (
+        <div className="px-4 py-2 border-t border-slate-100 text-xs space-y-1">
+          {error && <p className="text-red-600">{error}</p>}
+          {undeclared.map(pkg => (
+            <p key={pkg} className="text-amber-600 flex items-center gap-1.5">
+              <AlertTriangle className="w-3 h-3 shrink-0" /> '{pkg}' is imported but not listed.
+              <button type="button" onClick={() => addPackages([pkg])} className="underline hover:text-amber-800">Add it</button>
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DependencyEditor;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { SquareTerminal, ChevronDown, ChevronUp, Ban, RefreshCw, CircleAlert, AlertTriangle, Info } from 'lucide-react';
+
+const FILTERS = [
+  { key: 'all', label: 'All', match: () => true },
+  { key: 'error', label: 'Errors', match: e => e.level === 'error' },
+  { key: 'warn', label: 'Warnings', match: e => e.level === 'warn' },
+  { key: 'log', label: 'Logs', match: e => e.level !== 'error' && e.level !== 'warn' },
+];
+
+const LEVEL_STYLES = {
+  error: { icon: CircleAlert, row: 'bg-red-50 text-red-700 border-red-100' },
+  warn: { icon: AlertTriangle, row: 'bg-amber-50 text-amber-800 border-amber-100' },
+  info: { icon: Info, row: 'text-slate-700 border-slate-100' },
+  log: { icon: null, row: 'text-slate-700 border-slate-100' },
+  debug: { icon: null, row: 'text-slate-400 border-slate-100' },
+};
+
+// --- Component: Devtools Drawer (console + errors streamed from the sandbox) ---
+const DevtoolsDrawer = ({ entries, open, onToggle, onClear, onReload, onOpenSource }) => {
+  const [filter, setFilter] = useState('all');
+
+  const errorCount = entries.filter(e => e.level === 'error').length;
+  const warnCount = entries.filter(e => e.level === 'warn').length;
+  const visible = entries.filter(FILTERS.find(f => f.key === filter).match);
+
+  return (
+    <div className={`bg-white border-t border-slate-200 flex flex-col shrink-0 ${open ? 'h-64' : ''}`}>
+      <div className="h-9 px-3 flex items-center justify-between text-xs">
+        <button onClick={onToggle} className="flex items-center gap-2 font-medium text-slate-600 hover:text-slate-900">
+          <SquareTerminal className="w-4 h-4" /> Console
+          {errorCount > 0 && <span className="px-1.5 rounded bg-red-100 text-red-700">{errorCount}</span>}
+          {warnCount > 0 && <span className="px-1.5 rounded bg-amber-100 text-amber-800">{warnCount}</span>}
+          {open ? <ChevronDown className="w-3 h-3" /> : <ChevronUp className="w-3 h-3" />}
+        </button>
+        {open && (
+          <div className="flex items-center gap-1">
+            {FILTERS.map(f => (
+              <button
+                key={f.key}
+                onClick={() => setFilter(f.key)}
+                className={`px-2 py-1 rounded ${filter === f.key ? 'bg-slate-100 text-slate-900' : 'text-slate-500 hover:text-slate-800'}`}
+              >
+                {f.label}
+              </button>
+            ))}
+            <div className="w-px h-4 bg-slate-200 mx-1" />
+            <button onClick={onClear} className="p-1 text-slate-400 hover:text-slate-800" title="Clear console"><Ban className="w-3.5 h-3.5" /></button>
+            <button onClick={onReload} className="p-1 text-slate-400 hover:text-slate-800" title="Reload app"><RefreshCw className="w-3.5 h-3.5" /></button>
+          </div>
+        )}
+      </div>
+      {open && (
+        <div className="flex-1 overflow-y-auto font-mono text-xs border-t border-slate-100">
+          {visible.length === 0 && <p className="px-3 py-2 text-slate-400">No messages.</p>}
+          {visible.map((entry) => {
+            const { icon: Icon, row } = LEVEL_STYLES[entry.level] || LEVEL_STYLES.log;
+            const frame = entry.frames?.[0];
+            return (
+              <div key={entry.id} className={`px-3 py-1 border-b flex items-start gap-2 ${row}`}>
+                <span className="w-3.5 shrink-0 mt-0.5">{Icon && <Icon className="w-3.5 h-3.5" />}</span>
+                <pre className="flex-1 whitespace-pre-wrap break-all">{entry.text}</pre>
+                {frame && (onOpenSource ? (
+                  <button onClick={() => onOpenSource(frame.file, frame.line)} className="shrink-0 text-indigo-600 hover:underline" title="Open in editor">
+                    {frame.file}:{frame.line}
+                  </button>
+                ) : (
+                  <span className="shrink-0 text-slate-400">{frame.file}:{frame.line}</span>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DevtoolsDrawer;
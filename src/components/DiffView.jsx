@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { diffLines, toSideBySide, diffStats } from '../lib/diff';
+import { getProjectFiles, serializeFiles } from '../lib/projectFiles';
+
+const CELL_STYLES = {
+  equal: 'text-slate-400',
+  remove: 'bg-red-500/15 text-red-200',
+  add: 'bg-emerald-500/15 text-emerald-200',
+};
+
+// --- Component: Side-by-side diff of two project versions ---
+// `labels` optionally names the two columns.
+const DiffView = ({ base, compare, labels }) => {
+  const { rows, stats } = useMemo(() => {
+    const ops = diffLines(
+      base ? serializeFiles(getProjectFiles(base)) : '',
+      compare ? serializeFiles(getProjectFiles(compare)) : ''
+    );
+    return { rows: toSideBySide(ops), stats: diffStats(ops) };
+  }, [base, compare]);
+
+  const metaChanges = ['title', 'description', 'color'].filter(key => base && compare && base[key] !== compare[key]);
+
+  const renderCell = (cell) => (
+    <div className={`flex min-h-[1.25rem] ${cell ? CELL_STYLES[cell.type] : 'bg-slate-800/60'}`}>
+      <span className="w-10 shrink-0 text-right pr-2 text-slate-600 select-none">{cell?.line ?? ''}</span>
+      <span className="whitespace-pre-wrap break-all pr-2">{cell?.text ?? ''}</span>
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="px-4 py-2 border-b border-slate-200 flex items-center gap-4 text-xs text-slate-500">
+        <span className="text-emerald-600 font-medium">+{stats.added}</span>
+        <span className="text-red-600 font-medium">-{stats.removed}</span>
+        {metaChanges.length > 0 && <span>Also changed: {metaChanges.join(', ')}</span>}
+      </div>
+      {labels && (
+        <div className="grid grid-cols-2 divide-x divide-slate-700 bg-slate-800 text-[11px] font-medium text-slate-300">
+          {labels.map(label => <div key={label} className="px-3 py-1.5">{label}</div>)}
+        </div>
+      )}
+      <div className="flex-1 overflow-auto bg-slate-900 font-mono text-xs">
+        {rows.map((row, i) => (
+          <div key={i} className="grid grid-cols-2 divide-x divide-slate-700">
+            {renderCell(row.left)}
+            {renderCell(row.right)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { onSnapshot } from 'firebase/firestore';
+import { Play, Loader2, AlertTriangle, X, ExternalLink } from 'lucide-react';
+import { auth, projectRef } from '../firebase';
+import { buildSrcDoc } from '../lib/srcDoc';
+import { useProjectContent } from '../lib/useProjectContent';
+import { useSandboxLogs } from '../lib/useSandboxLogs';
+import { useSandboxStorage } from '../lib/useSandboxStorage';
+import { createAppStorage } from '../lib/appStorage';
+import { parseEmbedHash, isEmbedHash, projectUrl } from '../lib/embed';
+import { recordView } from '../lib/views';
+import { isTrashed } from '../lib/trash';
+
+const THEMES = {
+  light: { page: 'bg-white text-slate-500', strip: 'bg-red-50 text-red-700 border-red-200', link: 'text-indigo-600' },
+  dark: { page: 'bg-slate-900 text-slate-400', strip: 'bg-red-950 text-red-200 border-red-900', link: 'text-indigo-300' },
+};
+
+// --- Component: Chrome-less player for #/embed/:id (see lib/embed) ---
+// A page of its own: it only signs in (for shared projects and hub.storage) and loads the one project.
+const EmbedPlayer = () => {
+  const [route, setRoute] = useState(() => parseEmbedHash(window.location.hash));
+  const [user, setUser] = useState(undefined);
+  // { id, project } once the project document has loaded; project is null when it can't be read.
+  const [loaded, setLoaded] = useState({ id: null, project: null });
+  const [playing, setPlaying] = useState(route.options.autoplay);
+  // How many errors of which document were dismissed.
+  const [dismissed, setDismissed] = useState({ doc: null, count: 0 });
+  const iframeRef = useRef(null);
+  const { id, options } = route;
+  const theme = THEMES[options.theme];
+  const uid = user?.uid;
+
+  useEffect(() => onAuthStateChanged(auth, setUser), []);
+
+  useEffect(() => {
+    const handleHash = () => {
+      // Leaving the embed route loads the hub itself.
+      if (!isEmbedHash(window.location.hash)) window.location.reload();
+      else setRoute(parseEmbedHash(window.location.hash));
+    };
+    window.addEventListener('hashchange', handleHash);
+    return () => window.removeEventListener('hashchange', handleHash);
+  }, []);
+
+  // Wait for auth, so a project shared with this visitor isn't refused first. A trashed project
+  // counts as gone here even for those who may restore it, as it does in the list.
+  useEffect(() => {
+    if (user === undefined) return;
+    return onSnapshot(projectRef(id), (snap) => {
+      const found = snap.exists() ? { id: snap.id, ...snap.data() } : null;
+      setLoaded({ id, project: found && !isTrashed(found) ? found : null });
+    }, () => setLoaded({ id, project: null }));
+  }, [id, user]);
+
+  const project = loaded.id === id ? loaded.project : undefined;
+  const viewed = useProjectContent(playing ? project : null);
+
+  useEffect(() => {
+    if (playing && project) recordView(project.id, uid);
+  }, [playing, project, uid]);
+
+  const htmlContent = useMemo(() => (viewed && !viewed.error ? buildSrcDoc(viewed) : ''), [viewed]);
+  const { entries } = useSandboxLogs(iframeRef, htmlContent);
+  const errors = entries.filter(e => e.level === 'error');
+  const dismissedCount = dismissed.doc === htmlContent ? dismissed.count : 0;
+
+  const store = useMemo(() => createAppStorage(project?.id, uid), [project?.id, uid]);
+  useSandboxStorage(iframeRef, store);
+
+  const message = (text) => (
+    <div className={`fixed inset-0 flex flex-col items-center justify-center gap-3 p-4 text-sm text-center ${theme.page}`}>
+      {text}
+      <a href={projectUrl(id)} target="_blank" rel="noreferrer" className={`flex items-center gap-1 font-medium hover:underline ${theme.link}`}>
+        Open in Gemini Hub <ExternalLink className="w-3.5 h-3.5" />
+      </a>
+    </div>
+  );
+
+  if (project === null) return message('This project is private or no longer exists.');
+  if (viewed?.error) return message(viewed.error);
+  if (project === undefined || (playing && !viewed)) {
+    return (
+      <div className={`fixed inset-0 flex items-center justify-center ${theme.page}`}>
+        <Loader2 className="w-6 h-6 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!playing) {
+    return (
+      <button
+        onClick={() => setPlaying(true)}
+        className={`fixed inset-0 w-full flex flex-col items-center justify-center gap-4 bg-cover bg-center group ${theme.page}`}
+        style={project.thumbnail?.url ? { backgroundImage: `url("${project.thumbnail.url}")` } : undefined}
+        title={`Run ${project.title}`}
+      >
+        <span className="w-16 h-16 rounded-full bg-indigo-600 text-white flex items-center justify-center shadow-lg group-hover:scale-110 transition-transform">
+          <Play className="w-7 h-7 ml-1" />
+        </span>
+        <span className="px-3 py-1 rounded-md bg-slate-900/70 text-white text-sm font-medium">{project.title}</span>
+      </button>
+    );
+  }
+
+  return (
+    <div className={`fixed inset-0 ${theme.page}`}>
+      <iframe
+        ref={iframeRef}
+        title={project.title}
+        srcDoc={htmlContent}
+        className="w-full h-full border-0"
+        style={{ colorScheme: options.theme }}
+        sandbox="allow-scripts allow-modals allow-forms allow-popups"
+      />
+      {options.errors && errors.length > dismissedCount && (
+        <div className={`absolute bottom-0 inset-x-0 border-t px-3 py-2 flex items-center gap-2 text-xs ${theme.strip}`}>
+          <AlertTriangle className="w-4 h-4 shrink-0" />
+          <span className="flex-1 truncate font-mono">{errors.at(-1).text}</span>
+          {errors.length > 1 && <span className="shrink-0">{errors.length} errors</span>}
+          <button onClick={() => setDismissed({ doc: htmlContent, count: errors.length })} className="shrink-0 opacity-70 hover:opacity-100" title="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmbedPlayer;
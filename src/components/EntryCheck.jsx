@@ -0,0 +1,51 @@
+import React from 'react';
+import { Crosshair, AlertTriangle, Info, CircleAlert } from 'lucide-react';
+
+const LEVEL_STYLES = {
+  error: { icon: CircleAlert, text: 'text-red-600' },
+  warning: { icon: AlertTriangle, text: 'text-amber-600' },
+  info: { icon: Info, text: 'text-slate-500' },
+};
+
+// --- Component: Detected entry + pre-save warnings ---
+const EntryCheck = ({ analysis, mount, onChange }) => {
+  const detected = analysis.detected;
+  const overrideValid = !mount || analysis.candidates.some(c => c.value === mount);
+
+  return (
+    <div className="border border-slate-200 rounded-lg text-sm">
+      <div className="px-4 py-3 flex items-center gap-3">
+        <Crosshair className="w-4 h-4 text-slate-400 shrink-0" />
+        <span className="text-slate-600">Renders</span>
+        <select
+          value={overrideValid ? mount : ''}
+          onChange={e => onChange(e.target.value)}
+          className="flex-1 border border-slate-300 rounded px-2 py-1 text-xs font-mono outline-none"
+        >
+          <option value="">Auto: {detected ? detected.label : 'nothing detected'}</option>
+          {analysis.candidates.map(c => (
+            <option key={c.value} value={c.value}>{c.label}{c.line ? ` — line ${c.line}` : ''}</option>
+          ))}
+        </select>
+      </div>
+      {!overrideValid && (
+        <p className="px-4 pb-2 text-xs text-amber-600">The saved choice "{mount}" no longer exists in the code; falling back to auto-detection.</p>
+      )}
+      {analysis.warnings.length > 0 && (
+        <div className="px-4 py-2 border-t border-slate-100 space-y-1">
+          {analysis.warnings.map((w, i) => {
+            const { icon: Icon, text } = LEVEL_STYLES[w.level];
+            return (
+              <p key={i} className={`text-xs flex items-start gap-1.5 ${text}`}>
+                <Icon className="w-3 h-3 shrink-0 mt-0.5" />
+                <span>{w.line ? `Line ${w.line}: ` : ''}{w.message}</span>
+              </p>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EntryCheck;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, FileCode, FolderArchive, Loader2 } from 'lucide-react';
+import { downloadStandaloneHtml, downloadViteProject } from '../lib/exportProject';
+
+const OPTIONS = [
+  { key: 'html', icon: FileCode, label: 'Standalone HTML', hint: 'One file that runs on double-click', run: downloadStandaloneHtml },
+  { key: 'vite', icon: FolderArchive, label: 'Vite project (.zip)', hint: 'package.json, index.html and src/', run: downloadViteProject },
+];
+
+// --- Component: Download menu (card actions + viewer header) ---
+const ExportMenu = ({ project, buttonClassName, showLabel = false }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!ref.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleExport = async (option) => {
+    setBusy(option.key);
+    setError('');
+    try {
+      await option.run(project);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div ref={ref} className="relative" onClick={(e) => e.stopPropagation()}>
+      <button onClick={() => setOpen(o => !o)} className={buttonClassName} title="Download">
+        <Download className="w-4 h-4" />
+        {showLabel && <span className="hidden sm:inline">Download</span>}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white border border-slate-200 rounded-lg shadow-lg py-1 z-20 text-left">
+          {OPTIONS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => handleExport(option)}
+              disabled={!!busy}
+              className="w-full px-3 py-2 flex items-start gap-3 hover:bg-slate-50 disabled:opacity-60"
+            >
+              {busy === option.key
+                ? <Loader2 className="w-4 h-4 mt-0.5 text-slate-400 animate-spin shrink-0" />
+                : <option.icon className="w-4 h-4 mt-0.5 text-slate-400 shrink-0" />}
+              <span>
+                <span className="block text-sm font-medium text-slate-800">{option.label}</span>
+                <span className="block text-xs text-slate-500">{option.hint}</span>
+              </span>
+            </button>
+          ))}
+          {error && <p className="px-3 py-2 text-xs text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
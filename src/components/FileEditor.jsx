@@ -0,0 +1,211 @@
+import React, { useState, useMemo, useImperativeHandle } from 'react';
+import { FilePlus, FileCode, FileText, Folder, Star, Pencil, Trash2, X, AlertTriangle } from 'lucide-react';
+import { fileKind, normalizePath } from '../lib/projectFiles';
+import { buildModuleGraph } from '../lib/srcDoc';
+import { parseSource, errorLine } from '../lib/parse';
+import CodeEditor from './CodeEditor';
+
+const FILE_ICONS = { script: FileCode, css: FileCode, html: FileCode, json: FileText, text: FileText };
+
+// Nests flat paths into { dirs: { name: node }, files: [path] } for the sidebar.
+const buildTree = (paths) => {
+  const root = { dirs: {}, files: [] };
+  [...paths].sort().forEach((path) => {
+    const parts = path.split('/');
+    let node = root;
+    parts.slice(0, -1).forEach((part) => {
+      node.dirs[part] = node.dirs[part] || { dirs: {}, files: [] };
+      node = node.dirs[part];
+    });
+    node.files.push(path);
+  });
+  return root;
+};
+
+// Syntax errors as editor diagnostics: the same parse the preview's transpile step would fail on.
+const transpileDiagnostics = (file, type) => {
+  if (!file || fileKind(file.path) !== 'script') return [];
+  return parseSource(file.content, file.path, type).errors.map(err => ({
+    line: errorLine(err) ?? 1,
+    column: err.loc?.column ?? 0,
+    message: err.message.replace(/\s*\(\d+:\d+\)$/, ''),
+  }));
+};
+
+// --- Component: Multi-file Editor (tree + tabs + source) ---
+// `ref` exposes reveal(path, line), used by the live preview's console to jump to a line.
+const FileEditor = ({ files, entry, type, assets, focus, height = 'h-80', onChange, ref }) => {
+  const focusPath = focus && files.some(f => f.path === focus.path) ? focus.path : null;
+  const [openPaths, setOpenPaths] = useState(() => (focusPath && focusPath !== entry ? [entry, focusPath] : [entry]));
+  const [activePath, setActivePath] = useState(focusPath || entry);
+  // Opened from the viewer console: select the reported line.
+  const [reveal, setReveal] = useState(() => (focusPath && focus.line ? { path: focusPath, line: focus.line } : null));
+
+  const paths = files.map(f => f.path);
+  const activeFile = files.find(f => f.path === activePath) || files.find(f => f.path === entry) || files[0];
+  const tree = useMemo(() => buildTree(files.map(f => f.path)), [files]);
+  const { missing } = useMemo(() => buildModuleGraph(files, {}, assets), [files, assets]);
+  const diagnostics = useMemo(() => transpileDiagnostics(activeFile, type), [activeFile, type]);
+
+  const openFile = (path) => {
+    setOpenPaths(prev => (prev.includes(path) ? prev : [...prev, path]));
+    setActivePath(path);
+  };
+
+  useImperativeHandle(ref, () => ({
+    reveal: (path, line) => {
+      if (!paths.includes(path)) return;
+      openFile(path);
+      setReveal({ path, line });
+    },
+  }));
+
+  const closeTab = (path, e) => {
+    e.stopPropagation();
+    const next = openPaths.filter(p => p !== path);
+    setOpenPaths(next);
+    if (activePath === path) setActivePath(next[next.length - 1] || entry);
+  };
+
+  const askForPath = (message, initial) => {
+    const input = window.prompt(message, initial);
+    if (input === null) return null;
+    const path = normalizePath(input.trim());
+    if (!path) return null;
+    if (paths.includes(path) && path !== initial) {
+      window.alert(`A file named "${path}" already exists.`);
+      return null;
+    }
+    return path;
+  };
+
+  const handleAdd = () => {
+    const path = askForPath('New file name (e.g. utils.js, components/Button.jsx, styles.css)', '');
+    if (!path) return;
+    onChange({ files: [...files, { path, content: '' }], entry });
+    openFile(path);
+  };
+
+  const handleRename = (oldPath, e) => {
+    e.stopPropagation();
+    const path = askForPath('Rename file', oldPath);
+    if (!path || path === oldPath) return;
+    onChange({
+      files: files.map(f => (f.path === oldPath ? { ...f, path } : f)),
+      entry: entry === oldPath ? path : entry,
+    });
+    setOpenPaths(prev => prev.map(p => (p === oldPath ? path : p)));
+    if (activePath === oldPath) setActivePath(path);
+  };
+
+  const handleDelete = (path, e) => {
+    e.stopPropagation();
+    if (files.length === 1) return;
+    if (!window.confirm(`Delete ${path}?`)) return;
+    const remaining = files.filter(f => f.path !== path);
+    const nextEntry = entry === path ? remaining[0].path : entry;
+    onChange({ files: remaining, entry: nextEntry });
+    setOpenPaths(prev => prev.filter(p => p !== path));
+    if (activePath === path) setActivePath(nextEntry);
+  };
+
+  const handleSetEntry = (path, e) => {
+    e.stopPropagation();
+    onChange({ files, entry: path });
+  };
+
+  const updateContent = (content) => {
+    onChange({ files: files.map(f => (f.path === activeFile.path ? { ...f, content } : f)), entry });
+  };
+
+  const renderNode = (node, depth) => (
+    <>
+      {Object.entries(node.dirs).map(([name, child]) => (
+        <div key={name}>
+          <div className="flex items-center gap-1.5 py-1 text-slate-500" style={{ paddingLeft: depth * 12 + 8 }}>
+            <Folder className="w-3.5 h-3.5" /> {name}
+          </div>
+          {renderNode(child, depth + 1)}
+        </div>
+      ))}
+      {node.files.map((path) => {
+        const Icon = FILE_ICONS[fileKind(path)];
+        const isActive = activeFile?.path === path;
+        return (
+          <div
+            key={path}
+            onClick={() => openFile(path)}
+            className={`group/file flex items-center gap-1.5 py-1 pr-2 cursor-pointer ${isActive ? 'bg-slate-800 text-white' : 'text-slate-400 hover:bg-slate-800/60'}`}
+            style={{ paddingLeft: depth * 12 + 8 }}
+          >
+            <Icon className="w-3.5 h-3.5 shrink-0" />
+            <span className="truncate flex-1">{path.split('/').pop()}</span>
+            {path === entry && <span title="Entry file"><Star className="w-3 h-3 text-amber-400 fill-amber-400 shrink-0" /></span>}
+            <span className="hidden group-hover/file:flex items-center gap-1 shrink-0">
+              {path !== entry && fileKind(path) !== 'css' && fileKind(path) !== 'json' && (
+                <button type="button" onClick={(e) => handleSetEntry(path, e)} className="hover:text-amber-400" title="Set as entry file"><Star className="w-3 h-3" /></button>
+              )}
+              <button type="button" onClick={(e) => handleRename(path, e)} className="hover:text-white" title="Rename"><Pencil className="w-3 h-3" /></button>
+              {files.length > 1 && (
+                <button type="button" onClick={(e) => handleDelete(path, e)} className="hover:text-red-400" title="Delete"><Trash2 className="w-3 h-3" /></button>
+              )}
+            </span>
+          </div>
+        );
+      })}
+    </>
+  );
+
+  return (
+    <div className="rounded-lg border border-slate-800 overflow-hidden bg-slate-900">
+      <div className={`flex ${height}`}>
+        {/* File Tree */}
+        <div className="w-48 shrink-0 border-r border-slate-800 text-xs font-mono overflow-y-auto">
+          <div className="flex items-center justify-between px-2 py-2 text-slate-500 uppercase tracking-wide text-[10px]">
+            Files
+            <button type="button" onClick={handleAdd} className="hover:text-white" title="Add file"><FilePlus className="w-3.5 h-3.5" /></button>
+          </div>
+          {renderNode(tree, 0)}
+        </div>
+
+        {/* Tabs + Source */}
+        <div className="flex-1 min-w-0 flex flex-col">
+          <div className="flex overflow-x-auto border-b border-slate-800 text-xs font-mono shrink-0">
+            {openPaths.filter(p => paths.includes(p)).map(path => (
+              <div
+                key={path}
+                onClick={() => setActivePath(path)}
+                className={`flex items-center gap-2 px-3 py-2 cursor-pointer border-r border-slate-800 whitespace-nowrap ${activeFile?.path === path ? 'bg-slate-800 text-white' : 'text-slate-500 hover:text-slate-300'}`}
+              >
+                {path}
+                <button type="button" onClick={(e) => closeTab(path, e)} className="hover:text-white"><X className="w-3 h-3" /></button>
+              </div>
+            ))}
+          </div>
+          <div className="flex-1 min-h-0">
+            {activeFile && (
+              <CodeEditor
+                path={activeFile.path}
+                value={activeFile.content}
+                diagnostics={diagnostics}
+                reveal={reveal?.path === activeFile.path ? reveal : null}
+                onChange={updateContent}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+      {missing.length > 0 && (
+        <div className="px-4 py-2 border-t border-slate-800 text-xs text-amber-400 space-y-1">
+          {missing.map(({ from, spec }) => (
+            <p key={`${from}:${spec}`} className="flex items-center gap-1.5">
+              <AlertTriangle className="w-3 h-3 shrink-0" /> Unresolved import '{spec}' in {from}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FileEditor;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { onSnapshot, query, orderBy } from 'firebase/firestore';
+import { X, History, Eye, GitCompare, RotateCcw, Loader2 } from 'lucide-react';
+import { revisionsCol } from '../firebase';
+import { buildSrcDoc } from '../lib/srcDoc';
+import { useProjectContent } from '../lib/useProjectContent';
+import DiffView from './DiffView';
+import ActivityList from './ActivityList';
+
+const formatDate = (ts) => {
+  if (!ts) return 'Saving...';
+  const date = ts.toDate ? ts.toDate() : new Date(ts);
+  return date.getTime() === 0 ? 'Unknown date' : date.toLocaleString();
+};
+
+// --- Component: Revision History Panel ---
+// Revisions hold what the code was; the Activity tab lists who created, changed, moved, trashed
+// or restored the project.
+const HistoryPanel = ({ project, canRestore, onRestore, onClose }) => {
+  const [tab, setTab] = useState('revisions');
+  const [revisions, setRevisions] = useState(null);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    const q = query(revisionsCol(project.id), orderBy('createdAt', 'desc'));
+    const unsub = onSnapshot(q, (snap) => {
+      setRevisions(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => {
+      console.log("History Error:", error.message);
+      setRevisions([]);
+    });
+    return () => unsub();
+  }, [project.id]);
+
+  // Projects saved before history existed have no revisions yet; show the live copy instead.
+  const entries = useMemo(() => {
+    if (!revisions) return [];
+    if (revisions.length > 0) return revisions;
+    return [{ id: 'current', ...project, authorName: null, createdAt: project.updatedAt || project.createdAt }];
+  }, [revisions, project]);
+
+  const compare = entries.find(r => r.id === compareId) || entries[0];
+  const base = entries.find(r => r.id === baseId) || entries[1] || entries[0];
+  const preview = entries.find(r => r.id === previewId);
+  // Load stored files (and the live copy's content doc) for the diff and the preview.
+  const loadedBase = useProjectContent(base);
+  const loadedCompare = useProjectContent(compare);
+  const loadedPreview = useProjectContent(preview);
+  const loadError = [loadedBase, loadedCompare, loadedPreview].find(r => r?.error)?.error;
+  const previewDoc = useMemo(() => (loadedPreview && !loadedPreview.error ? buildSrcDoc(loadedPreview) : ''), [loadedPreview]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore "${revision.title}" from ${formatDate(revision.createdAt)} as the current version?`)) return;
+    setRestoring(true);
+    try {
+      await onRestore(revision);
+      setPreviewId(null);
+    } catch (err) {
+      console.error("Failed to restore revision", err);
+    }
+    setRestoring(false);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-6xl h-full max-h-[90vh] flex flex-col overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="h-14 px-4 border-b border-slate-200 flex items-center justify-between shrink-0">
+          <div className="flex items-center gap-2">
+            <History className="w-5 h-5 text-indigo-600" />
+            <h2 className="font-bold text-slate-800">History: {project.title}</h2>
+            <div className="ml-4 flex bg-slate-100 rounded-lg p-0.5 text-xs font-medium">
+              {[['revisions', 'Revisions'], ['activity', 'Activity']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setTab(key)}
+                  className={`px-3 py-1 rounded-md ${tab === key ? 'bg-white text-slate-800 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {tab === 'activity' ? (
+          <div className="flex-1 overflow-y-auto">
+            <ActivityList projectId={project.id} />
+          </div>
+        ) : !revisions ? (
+          <div className="flex-1 flex items-center justify-center"><Loader2 className="w-8 h-8 text-indigo-600 animate-spin" /></div>
+        ) : (
+          <div className="flex-1 flex min-h-0">
+            {/* Revision List */}
+            <div className="w-80 shrink-0 border-r border-slate-200 overflow-y-auto">
+              <div className="px-4 py-2 text-xs text-slate-400 border-b border-slate-100 flex justify-between">
+                <span>{entries.length} revision{entries.length === 1 ? '' : 's'}</span>
+                <span>A = base, B = compare</span>
+              </div>
+              {entries.map((rev, index) => (
+                <div key={rev.id} className={`px-4 py-3 border-b border-slate-100 ${preview?.id === rev.id ? 'bg-indigo-50' : ''}`}>
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-slate-800 truncate">
+                        {rev.title}
+                        {index === 0 && <span className="ml-2 text-[10px] uppercase font-bold text-emerald-600">Current</span>}
+                      </p>
+                      <p className="text-xs text-slate-500">{formatDate(rev.createdAt)}</p>
+                      <p className="text-xs text-slate-400 truncate">
+                        {rev.baseline ? 'Original version' : (rev.authorName || 'Unknown author')}
+                        {rev.restoredFrom && ' · restored'}
+                      </p>
+                    </div>
+                    <div className="flex gap-1 shrink-0">
+                      <button onClick={() => setBaseId(rev.id)} className={`w-6 h-6 rounded text-xs font-bold ${base?.id === rev.id ? 'bg-red-100 text-red-700' : 'bg-slate-100 text-slate-400 hover:text-slate-700'}`} title="Use as base (A)">A</button>
+                      <button onClick={() => setCompareId(rev.id)} className={`w-6 h-6 rounded text-xs font-bold ${compare?.id === rev.id ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-100 text-slate-400 hover:text-slate-700'}`} title="Compare against (B)">B</button>
+                    </div>
+                  </div>
+                  <div className="flex gap-3 mt-2">
+                    <button onClick={() => setPreviewId(rev.id)} className="text-xs text-slate-500 hover:text-indigo-600 flex items-center gap-1">
+                      <Eye className="w-3 h-3" /> Preview
+                    </button>
+                    {canRestore && index > 0 && (
+                      <button onClick={() => handleRestore(rev)} disabled={restoring} className="text-xs text-slate-500 hover:text-indigo-600 flex items-center gap-1 disabled:opacity-50">
+                        <RotateCcw className="w-3 h-3" /> Restore
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Diff / Preview */}
+            <div className="flex-1 min-w-0 flex flex-col">
+              {preview ? (
+                <>
+                  <div className="px-4 py-2 border-b border-slate-200 flex items-center justify-between text-xs text-slate-500">
+                    <span>Previewing revision from {formatDate(preview.createdAt)}</span>
+                    <button onClick={() => setPreviewId(null)} className="flex items-center gap-1 hover:text-indigo-600">
+                      <GitCompare className="w-3 h-3" /> Back to diff
+                    </button>
+                  </div>
+                  <iframe
+                    title="Revision Preview"
+                    srcDoc={previewDoc}
+                    className="flex-1 w-full border-0"
+                    sandbox="allow-scripts allow-modals allow-forms allow-popups"
+                  />
+                </>
+              ) : loadError ? (
+                <div className="flex-1 flex items-center justify-center text-sm text-red-600">{loadError}</div>
+              ) : (base && !loadedBase) || (compare && !loadedCompare) ? (
+                <div className="flex-1 flex items-center justify-center"><Loader2 className="w-6 h-6 text-indigo-600 animate-spin" /></div>
+              ) : (
+                <DiffView base={loadedBase} compare={loadedCompare} />
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { X, Upload, Loader2, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { IMPORT_ACTIONS, planImport, commitImport } from '../lib/hubArchive';
+
+const COLLISION_LABELS = {
+  id: 'Same ID as',
+  title: 'Same title as',
+};
+
+// --- Component: Preview + per-collision choices for a hub archive import ---
+const ImportHubDialog = ({ archive, existing, user, onClose }) => {
+  const [plan, setPlan] = useState(() => planImport(archive.projects, existing));
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const collisions = plan.filter(item => item.collision);
+  const toWrite = plan.filter(item => item.action !== 'skip');
+
+  const setAction = (index, action) => {
+    setPlan(prev => prev.map((item, i) => (i === index ? { ...item, action } : item)));
+  };
+
+  const setAllCollisions = (action) => {
+    setPlan(prev => prev.map(item => (item.collision ? { ...item, action } : item)));
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setProgress({ done: 0, total: toWrite.length });
+    try {
+      const count = await commitImport(plan, existing, user, {
+        collections: archive.collections,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      setResult(count);
+    } catch (err) {
+      setError(err.message);
+    }
+    setProgress(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/50 flex items-center justify-center p-4" onClick={progress ? undefined : onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="h-14 px-4 border-b border-slate-200 flex items-center justify-between shrink-0">
+          <div className="flex items-center gap-2">
+            <Upload className="w-5 h-5 text-indigo-600" />
+            <h2 className="font-bold text-slate-800">Import hub</h2>
+          </div>
+          <button onClick={onClose} disabled={!!progress} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800 disabled:opacity-50">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {result !== null ? (
+          <div className="p-8 text-center">
+            <CheckCircle2 className="w-10 h-10 text-emerald-500 mx-auto mb-3" />
+            <p className="text-slate-800 font-medium">Imported {result} project{result === 1 ? '' : 's'}.</p>
+            <button onClick={onClose} className="mt-6 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg shadow-sm">Done</button>
+          </div>
+        ) : (
+          <>
+            <div className="px-4 py-3 border-b border-slate-100 text-sm text-slate-600 flex flex-wrap items-center justify-between gap-3">
+              <span>
+                {archive.projects.length} project{archive.projects.length === 1 ? '' : 's'} from <span className="font-mono">{archive.source}</span>
+                {archive.exportedAt && <>, exported {new Date(archive.exportedAt).toLocaleString()}</>}
+              </span>
+              {collisions.length > 0 && (
+                <span className="flex items-center gap-2 text-xs">
+                  <AlertTriangle className="w-4 h-4 text-amber-500" /> {collisions.length} collision{collisions.length === 1 ? '' : 's'}:
+                  {Object.entries(IMPORT_ACTIONS).map(([key, label]) => (
+                    <button key={key} onClick={() => setAllCollisions(key)} className="text-indigo-600 hover:underline">{label.split(' ')[0]} all</button>
+                  ))}
+                </span>
+              )}
+            </div>
+            <div className="flex-1 overflow-y-auto divide-y divide-slate-100">
+              {plan.map((item, index) => (
+                <div key={item.project.id} className="px-4 py-3 flex items-center gap-3 text-sm">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-slate-800 truncate">{item.project.title}</p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {item.project.files.length} file{item.project.files.length === 1 ? '' : 's'} · {item.project.visibility}
+                      {item.collision && (
+                        <span className="text-amber-600"> · {COLLISION_LABELS[item.collision.kind]} "{item.collision.target.title}"</span>
+                      )}
+                    </p>
+                  </div>
+                  {item.collision ? (
+                    <select
+                      value={item.action}
+                      onChange={e => setAction(index, e.target.value)}
+                      className="border border-slate-300 rounded px-2 py-1 text-xs outline-none"
+                    >
+                      {Object.entries(IMPORT_ACTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  ) : (
+                    <span className="text-xs font-medium text-emerald-600">New</span>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="px-4 py-3 border-t border-slate-200 flex items-center justify-between gap-4">
+              <span className="text-sm text-red-600">{error}</span>
+              <button
+                onClick={handleImport}
+                disabled={!!progress || toWrite.length === 0}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg shadow-sm flex items-center gap-2 disabled:opacity-60"
+              >
+                {progress && <Loader2 className="w-4 h-4 animate-spin" />}
+                {progress ? `Importing ${progress.done}/${progress.total}...` : `Import ${toWrite.length} project${toWrite.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportHubDialog;
@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Eye, Loader2, RefreshCw } from 'lucide-react';
+import { buildSrcDoc } from '../lib/srcDoc';
+import { useSandboxLogs } from '../lib/useSandboxLogs';
+import { useSandboxStorage } from '../lib/useSandboxStorage';
+import { createAppStorage } from '../lib/appStorage';
+import DevtoolsDrawer from './DevtoolsDrawer';
+
+// Wait for a pause in typing before rebuilding the document.
+const PREVIEW_DELAY = 500;
+
+// --- Component: Live preview of an unsaved project, next to the editor ---
+// Renders through the same buildSrcDoc pipeline and sandbox as ProjectViewer.
+const LivePreview = ({ project, height = 'h-80', onOpenSource }) => {
+  const iframeRef = useRef(null);
+  const [rendered, setRendered] = useState(project);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [devtoolsOpen, setDevtoolsOpen] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setRendered(project), PREVIEW_DELAY);
+    return () => clearTimeout(timer);
+  }, [project]);
+
+  const htmlContent = useMemo(() => buildSrcDoc(rendered), [rendered]);
+  const docKey = `${reloadCount}:${htmlContent}`;
+  const { entries, clear } = useSandboxLogs(iframeRef, docKey);
+  // The draft has no id yet, so its hub.storage data only lasts while the form is open.
+  const [store] = useState(() => createAppStorage(null, null));
+  useSandboxStorage(iframeRef, store);
+
+  return (
+    <div className={`rounded-lg border border-slate-200 overflow-hidden bg-white flex flex-col ${height}`}>
+      <div className="h-9 px-3 border-b border-slate-200 flex items-center justify-between text-xs text-slate-500 shrink-0">
+        <span className="flex items-center gap-2 font-medium">
+          <Eye className="w-4 h-4" /> Preview
+          {rendered !== project && <Loader2 className="w-3 h-3 animate-spin" />}
+        </span>
+        <button type="button" onClick={() => setReloadCount(c => c + 1)} className="p-1 text-slate-400 hover:text-slate-800" title="Reload preview">
+          <RefreshCw className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <div className="flex-1 min-h-0 bg-white">
+        {htmlContent ? (
+          <iframe
+            key={reloadCount}
+            ref={iframeRef}
+            title="Live Preview"
+            srcDoc={htmlContent}
+            className="w-full h-full border-0"
+            sandbox="allow-scripts allow-modals allow-forms allow-popups"
+          />
+        ) : (
+          <div className="h-full flex items-center justify-center text-sm text-slate-400">Add code to the entry file to see it here.</div>
+        )}
+      </div>
+      <DevtoolsDrawer
+        entries={entries}
+        open={devtoolsOpen}
+        onToggle={() => setDevtoolsOpen(o => !o)}
+        onClear={clear}
+        onReload={() => setReloadCount(c => c + 1)}
+        onOpenSource={onOpenSource}
+      />
+    </div>
+  );
+};
+
+export default LivePreview;
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from 'react';
+import { Loader2 } from 'lucide-react';
+
+// --- Component: Loads the next page of the project list as it scrolls into view ---
+// The button covers browsers without IntersectionObserver and keyboard users.
+const LoadMore = ({ loading, hasMore, onLoadMore }) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (loading || !hasMore || !window.IntersectionObserver) return;
+    // A new observer reports whether the marker is in view right away, so pages keep loading
+    // until the list reaches past the screen (or a search has found enough).
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [loading, hasMore, onLoadMore]);
+
+  return (
+    <div ref={ref} className="flex justify-center py-10">
+      {loading ? (
+        <Loader2 className="w-8 h-8 text-slate-300 animate-spin" />
+      ) : hasMore && (
+        <button onClick={onLoadMore} className="text-sm font-medium px-4 py-2 rounded-lg border border-slate-200 bg-white text-slate-600 hover:bg-slate-50">
+          Load more projects
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LoadMore;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Code, ExternalLink, Pencil, Trash2, GripVertical, History, GitFork, Eye, Star, MessageSquare } from 'lucide-react';
+import { COLORS, CATEGORIES } from '../constants';
+import { categoryOf } from '../lib/search';
+import { PROJECT_TYPES, listedTypeOf } from '../lib/projectTypes';
+import VisibilityBadge from './VisibilityBadge';
+import ExportMenu from './ExportMenu';
+
+// --- Component: Project tile in the hub grid ---
+// Remix/edit/delete buttons only render when their handlers are passed, so the caller decides permissions;
+// without onToggleStar (guests) the star only shows the count.
+const ProjectCard = ({
+  project: p, canDrag, dragging, starred, onOpen, onShowHistory, onRemix, onEdit, onDelete, onToggleStar, onTagClick, onDragStart, onMoveKey
+}) => {
+  const theme = COLORS[p.color || 'indigo'];
+  // Falls back to the icon when there is no thumbnail yet or it fails to load.
+  const [brokenImage, setBrokenImage] = useState(null);
+  const thumbnail = p.thumbnail?.url && p.thumbnail.url !== brokenImage ? p.thumbnail.url : null;
+  // The image and the tags each take a line from the description.
+  const descriptionClamp = ['line-clamp-1', 'line-clamp-2', 'line-clamp-3'][2 - (thumbnail ? 1 : 0) - (p.tags?.length ? 1 : 0)];
+  const type = PROJECT_TYPES[listedTypeOf(p)];
+  return (
+    <div 
+      data-project-id={p.id}
+      onClick={onOpen}
+      className={`group bg-white border rounded-xl overflow-hidden transition-all cursor-pointer flex flex-col h-[300px] relative ${theme.border} ${theme.shadow} hover:shadow-xl ${dragging ? 'opacity-50' : ''}`}
+    >
+
+      {/* --- CARD ACTIONS --- */}
+      <div className="absolute top-3 right-3 flex gap-2 z-10 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 pointer-coarse:opacity-100 transition-opacity">
+        <button 
+          onClick={onShowHistory}
+          className="p-2 bg-white text-slate-500 hover:text-indigo-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
+          title="Revision History"
+        >
+          <History className="w-4 h-4" />
+        </button>
+        <ExportMenu
+          project={p}
+          buttonClassName="p-2 bg-white text-slate-500 hover:text-indigo-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
+        />
+        {canDrag && (
+          /* DRAG HANDLE (pointer drag, or arrow keys when focused) */
+          <button 
+            type="button"
+            onPointerDown={onDragStart}
+            onKeyDown={onMoveKey}
+            onClick={(e) => e.stopPropagation()}
+            className="p-2 bg-white text-slate-400 hover:text-slate-800 border border-slate-200 rounded-full shadow-sm cursor-grab active:cursor-grabbing touch-none"
+            title="Drag to Reorder (or focus and use the arrow keys)"
+            aria-label={`Reorder ${p.title}`}
+          >
+             <GripVertical className="w-4 h-4" />
+          </button>
+        )}
+        {onRemix && (
+          <button 
+            onClick={onRemix}
+            className="p-2 bg-white text-slate-500 hover:text-indigo-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
+            title="Remix into a new project"
+          >
+            <GitFork className="w-4 h-4" />
+          </button>
+        )}
+        {onEdit && (
+          <button 
+            onClick={onEdit}
+            className="p-2 bg-white text-slate-500 hover:text-indigo-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
+            title="Edit Project"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+        {onDelete && (
+          <button 
+            onClick={onDelete}
+            className="p-2 bg-white text-slate-500 hover:text-red-600 border border-slate-200 rounded-full shadow-sm hover:shadow-md transition-all"
+            title="Move to trash"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {thumbnail && (
+        <img
+          src={thumbnail}
+          alt=""
+          loading="lazy"
+          onError={() => setBrokenImage(thumbnail)}
+          className={`w-full h-28 object-cover object-top shrink-0 border-b ${theme.bg} ${theme.border}`}
+        />
+      )}
+      <div className={`flex-1 min-h-0 ${thumbnail ? 'px-6 pt-4' : 'p-6'}`}>
+        {!thumbnail && (
+          <div className="flex justify-between items-start mb-4">
+            <div className={`w-10 h-10 rounded-lg flex items-center justify-center ${theme.bg} ${theme.text}`}>
+              <Code className="w-5 h-5" />
+            </div>
+            <ExternalLink className="w-4 h-4 text-slate-300 group-hover:text-indigo-400" />
+          </div>
+        )}
+        <h3 className={`text-lg font-bold text-slate-900 mb-2 line-clamp-1 group-hover:${theme.text}`}>{p.title}</h3>
+        <p className={`text-slate-500 text-sm leading-relaxed ${descriptionClamp}`}>{p.description}</p>
+        {p.tags?.length > 0 && (
+          <div className="mt-3 flex flex-wrap gap-1.5">
+            {p.tags.slice(0, 3).map(tag => (
+              <button key={tag} onClick={(e) => onTagClick(tag, e)} className="text-xs text-slate-500 bg-slate-100 hover:bg-slate-200 rounded px-1.5 py-0.5">#{tag}</button>
+            ))}
+            {p.tags.length > 3 && <span className="text-xs text-slate-400 px-1 py-0.5">+{p.tags.length - 3}</span>}
+          </div>
+        )}
+      </div>
+      <div className="px-6 py-4 border-t border-slate-50 bg-slate-50/50 group-hover:bg-white transition-colors flex items-center justify-between gap-3">
+        <div className="flex items-center gap-2 min-w-0 overflow-hidden">
+          <span className="text-xs font-medium text-slate-400 bg-white border border-slate-200 px-2 py-1 rounded">{CATEGORIES[categoryOf(p)]?.name || CATEGORIES.app.name}</span>
+          {type && <span className="text-xs font-medium text-slate-400 bg-white border border-slate-200 px-2 py-1 rounded" title={type.description}>{type.label}</span>}
+          <VisibilityBadge project={p} />
+        </div>
+        <div className="flex items-center gap-2.5 text-xs text-slate-400 shrink-0">
+          <span className="flex items-center gap-1" title="Views"><Eye className="w-3.5 h-3.5" /> {p.viewCount || 0}</span>
+          <button
+            onClick={onToggleStar || ((e) => e.stopPropagation())}
+            className={`flex items-center gap-1 ${starred ? 'text-amber-500' : ''} ${onToggleStar ? 'hover:text-amber-500' : 'cursor-default'}`}
+            title={!onToggleStar ? 'Stars' : starred ? 'Remove from your starred projects' : 'Star this project'}
+          >
+            <Star className={`w-3.5 h-3.5 ${starred ? 'fill-current' : ''}`} /> {p.starCount || 0}
+          </button>
+          <span className="flex items-center gap-1" title="Comments"><MessageSquare className="w-3.5 h-3.5" /> {p.commentCount || 0}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectCard;
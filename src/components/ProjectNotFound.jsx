@@ -0,0 +1,23 @@
+import React from 'react';
+import { SearchX } from 'lucide-react';
+
+// --- Component: Project link that doesn't resolve (deleted, or private to this visitor) ---
+const ProjectNotFound = ({ user, onLogin, onExit }) => (
+  <div className="flex flex-col items-center justify-center min-h-screen bg-slate-50 p-4">
+    <div className="bg-white p-8 rounded-2xl shadow-lg border border-slate-100 max-w-md w-full text-center">
+      <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-6"><SearchX className="w-8 h-8 text-slate-500" /></div>
+      <h2 className="text-2xl font-bold text-slate-800 mb-2">Project not found</h2>
+      {!user ? (
+        <>
+          <p className="text-slate-500 mb-8">This project doesn't exist or is private. If it was shared with you, sign in to open it.</p>
+          <button onClick={onLogin} className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors">Log In with Google</button>
+        </>
+      ) : (
+        <p className="text-slate-500 mb-8">This project doesn't exist, or it is private and {user.email} doesn't have access to it.</p>
+      )}
+      <button onClick={onExit} className="mt-4 text-slate-400 hover:text-slate-600 text-sm">Back to Hub</button>
+    </div>
+  </div>
+);
+
+export default ProjectNotFound;
@@ -0,0 +1,167 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { ArrowLeft, Globe, History, Eraser, GitFork, Share2, Trash2, RotateCcw, Star, MessageSquare } from 'lucide-react';
+import { buildSrcDoc } from '../lib/srcDoc';
+import { useSandboxLogs } from '../lib/useSandboxLogs';
+import { useSandboxStorage } from '../lib/useSandboxStorage';
+import { createAppStorage } from '../lib/appStorage';
+import DevtoolsDrawer from './DevtoolsDrawer';
+import VisibilityBadge from './VisibilityBadge';
+import ExportMenu from './ExportMenu';
+import ThumbnailMenu from './ThumbnailMenu';
+import RemixList from './RemixList';
+import ShareDialog from './ShareDialog';
+import CommentsPanel from './CommentsPanel';
+
+// --- Component: Project Viewer (Smart Renderer) ---
+// Starring needs a signed-in user: without onToggleStar the star only shows the count.
+const ProjectViewer = ({
+  project, error, user, canSetThumbnail, remixes = [], trashed, starred,
+  onExit, onShowHistory, onOpenSource, onRemix, onRestoreFromTrash, onToggleStar, onLogin
+}) => {
+  const iframeRef = useRef(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [devtoolsOpen, setDevtoolsOpen] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [commentsOpen, setCommentsOpen] = useState(false);
+
+  const htmlContent = useMemo(() => {
+    if (!project) return '';
+    return buildSrcDoc(project);
+  }, [project]);
+
+  const docKey = `${reloadCount}:${htmlContent}`;
+  const { entries, clear } = useSandboxLogs(iframeRef, docKey, () => setDevtoolsOpen(true));
+
+  // hub.storage data for this project and visitor.
+  const projectId = project?.id;
+  const userId = user?.uid;
+  const store = useMemo(() => createAppStorage(projectId, userId), [projectId, userId]);
+  useSandboxStorage(iframeRef, store);
+
+  const handleClearData = async () => {
+    if (!window.confirm(`Clear everything "${project.title}" has saved for you (scores, settings and the like)? This cannot be undone.`)) return;
+    try {
+      await store.clear();
+    } catch (error) {
+      console.log("App Data Error:", error.message);
+    }
+    setReloadCount(c => c + 1);
+  };
+
+  if (error) {
+    return (
+      <div className="flex flex-col items-center justify-center h-screen gap-4">
+        <p className="text-sm text-red-600">{error}</p>
+        <button onClick={onExit} className="text-indigo-600 font-medium hover:underline">Back to Hub</button>
+      </div>
+    );
+  }
+  if (!project) return <div className="flex items-center justify-center h-screen text-slate-500">Loading Project...</div>;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-100 flex flex-col">
+      <div className="h-14 bg-white border-b border-slate-200 flex items-center px-4 justify-between shadow-sm shrink-0">
+        <div className="flex items-center gap-4">
+          <button onClick={onExit} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800">
+            <ArrowLeft className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-sm font-bold text-slate-800">{project.title}</h1>
+            {project.forkedFrom ? (
+              <span className="text-xs text-slate-500 flex items-center gap-1">
+                <GitFork className="w-3 h-3" /> Remix of <a href={`#/project/${project.forkedFrom.id}`} className="text-indigo-600 hover:underline truncate max-w-48">{project.forkedFrom.title}</a>
+              </span>
+            ) : (
+              <span className="text-xs text-slate-500 flex items-center gap-1"><Globe className="w-3 h-3" /> Hosted on Gemini Hub</span>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <VisibilityBadge project={project} />
+          <button
+            onClick={onToggleStar}
+            disabled={!onToggleStar}
+            className={`text-sm font-medium px-3 py-2 rounded-lg flex items-center gap-2 ${starred ? 'text-amber-500' : 'text-slate-600'} enabled:hover:bg-slate-100`}
+            title={!onToggleStar ? 'Sign in to star projects' : starred ? 'Remove from your starred projects' : 'Star this project'}
+          >
+            <Star className={`w-4 h-4 ${starred ? 'fill-current' : ''}`} /> {project.starCount || 0}
+          </button>
+          <button
+            onClick={() => setCommentsOpen(o => !o)}
+            className={`text-sm font-medium px-3 py-2 rounded-lg flex items-center gap-2 ${commentsOpen ? 'bg-indigo-50 text-indigo-600' : 'text-slate-600 hover:bg-slate-100'}`}
+            title="Comments"
+          >
+            <MessageSquare className="w-4 h-4" /> {project.commentCount || 0}
+          </button>
+          <RemixList
+            remixes={remixes}
+            buttonClassName="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2"
+          />
+          {onRemix && (
+            <button onClick={onRemix} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2" title="Remix into a new project">
+              <GitFork className="w-4 h-4" /> <span className="hidden sm:inline">Remix</span>
+            </button>
+          )}
+          <button onClick={onShowHistory} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2" title="Revision History">
+            <History className="w-4 h-4" /> <span className="hidden sm:inline">History</span>
+          </button>
+          <button onClick={handleClearData} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2" title="Clear the data this app saved for you">
+            <Eraser className="w-4 h-4" /> <span className="hidden sm:inline">Clear app data</span>
+          </button>
+          {canSetThumbnail && (
+            <ThumbnailMenu
+              project={project}
+              iframeRef={iframeRef}
+              buttonClassName="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2"
+            />
+          )}
+          <button onClick={() => setSharing(true)} className="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2" title="Link, embed code and QR code">
+            <Share2 className="w-4 h-4" /> <span className="hidden sm:inline">Share</span>
+          </button>
+          <ExportMenu
+            project={project}
+            showLabel
+            buttonClassName="text-sm font-medium px-3 py-2 rounded-lg text-slate-600 hover:bg-slate-100 flex items-center gap-2"
+          />
+        </div>
+      </div>
+      {trashed && (
+        <div className="px-4 py-2 bg-amber-50 border-b border-amber-200 text-sm text-amber-900 flex items-center gap-2 shrink-0">
+          <Trash2 className="w-4 h-4 shrink-0" />
+          <span className="flex-1">This project is in the trash. Only you and others who may delete it can open it.</span>
+          {onRestoreFromTrash && (
+            <button onClick={onRestoreFromTrash} className="font-medium px-3 py-1 rounded-lg hover:bg-amber-100 flex items-center gap-1.5">
+              <RotateCcw className="w-4 h-4" /> Restore
+            </button>
+          )}
+        </div>
+      )}
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 min-w-0 bg-slate-200 p-4 overflow-hidden">
+          <div className="w-full h-full bg-white rounded-lg shadow-lg overflow-hidden border border-slate-300 relative">
+            <iframe
+              key={reloadCount}
+              ref={iframeRef}
+              title="Project View"
+              srcDoc={htmlContent}
+              className="w-full h-full border-0"
+              sandbox="allow-scripts allow-modals allow-forms allow-popups"
+            />
+          </div>
+        </div>
+        {commentsOpen && <CommentsPanel projectId={project.id} user={user} onLogin={onLogin} onClose={() => setCommentsOpen(false)} />}
+      </div>
+      <DevtoolsDrawer
+        entries={entries}
+        open={devtoolsOpen}
+        onToggle={() => setDevtoolsOpen(o => !o)}
+        onClear={clear}
+        onReload={() => setReloadCount(c => c + 1)}
+        onOpenSource={onOpenSource}
+      />
+      {sharing && <ShareDialog project={project} onClose={() => setSharing(false)} />}
+    </div>
+  );
+};
+
+export default ProjectViewer;
@@ -0,0 +1,51 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { GitFork, ArrowRight } from 'lucide-react';
+
+const formatDate = (ts) => (ts?.toDate ? ts.toDate().toLocaleDateString() : '');
+
+// --- Component: "Remixed N times" with the remixes this visitor can see (viewer header) ---
+const RemixList = ({ remixes, buttonClassName }) => {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!ref.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  if (remixes.length === 0) return null;
+
+  return (
+    <div ref={ref} className="relative">
+      <button onClick={() => setOpen(o => !o)} className={buttonClassName} title="Projects remixed from this one">
+        <GitFork className="w-4 h-4" />
+        <span className="hidden sm:inline">Remixed {remixes.length} time{remixes.length === 1 ? '' : 's'}</span>
+        <span className="sm:hidden">{remixes.length}</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 max-h-80 overflow-y-auto bg-white border border-slate-200 rounded-lg shadow-lg py-1 z-20 text-left">
+          {remixes.map(remix => (
+            <a
+              key={remix.id}
+              href={`#/project/${remix.id}`}
+              onClick={() => setOpen(false)}
+              className="px-3 py-2 flex items-center gap-3 hover:bg-slate-50"
+            >
+              <span className="flex-1 min-w-0">
+                <span className="block text-sm font-medium text-slate-800 truncate">{remix.title}</span>
+                <span className="block text-xs text-slate-500">{formatDate(remix.createdAt)}</span>
+              </span>
+              <ArrowRight className="w-4 h-4 text-slate-300 shrink-0" />
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RemixList;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { X, AlertTriangle, GitMerge } from 'lucide-react';
+import DiffView from './DiffView';
+
+const formatDate = (ts) => (ts?.toDate ? ts.toDate().toLocaleString() : 'just now');
+
+// --- Component: Save rejected because someone else saved the project in the meantime ---
+// Shows the saved version against yours; merging folds both into the form, overwriting saves yours as is.
+const SaveConflictDialog = ({ mine, theirs, saving, onMerge, onOverwrite, onClose }) => (
+  <div className="fixed inset-0 z-[60] bg-slate-900/50 flex items-center justify-center p-4" onClick={saving ? undefined : onClose}>
+    <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl h-full max-h-[85vh] flex flex-col overflow-hidden" onClick={e => e.stopPropagation()}>
+      <div className="h-14 px-4 border-b border-slate-200 flex items-center justify-between shrink-0">
+        <div className="flex items-center gap-2">
+          <AlertTriangle className="w-5 h-5 text-amber-500" />
+          <h2 className="font-bold text-slate-800">This project changed while you were editing</h2>
+        </div>
+        <button onClick={onClose} disabled={saving} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800 disabled:opacity-50">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <p className="px-6 py-3 text-sm text-slate-600 border-b border-slate-100">
+        A newer version was saved {formatDate(theirs.updatedAt)}. Merge it with your changes to keep both (anything you both
+        changed differently is marked in the editor), or overwrite it with your version.
+      </p>
+      <div className="flex-1 min-h-0">
+        <DiffView base={theirs} compare={mine} labels={['Saved version', 'Your version']} />
+      </div>
+      <div className="px-6 py-4 border-t border-slate-100 flex items-center justify-end gap-3">
+        <button type="button" onClick={onClose} disabled={saving} className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg text-sm">Cancel</button>
+        <button type="button" onClick={onOverwrite} disabled={saving} className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm disabled:opacity-50">
+          {saving ? 'Saving...' : 'Overwrite with mine'}
+        </button>
+        <button type="button" onClick={onMerge} disabled={saving} className="bg-indigo-600 hover:bg-indigo-700 text-white px-5 py-2 rounded-lg shadow-sm text-sm flex items-center gap-2 disabled:opacity-50">
+          <GitMerge className="w-4 h-4" /> Merge
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default SaveConflictDialog;
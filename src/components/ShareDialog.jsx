@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import QRCode from 'qrcode';
+import { X, Share2, Copy, Check, Download, Lock, Link } from 'lucide-react';
+import { projectUrl, embedUrl, embedSnippet, EMBED_DEFAULTS, EMBED_SIZES } from '../lib/embed';
+import { visibilityOf } from '../lib/access';
+import { slugify, downloadFile } from '../lib/exportProject';
+
+const QR_SIZE = 176;
+
+const VISIBILITY_NOTES = {
+  unlisted: { icon: Link, text: 'This project is unlisted: anyone with the link or embed can open it, but it stays out of the hub list.' },
+  private: { icon: Lock, text: 'This project is private: the link and embed only work for you and the people it is shared with.' },
+};
+
+// Copies `text` (or what `getData` resolves to, for images) and says so for a moment.
+const CopyButton = ({ text, getData, label = 'Copy' }) => {
+  const [state, setState] = useState('idle');
+
+  const handleCopy = async () => {
+    try {
+      if (getData) await navigator.clipboard.write([new ClipboardItem(await getData())]);
+      else await navigator.clipboard.writeText(text);
+      setState('copied');
+    } catch (error) {
+      console.log("Clipboard Error:", error.message);
+      setState('failed');
+    }
+    setTimeout(() => setState('idle'), 1500);
+  };
+
+  return (
+    <button type="button" onClick={handleCopy} className="shrink-0 text-xs font-medium px-3 py-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 flex items-center gap-1.5">
+      {state === 'copied' ? <Check className="w-3.5 h-3.5 text-emerald-600" /> : <Copy className="w-3.5 h-3.5" />}
+      {state === 'copied' ? 'Copied' : state === 'failed' ? 'Copy failed' : label}
+    </button>
+  );
+};
+
+// --- Component: Share dialog (direct link, embed snippet and QR code) ---
+const ShareDialog = ({ project, onClose }) => {
+  const [options, setOptions] = useState(EMBED_DEFAULTS);
+  const [size, setSize] = useState('medium');
+  const canvasRef = useRef(null);
+  const link = projectUrl(project.id);
+  const embed = embedUrl(project.id, options);
+  const snippet = embedSnippet(embed, project.title, EMBED_SIZES[size]);
+  const note = VISIBILITY_NOTES[visibilityOf(project)];
+
+  useEffect(() => {
+    QRCode.toCanvas(canvasRef.current, link, { width: QR_SIZE, margin: 1 })
+      .catch(error => console.log("QR Code Error:", error.message));
+  }, [link]);
+
+  const qrBlob = () => new Promise((resolve, reject) => {
+    canvasRef.current.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The QR code could not be drawn.'))), 'image/png');
+  });
+
+  const setOption = (key, value) => setOptions(o => ({ ...o, [key]: value }));
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto" onClick={e => e.stopPropagation()}>
+        <div className="h-14 px-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2 min-w-0">
+            <Share2 className="w-5 h-5 text-indigo-600 shrink-0" />
+            <h2 className="font-bold text-slate-800 truncate">Share "{project.title}"</h2>
+          </div>
+          <button type="button" onClick={onClose} className="p-2 hover:bg-slate-100 rounded-full text-slate-500 hover:text-slate-800">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-6 space-y-6">
+          {note && (
+            <p className="flex items-start gap-2 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-900">
+              <note.icon className="w-4 h-4 mt-0.5 shrink-0" /> {note.text}
+            </p>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-6">
+            <div className="flex-1 min-w-0">
+              <label className="block text-sm font-medium text-slate-700 mb-2">Link</label>
+              <div className="flex gap-2">
+                <input readOnly value={link} onFocus={e => e.target.select()} className="flex-1 min-w-0 border border-slate-300 rounded-lg px-3 py-2 text-sm font-mono text-slate-600 outline-none" />
+                <CopyButton text={link} />
+              </div>
+              <p className="mt-2 text-xs text-slate-500">Opens the project in the hub viewer.</p>
+            </div>
+            <div className="shrink-0 flex flex-col items-center gap-2">
+              <canvas ref={canvasRef} width={QR_SIZE} height={QR_SIZE} className="rounded border border-slate-200" />
+              <div className="flex gap-2">
+                <CopyButton getData={async () => ({ 'image/png': await qrBlob() })} label="Copy QR" />
+                <button
+                  type="button"
+                  onClick={async () => downloadFile(`${slugify(project.title)}-qr.png`, await qrBlob(), 'image/png')}
+                  className="text-xs font-medium px-3 py-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50"
+                  title="Download the QR code"
+                >
+                  <Download className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Embed</label>
+            <div className="flex flex-wrap items-center gap-x-5 gap-y-2 mb-3 text-sm text-slate-600">
+              <label className="flex items-center gap-2">
+                Theme
+                <select value={options.theme} onChange={e => setOption('theme', e.target.value)} className="border border-slate-300 rounded px-2 py-1 outline-none bg-white">
+                  <option value="light">Light</option>
+                  <option value="dark">Dark</option>
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                Size
+                <select value={size} onChange={e => setSize(e.target.value)} className="border border-slate-300 rounded px-2 py-1 outline-none bg-white">
+                  {Object.entries(EMBED_SIZES).map(([key, s]) => <option key={key} value={key}>{s.width} × {s.height}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2" title="Otherwise the embed waits for a click before running the app">
+                <input type="checkbox" checked={options.autoplay} onChange={e => setOption('autoplay', e.target.checked)} /> Autoplay
+              </label>
+              <label className="flex items-center gap-2" title="A strip at the bottom of the embed reports errors thrown by the app">
+                <input type="checkbox" checked={options.errors} onChange={e => setOption('errors', e.target.checked)} /> Show errors
+              </label>
+            </div>
+            <div className="flex gap-2 items-start">
+              <textarea readOnly value={snippet} onFocus={e => e.target.select()} className="flex-1 min-w-0 h-24 border border-slate-300 rounded-lg px-3 py-2 text-xs font-mono text-slate-600 outline-none resize-none" />
+              <CopyButton text={snippet} />
+            </div>
+            <div className="flex gap-2 mt-2">
+              <input readOnly value={embed} onFocus={e => e.target.select()} className="flex-1 min-w-0 border border-slate-300 rounded-lg px-3 py-2 text-xs font-mono text-slate-600 outline-none" />
+              <CopyButton text={embed} />
+            </div>
+            <p className="mt-2 text-xs text-slate-500">The embed shows just the running app, without the hub around it. Paste the snippet into a wiki, slide or docs page, or the embed link where only a URL is accepted.</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
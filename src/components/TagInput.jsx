@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { normalizeTag } from '../lib/search';
+
+const MAX_SUGGESTIONS = 8;
+
+// --- Component: Tag editor with autocomplete from tags already used in the hub ---
+const TagInput = ({ value, suggestions, onChange }) => {
+  const [draft, setDraft] = useState('');
+  const [highlight, setHighlight] = useState(0);
+
+  const needle = normalizeTag(draft);
+  const matches = needle
+    ? suggestions.filter(s => s.tag.includes(needle) && !value.includes(s.tag)).slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const add = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !value.includes(tag)) onChange([...value, tag]);
+    setDraft('');
+    setHighlight(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',' || e.key === 'Tab') {
+      if (!draft.trim()) return;
+      e.preventDefault();
+      add(matches[highlight]?.tag ?? draft);
+    } else if (e.key === 'Backspace' && !draft && value.length) {
+      onChange(value.slice(0, -1));
+    } else if (e.key === 'ArrowDown' && matches.length) {
+      e.preventDefault();
+      setHighlight(h => (h + 1) % matches.length);
+    } else if (e.key === 'ArrowUp' && matches.length) {
+      e.preventDefault();
+      setHighlight(h => (h - 1 + matches.length) % matches.length);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="w-full border border-slate-300 rounded-lg shadow-sm px-2 py-1.5 flex flex-wrap items-center gap-1.5 focus-within:ring-2 focus-within:ring-indigo-500/20">
+        {value.map(tag => (
+          <span key={tag} className="text-xs bg-slate-100 text-slate-700 rounded px-2 py-1 flex items-center gap-1">
+            #{tag}
+            <button type="button" onClick={() => onChange(value.filter(t => t !== tag))} className="text-slate-400 hover:text-slate-700"><X className="w-3 h-3" /></button>
+          </span>
+        ))}
+        <input
+          value={draft}
+          onChange={e => { setDraft(e.target.value); setHighlight(0); }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft.trim() && add(draft)}
+          placeholder={value.length ? '' : 'Add tags, e.g. canvas, physics'}
+          className="flex-1 min-w-[120px] px-2 py-1 text-sm outline-none"
+        />
+      </div>
+      {matches.length > 0 && (
+        <div className="absolute left-0 right-0 mt-1 bg-white border border-slate-200 rounded-lg shadow-lg py-1 z-20">
+          {matches.map((s, i) => (
+            <button
+              key={s.tag}
+              type="button"
+              onMouseDown={e => { e.preventDefault(); add(s.tag); }}
+              className={`w-full px-3 py-1.5 text-left text-sm flex justify-between ${i === highlight ? 'bg-indigo-50 text-indigo-700' : 'text-slate-700 hover:bg-slate-50'}`}
+            >
+              <span>#{s.tag}</span>
+              <span className="text-xs text-slate-400">{s.count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
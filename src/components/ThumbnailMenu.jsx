@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Image, Camera, Upload, RotateCcw, Loader2 } from 'lucide-react';
+import { captureFrame, imageToThumbnail, saveThumbnail, resetThumbnail } from '../lib/thumbnails';
+import { projectVersion } from '../lib/projectWrites';
+
+// --- Component: Card image picker (viewer header) ---
+// Replaces the automatic thumbnail with the app as it looks right now or with an uploaded image.
+const ThumbnailMenu = ({ project, iframeRef, buttonClassName }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+  const ref = useRef(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!ref.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError('');
+    try {
+      await action();
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const saveImage = async (image) => {
+    await saveThumbnail(project.id, await image, { version: projectVersion(project), manual: true });
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) run('upload', () => saveImage(imageToThumbnail(file)));
+  };
+
+  const options = [
+    { key: 'capture', icon: Camera, label: 'Use current view', hint: 'The app as it looks right now', onSelect: () => run('capture', () => saveImage(captureFrame(iframeRef.current))) },
+    { key: 'upload', icon: Upload, label: 'Upload image...', hint: 'Cropped to the card', onSelect: () => inputRef.current.click() },
+    ...(project.thumbnail?.manual
+      ? [{ key: 'reset', icon: RotateCcw, label: 'Use automatic thumbnail', hint: 'Captured after each save', onSelect: () => run('reset', () => resetThumbnail(project.id)) }]
+      : []),
+  ];
+
+  return (
+    <div ref={ref} className="relative">
+      <button onClick={() => setOpen(o => !o)} className={buttonClassName} title="Card thumbnail">
+        <Image className="w-4 h-4" /> <span className="hidden sm:inline">Thumbnail</span>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white border border-slate-200 rounded-lg shadow-lg py-1 z-20 text-left">
+          {project.thumbnail?.url && (
+            <div className="px-3 py-2">
+              <img src={project.thumbnail.url} alt="" className="w-full aspect-[16/10] object-cover rounded border border-slate-200" />
+              <p className="mt-1 text-xs text-slate-500">{project.thumbnail.manual ? 'Chosen by hand' : 'Captured automatically'}</p>
+            </div>
+          )}
+          {options.map(option => (
+            <button
+              key={option.key}
+              onClick={option.onSelect}
+              disabled={!!busy}
+              className="w-full px-3 py-2 flex items-start gap-3 hover:bg-slate-50 disabled:opacity-60"
+            >
+              {busy === option.key
+                ? <Loader2 className="w-4 h-4 mt-0.5 text-slate-400 animate-spin shrink-0" />
+                : <option.icon className="w-4 h-4 mt-0.5 text-slate-400 shrink-0" />}
+              <span>
+                <span className="block text-sm font-medium text-slate-800">{option.label}</span>
+                <span className="block text-xs text-slate-500">{option.hint}</span>
+              </span>
+            </button>
+          ))}
+          {error && <p className="px-3 py-2 text-xs text-red-600">{error}</p>}
+          <input ref={inputRef} type="file" accept="image/*" className="hidden" onChange={handleFile} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThumbnailMenu;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { onSnapshot, setDoc, serverTimestamp } from 'firebase/firestore';
+import { ArrowLeft, Trash2, RotateCcw, Loader2, Clock } from 'lucide-react';
+import { membersCol, trashSettingsRef } from '../firebase';
+import { TRASH_DEFAULTS, trashQuery, purgeDate, restoreFromTrash, purgeProject } from '../lib/trash';
+
+const formatDate = (ts) => (ts ? ts.toDate().toLocaleString() : 'Just now');
+
+// --- Component: Trash (deleted projects, with restore, purge and the retention setting) ---
+// Owners see every trashed project and set how long they are kept; editors see their own.
+const TrashView = ({ user, role, onExit }) => {
+  const [projects, setProjects] = useState(null);
+  const [settings, setSettings] = useState(TRASH_DEFAULTS);
+  const [retention, setRetention] = useState(null);
+  const [names, setNames] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const isOwner = role === 'owner';
+
+  useEffect(() => {
+    return onSnapshot(trashQuery(role, user.uid), (snap) => {
+      setProjects(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (err) => {
+      console.log("Trash Error:", err.message);
+      setProjects([]);
+    });
+  }, [role, user.uid]);
+
+  useEffect(() => {
+    return onSnapshot(trashSettingsRef(), (snap) => {
+      setSettings({ ...TRASH_DEFAULTS, ...snap.data() });
+    }, (err) => console.log("Trash Settings Error:", err.message));
+  }, []);
+
+  // Who deleted what: trashed projects only record the member's uid.
+  useEffect(() => {
+    return onSnapshot(membersCol(), (snap) => {
+      setNames(Object.fromEntries(snap.docs.map(d => [d.id, d.data().displayName || d.data().email])));
+    }, (err) => console.log("Members Error:", err.message));
+  }, []);
+
+  const run = async (projectId, action) => {
+    setError('');
+    setBusyId(projectId);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusyId(null);
+  };
+
+  const handlePurge = (project) => {
+    if (!window.confirm(`Delete "${project.title}" forever? Its code and history cannot be recovered.`)) return;
+    run(project.id, () => purgeProject(project, user));
+  };
+
+  const handleSaveRetention = (e) => {
+    e.preventDefault();
+    const days = Number(retention);
+    if (!Number.isInteger(days) || days < 0) {
+      setError('Enter a whole number of days, or 0 to keep projects until they are deleted by hand.');
+      return;
+    }
+    run('settings', async () => {
+      await setDoc(trashSettingsRef(), { retentionDays: days, updatedBy: user.uid, updatedAt: serverTimestamp() });
+      setRetention(null);
+    });
+  };
+
+  const deletedBy = (project) => (project.deletedBy === user.uid ? 'you' : names[project.deletedBy] || 'a former member');
+
+  return (
+    <div className="max-w-4xl mx-auto py-12 px-4">
+      <button onClick={onExit} className="text-slate-500 hover:text-slate-800 flex items-center gap-2 mb-8">
+        <ArrowLeft className="w-4 h-4" /> Back to Hub
+      </button>
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="px-8 py-6 border-b border-slate-100 bg-slate-50/50 flex items-center gap-3">
+          <Trash2 className="w-5 h-5 text-slate-400" />
+          <h2 className="text-xl font-bold text-slate-800">Trash</h2>
+        </div>
+        <div className="p-8 space-y-8">
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <Clock className="w-4 h-4 text-slate-400" />
+            <p className="flex-1 min-w-[200px] text-slate-500">
+              {settings.retentionDays
+                ? `Projects are deleted forever ${settings.retentionDays} day${settings.retentionDays === 1 ? '' : 's'} after they were moved here.`
+                : 'Projects stay here until they are deleted by hand.'}
+            </p>
+            {isOwner && (
+              <form onSubmit={handleSaveRetention} className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={retention ?? settings.retentionDays}
+                  onChange={e => setRetention(e.target.value)}
+                  className="w-20 border border-slate-300 rounded-lg px-3 py-1.5 text-sm outline-none"
+                  title="Days to keep trashed projects; 0 keeps them until deleted by hand"
+                />
+                <span className="text-slate-500">days</span>
+                <button type="submit" disabled={retention === null || busyId === 'settings'} className="px-3 py-1.5 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 disabled:opacity-50">
+                  Save
+                </button>
+              </form>
+            )}
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {!projects ? (
+            <div className="flex justify-center py-8"><Loader2 className="w-8 h-8 text-slate-300 animate-spin" /></div>
+          ) : projects.length === 0 ? (
+            <div className="border-2 border-dashed border-slate-200 rounded-2xl p-12 text-center bg-slate-50/50">
+              <Trash2 className="w-12 h-12 text-slate-300 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-slate-900">The trash is empty</h3>
+              <p className="text-slate-500 text-sm">{isOwner ? 'Deleted projects show up here.' : 'Projects of yours that are deleted show up here.'}</p>
+            </div>
+          ) : (
+            <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {projects.map((project) => {
+                const purgeOn = purgeDate(project, settings);
+                return (
+                  <div key={project.id} className="px-4 py-3 flex items-center gap-3 text-sm">
+                    <div className="flex-1 min-w-0">
+                      <a href={`#/project/${project.id}`} className="font-medium text-slate-800 hover:text-indigo-600 truncate block">{project.title}</a>
+                      <p className="text-xs text-slate-500">Deleted by {deletedBy(project)} · {formatDate(project.deletedAt)}</p>
+                      {purgeOn && <p className="text-xs text-slate-400">Deleted forever on {purgeOn.toLocaleDateString()}</p>}
+                    </div>
+                    {busyId === project.id && <Loader2 className="w-4 h-4 text-slate-400 animate-spin" />}
+                    <button
+                      onClick={() => run(project.id, () => restoreFromTrash(project, user))}
+                      disabled={!!busyId}
+                      className="px-3 py-1.5 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 flex items-center gap-1.5 disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-4 h-4" /> Restore
+                    </button>
+                    <button
+                      onClick={() => handlePurge(project)}
+                      disabled={!!busyId}
+                      className="px-3 py-1.5 rounded-lg border border-slate-200 text-red-600 hover:bg-red-50 flex items-center gap-1.5 disabled:opacity-50"
+                    >
+                      <Trash2 className="w-4 h-4" /> Delete forever
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashView;
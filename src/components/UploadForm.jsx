@@ -0,0 +1,348 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { doc } from 'firebase/firestore';
+import { ArrowLeft, Check, Globe, Link, Lock, Eye, EyeOff, FileClock, GitMerge, GitFork } from 'lucide-react';
+import { projectsCol } from '../firebase';
+import { COLORS, CATEGORIES, DEFAULT_CATEGORY } from '../constants';
+import { getProjectFiles, fileKind } from '../lib/projectFiles';
+import { analyzeEntry } from '../lib/entry';
+import { PROJECT_TYPES, detectProjectType } from '../lib/projectTypes';
+import { projectSnapshot, projectVersion, SaveConflictError } from '../lib/projectWrites';
+import { mergeProjects } from '../lib/merge';
+import { loadProjectContent } from '../lib/projectContent';
+import { useDraft } from '../lib/useDraft';
+import { VISIBILITIES, VISIBILITY_LABELS, VISIBILITY_DESCRIPTIONS, visibilityOf } from '../lib/access';
+import FileEditor from './FileEditor';
+import LivePreview from './LivePreview';
+import DependencyEditor from './DependencyEditor';
+import AssetManager from './AssetManager';
+import EntryCheck from './EntryCheck';
+import CollaboratorPicker from './CollaboratorPicker';
+import TagInput from './TagInput';
+import SaveConflictDialog from './SaveConflictDialog';
+
+const EMPTY_SOURCE = { files: [{ path: 'App.jsx', content: '' }], entry: 'App.jsx' };
+
+const VISIBILITY_ICONS = { public: Globe, unlisted: Link, private: Lock };
+
+// The version an edit starts from: what a save checks for conflicts and a merge diffs against.
+const baseOf = (project) => ({
+  version: projectVersion(project),
+  snapshot: projectSnapshot({ ...project, ...getProjectFiles(project) }),
+});
+
+const describeConflict = (c) => {
+  if (c.line) return `${c.path} line ${c.line}`;
+  if (c.path) return `${c.path} (deleted in one version, kept)`;
+  if (c.name) return `dependency ${c.name} (kept yours)`;
+  return `${c.field} (kept yours)`;
+};
+
+// --- Component: Upload/Edit Form ---
+// `initialData` without an ID fills in a new project (a remix, credited through its `forkedFrom`).
+const UploadForm = ({ initialData, focus, userId, authorId, canManageAccess, tagSuggestions, collections, defaultCollectionId, onCancel, onSubmit }) => {
+  const editing = !!initialData?.id;
+  const [title, setTitle] = useState(initialData?.title || '');
+  const [desc, setDesc] = useState(initialData?.description || '');
+  const [source, setSource] = useState(() => (initialData ? getProjectFiles(initialData) : EMPTY_SOURCE));
+  const [color, setColor] = useState(initialData?.color || 'indigo');
+  const [category, setCategory] = useState(initialData?.category || DEFAULT_CATEGORY);
+  const [tags, setTags] = useState(initialData?.tags || []);
+  const [type, setType] = useState(initialData?.type || '');
+  const [dependencies, setDependencies] = useState(initialData?.dependencies || {});
+  const [mount, setMount] = useState(initialData?.mount || '');
+  const [assets, setAssets] = useState(initialData?.assets || []);
+  const [editors, setEditors] = useState(initialData?.editors || []);
+  const [visibility, setVisibility] = useState(initialData ? visibilityOf(initialData) : 'public');
+  const [collectionId, setCollectionId] = useState(editing ? initialData.collectionId || '' : defaultCollectionId || '');
+  const [base, setBase] = useState(() => (editing ? baseOf(initialData) : null));
+  const [showPreview, setShowPreview] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [conflict, setConflict] = useState(null);
+  const [mergeNotes, setMergeNotes] = useState(null);
+  const editorRef = useRef(null);
+  // A new project gets its ID up front, so assets can be uploaded under it before the first save.
+  const [projectId] = useState(() => initialData?.id || doc(projectsCol()).id);
+
+  const values = useMemo(
+    () => ({ title, description: desc, color, category, tags, type, files: source.files, entry: source.entry, dependencies, mount, assets, editors, visibility, collectionId }),
+    [title, desc, color, category, tags, type, source, dependencies, mount, assets, editors, visibility, collectionId]
+  );
+  // Remixes keep their drafts apart from a blank new project's, and from remixes of other projects.
+  const drafts = useDraft(userId, initialData?.id || (initialData?.forkedFrom ? `new:${initialData.forkedFrom.id}` : null), values, base);
+
+  const applyValues = (v) => {
+    setTitle(v.title);
+    setDesc(v.description);
+    setColor(v.color);
+    setCategory(v.category || DEFAULT_CATEGORY);
+    setTags(v.tags || []);
+    setType(v.type || '');
+    setSource({ files: v.files, entry: v.entry });
+    setDependencies(v.dependencies || {});
+    setMount(v.mount || '');
+    if (v.editors) setEditors(v.editors);
+    if (v.visibility) setVisibility(v.visibility);
+    if (v.assets) setAssets(v.assets);
+    if (v.collectionId !== undefined) setCollectionId(v.collectionId);
+  };
+
+  const handleRestoreDraft = () => {
+    const draft = drafts.takeOffer();
+    applyValues(draft.values);
+    // Keep the draft's starting point, so changes saved since it was typed still show up as a conflict.
+    if (editing && draft.base) setBase(draft.base);
+  };
+
+  const entryFile = source.files.find(f => f.path === source.entry);
+  // An empty type means auto-detect, which the type picker shows the result of.
+  const detectedType = useMemo(() => detectProjectType(source.files, source.entry), [source]);
+  const resolvedType = type || detectedType;
+  // Only components get mounted, so only they need the entry checked for one.
+  const analysis = useMemo(() => {
+    if (!entryFile || fileKind(entryFile.path) !== 'script' || !['jsx', 'tsx'].includes(resolvedType)) return null;
+    return analyzeEntry(entryFile.content, entryFile.path, resolvedType);
+  }, [entryFile, resolvedType]);
+
+  // What the live preview renders: the unsaved project as it stands.
+  const previewProject = useMemo(
+    () => ({ title, type: type || null, files: source.files, entry: source.entry, dependencies, mount: mount || null, assets }),
+    [title, type, source, dependencies, mount, assets]
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!entryFile?.content.trim()) {
+      setError(`The entry file ${source.entry} is empty.`);
+      return;
+    }
+    const problems = analysis ? analysis.warnings.filter(w => w.level === 'error') : [];
+    if (problems.length > 0 && !window.confirm(`${problems.length} problem${problems.length === 1 ? '' : 's'} found in ${source.entry} that will stop it from running:\n\n${problems.map(p => `• ${p.message}`).join('\n')}\n\nSave anyway?`)) {
+      return;
+    }
+    save();
+  };
+
+  const save = async ({ force = false } = {}) => {
+    setError('');
+    setLoading(true);
+    try {
+      await onSubmit(
+        { id: projectId, title, description: desc, color, category, tags, type: type || null, files: source.files, entry: source.entry, dependencies, mount: mount || null, assets, forkedFrom: initialData?.forkedFrom, collectionId: canManageAccess ? collectionId || null : undefined, access: canManageAccess ? { editors, visibility } : undefined },
+        { baseVersion: base?.version, force }
+      );
+      drafts.finish();
+    } catch (err) {
+      if (err instanceof SaveConflictError) {
+        try {
+          setConflict(await loadProjectContent(err.project));
+        } catch (loadError) {
+          setError(loadError.message);
+        }
+      } else {
+        // Most likely a security rule rejecting the write.
+        setError(err.message);
+        setConflict(null);
+      }
+      setLoading(false);
+    }
+  };
+
+  const handleMerge = () => {
+    const theirs = baseOf(conflict);
+    const { snapshot, conflicts } = mergeProjects(base.snapshot, projectSnapshot(values), theirs.snapshot);
+    applyValues(snapshot);
+    setBase(theirs);
+    setConflict(null);
+    setMergeNotes(conflicts.map(describeConflict));
+    const marker = conflicts.find(c => c.line);
+    if (marker) editorRef.current?.reveal(marker.path, marker.line);
+  };
+
+  return (
+    <div className={`${showPreview ? 'max-w-7xl' : 'max-w-4xl'} mx-auto py-12 px-4`}>
+      <button onClick={onCancel} className="text-slate-500 hover:text-slate-800 flex items-center gap-2 mb-8">
+        <ArrowLeft className="w-4 h-4" /> Back to Hub
+      </button>
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="px-8 py-6 border-b border-slate-100 bg-slate-50/50">
+          <h2 className="text-xl font-bold text-slate-800">
+            {editing ? 'Edit Project' : initialData?.forkedFrom ? 'Remix Project' : 'New Project'}
+          </h2>
+          {!editing && initialData?.forkedFrom && (
+            <p className="mt-1 text-sm text-slate-500 flex items-center gap-1.5">
+              <GitFork className="w-4 h-4" /> A new project of yours, starting from "{initialData.forkedFrom.title}", which it will link back to.
+            </p>
+          )}
+        </div>
+        <form onSubmit={handleSubmit} className="p-8 space-y-6">
+          {drafts.offer && (
+            <div className="flex flex-wrap items-center gap-3 rounded-lg border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-900">
+              <FileClock className="w-4 h-4 shrink-0" />
+              <span className="flex-1">You have unsaved changes from {new Date(drafts.offer.savedAt).toLocaleString()}. Restore the draft?</span>
+              <button type="button" onClick={handleRestoreDraft} className="px-3 py-1 rounded-md bg-amber-600 text-white hover:bg-amber-700">Restore</button>
+              <button type="button" onClick={drafts.dismissOffer} className="px-3 py-1 rounded-md text-amber-800 hover:bg-amber-100">Discard</button>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Project Name</label>
+            <input type="text" required value={title} onChange={e => setTitle(e.target.value)} className="w-full border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none" />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Description</label>
+            <textarea required value={desc} onChange={e => setDesc(e.target.value)} className="w-full border-slate-300 rounded-lg shadow-sm px-4 py-2.5 border outline-none h-24 resize-none" />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">Category</label>
+              <select value={category} onChange={e => setCategory(e.target.value)} className="w-full border border-slate-300 rounded-lg shadow-sm px-3 py-2.5 outline-none text-sm bg-white">
+                {Object.entries(CATEGORIES).map(([key, val]) => <option key={key} value={key}>{val.name}</option>)}
+              </select>
+            </div>
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-slate-700 mb-2">Tags</label>
+              <TagInput value={tags} suggestions={tagSuggestions} onChange={setTags} />
+            </div>
+          </div>
+
+          {/* Color Picker */}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Accent Color</label>
+            <div className="flex gap-3">
+              {Object.entries(COLORS).map(([key, val]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setColor(key)}
+                  className={`w-8 h-8 rounded-full flex items-center justify-center transition-all ${val.bg} ${color === key ? `ring-2 ring-offset-2 ${val.ring}` : 'hover:scale-110'}`}
+                  title={val.name}
+                >
+                  {color === key && <Check className={`w-4 h-4 ${val.text}`} />}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-slate-700">Source Files</label>
+              <div className="flex items-center gap-4">
+                <button type="button" onClick={() => setShowPreview(v => !v)} className="flex items-center gap-1.5 text-xs text-slate-500 hover:text-slate-800">
+                  {showPreview ? <EyeOff className="w-3.5 h-3.5" /> : <Eye className="w-3.5 h-3.5" />} {showPreview ? 'Hide preview' : 'Show preview'}
+                </button>
+                <label className="flex items-center gap-2 text-xs text-slate-500" title={PROJECT_TYPES[resolvedType].description}>
+                  Type
+                  <select value={type} onChange={e => setType(e.target.value)} className="border border-slate-300 rounded px-2 py-1 outline-none">
+                    <option value="">Auto-detect ({PROJECT_TYPES[detectedType].label})</option>
+                    {Object.entries(PROJECT_TYPES).map(([key, val]) => <option key={key} value={key}>{val.label}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2 text-xs text-slate-500">
+                  Entry file
+                  <select value={source.entry} onChange={e => setSource({ ...source, entry: e.target.value })} className="border border-slate-300 rounded px-2 py-1 font-mono outline-none">
+                    {source.files.map(f => <option key={f.path} value={f.path}>{f.path}</option>)}
+                  </select>
+                </label>
+              </div>
+            </div>
+            <div className={showPreview ? 'grid grid-cols-1 xl:grid-cols-2 gap-4' : ''}>
+              <FileEditor ref={editorRef} files={source.files} entry={source.entry} type={resolvedType} assets={assets} focus={focus} height="h-[36rem]" onChange={setSource} />
+              {showPreview && (
+                <LivePreview project={previewProject} height="h-[36rem]" onOpenSource={(path, line) => editorRef.current?.reveal(path, line)} />
+              )}
+            </div>
+            {analysis && (
+              <div className="mt-3">
+                <EntryCheck analysis={analysis} mount={mount} onChange={setMount} />
+              </div>
+            )}
+            {mergeNotes && (
+              <div className="mt-3 flex items-start gap-2 rounded-lg border border-indigo-200 bg-indigo-50 px-4 py-3 text-sm text-indigo-900">
+                <GitMerge className="w-4 h-4 mt-0.5 shrink-0" />
+                <div className="flex-1">
+                  {mergeNotes.length === 0
+                    ? 'Merged with the saved version. Check the result, then save.'
+                    : `Merged with the saved version. Resolve ${mergeNotes.length === 1 ? 'this conflict' : `these ${mergeNotes.length} conflicts`} before saving: ${mergeNotes.join(', ')}.`}
+                </div>
+                <button type="button" onClick={() => setMergeNotes(null)} className="text-xs text-indigo-600 hover:text-indigo-800">Dismiss</button>
+              </div>
+            )}
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Assets</label>
+            <AssetManager projectId={projectId} assets={assets} files={source.files} onChange={setAssets} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-2">Dependencies</label>
+            <DependencyEditor dependencies={dependencies} files={source.files} type={resolvedType} onChange={setDependencies} />
+          </div>
+          {canManageAccess && collections.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">Collection</label>
+              <select value={collectionId} onChange={e => setCollectionId(e.target.value)} className="w-full sm:w-1/3 border border-slate-300 rounded-lg shadow-sm px-3 py-2.5 outline-none text-sm bg-white">
+                <option value="">No collection</option>
+                {collections.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </div>
+          )}
+          {canManageAccess && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">Visibility</label>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {VISIBILITIES.map(v => {
+                  const Icon = VISIBILITY_ICONS[v];
+                  return (
+                    <button
+                      key={v}
+                      type="button"
+                      onClick={() => setVisibility(v)}
+                      className={`text-left border rounded-lg px-4 py-3 transition-colors ${visibility === v ? 'border-indigo-500 bg-indigo-50/50 ring-1 ring-indigo-500' : 'border-slate-200 hover:border-slate-300'}`}
+                    >
+                      <span className="flex items-center gap-2 text-sm font-medium text-slate-800"><Icon className="w-4 h-4" /> {VISIBILITY_LABELS[v]}</span>
+                      <span className="block mt-1 text-xs text-slate-500">{VISIBILITY_DESCRIPTIONS[v]}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+          {canManageAccess && (
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-2">Shared with</label>
+              <CollaboratorPicker value={editors} authorId={authorId} onChange={setEditors} />
+            </div>
+          )}
+          <div className="pt-4 flex items-center justify-end gap-4">
+            <label className="mr-auto flex items-center gap-2 text-xs text-slate-500" title="Drafts are always kept in this browser">
+              <input type="checkbox" checked={drafts.sync} onChange={e => drafts.setSync(e.target.checked)} />
+              Also keep drafts in my account
+              {drafts.sync && drafts.tooLarge && (
+                <span className="text-amber-600">(this one is too large, so it is only kept in this browser)</span>
+              )}
+            </label>
+            <button type="button" onClick={onCancel} className="px-4 py-2 text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+            <button type="submit" disabled={loading} className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-lg shadow-sm">
+              {loading ? 'Saving...' : (editing ? 'Update Project' : 'Deploy Project')}
+            </button>
+          </div>
+        </form>
+      </div>
+      {conflict && (
+        <SaveConflictDialog
+          mine={values}
+          theirs={conflict}
+          saving={loading}
+          onMerge={handleMerge}
+          onOverwrite={() => save({ force: true })}
+          onClose={() => setConflict(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UploadForm;
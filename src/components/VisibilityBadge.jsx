@@ -0,0 +1,19 @@
+import React from 'react';
+import { Link, Lock } from 'lucide-react';
+import { VISIBILITY_LABELS, VISIBILITY_DESCRIPTIONS, visibilityOf } from '../lib/access';
+
+const ICONS = { unlisted: Link, private: Lock };
+
+// --- Component: Marks unlisted/private projects; public ones need no badge ---
+const VisibilityBadge = ({ project }) => {
+  const visibility = visibilityOf(project);
+  const Icon = ICONS[visibility];
+  if (!Icon) return null;
+  return (
+    <span className="text-xs font-medium text-slate-500 bg-slate-100 px-2 py-1 rounded flex items-center gap-1" title={VISIBILITY_DESCRIPTIONS[visibility]}>
+      <Icon className="w-3 h-3" /> {VISIBILITY_LABELS[visibility]}
+    </span>
+  );
+};
+
+export default VisibilityBadge;
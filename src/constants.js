@@ -0,0 +1,22 @@
+// --- Configuration ---
+export const COLORS = {
+  indigo: { name: 'Indigo', bg: 'bg-indigo-50', text: 'text-indigo-600', border: 'border-indigo-200', hover: 'hover:border-indigo-300', shadow: 'hover:shadow-indigo-200/50', ring: 'ring-indigo-500' },
+  emerald: { name: 'Emerald', bg: 'bg-emerald-50', text: 'text-emerald-600', border: 'border-emerald-200', hover: 'hover:border-emerald-300', shadow: 'hover:shadow-emerald-200/50', ring: 'ring-emerald-500' },
+  amber:   { name: 'Amber',   bg: 'bg-amber-50',   text: 'text-amber-600',   border: 'border-amber-200',   hover: 'hover:border-amber-300',   shadow: 'hover:shadow-amber-200/50',   ring: 'ring-amber-500' },
+  rose:    { name: 'Rose',    bg: 'bg-rose-50',    text: 'text-rose-600',    border: 'border-rose-200',    hover: 'hover:border-rose-300',    shadow: 'hover:shadow-rose-200/50',    ring: 'ring-rose-500' },
+  cyan:    { name: 'Cyan',    bg: 'bg-cyan-50',    text: 'text-cyan-600',    border: 'border-cyan-200',    hover: 'hover:border-cyan-300',    shadow: 'hover:shadow-cyan-200/50',    ring: 'ring-cyan-500' },
+  purple:  { name: 'Purple',  bg: 'bg-purple-50',  text: 'text-purple-600',  border: 'border-purple-200',  hover: 'hover:border-purple-300',  shadow: 'hover:shadow-purple-200/50',  ring: 'ring-purple-500' },
+};
+
+// Project categories shown as the card badge and offered as filter chips.
+export const CATEGORIES = {
+  app: { name: 'Web App' },
+  game: { name: 'Game' },
+  tool: { name: 'Tool' },
+  visualization: { name: 'Visualization' },
+  demo: { name: 'Demo' },
+  experiment: { name: 'Experiment' },
+};
+
+// Projects saved before categories existed were all labelled "Web App".
+export const DEFAULT_CATEGORY = 'app';
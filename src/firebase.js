@@ -0,0 +1,62 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, collection, doc } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+// --- Firebase Setup ---
+const env = import.meta.env;
+const firebaseConfig = {
+  apiKey: env.VITE_API_KEY,
+  authDomain: env.VITE_AUTH_DOMAIN,
+  projectId: env.VITE_PROJECT_ID,
+  storageBucket: env.VITE_STORAGE_BUCKET,
+  messagingSenderId: env.VITE_MESSAGING_SENDER_ID,
+  appId: env.VITE_APP_ID
+};
+
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+export const db = getFirestore(app);
+export const storage = getStorage(app);
+export const appId = 'gemini-project-hub';
+
+// `VITE_USE_EMULATORS=true` points the app at `npm run emulators` (see firebase.json).
+if (env.VITE_USE_EMULATORS === 'true') {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+}
+
+// --- Collection References ---
+export const projectsCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_projects');
+export const projectRef = (projectId) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_projects', projectId);
+export const revisionsCol = (projectId) => collection(projectRef(projectId), 'revisions');
+// Who created, changed, moved, trashed or restored a project: per project, and hub-wide for owners (see lib/activity).
+export const projectActivityCol = (projectId) => collection(projectRef(projectId), 'activity');
+export const activityCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_activity');
+// Comment threads in the viewer (see lib/comments).
+export const commentsCol = (projectId) => collection(projectRef(projectId), 'comments');
+// One doc per signed-in user and project: stars they gave, and projects they have opened (see lib/stars, lib/views).
+export const starsCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_stars');
+export const starRef = (docId) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_stars', docId);
+export const viewsCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_views');
+export const viewRef = (docId) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_views', docId);
+// What the viewer and editor need but the list doesn't (files, dependencies, assets); see lib/projectContent.
+export const projectContentRef = (projectId) => doc(projectRef(projectId), 'content', 'current');
+export const collectionsCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_collections');
+export const collectionRef = (collectionId) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_collections', collectionId);
+// What hosted apps save through hub.storage, one doc per signed-in user and project (see lib/appStorage).
+export const appDataRef = (docId) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_app_data', docId);
+// Autosaved editor drafts, one per user and project (see lib/drafts).
+export const draftRef = (draftId) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_drafts', draftId);
+
+// Hub membership: one doc per signed-in user with a role, plus pending invites keyed by email.
+export const membersCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_members');
+export const memberRef = (uid) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_members', uid);
+export const invitesCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'hub_invites');
+export const inviteRef = (email) => doc(db, 'artifacts', appId, 'public', 'data', 'hub_invites', email.toLowerCase());
+export const hubOwnerRef = () => doc(db, 'artifacts', appId, 'public', 'data', 'hub_settings', 'owner');
+// Which one-off data upgrades have run (see lib/hubUpgrade).
+export const hubSchemaRef = () => doc(db, 'artifacts', appId, 'public', 'data', 'hub_settings', 'schema');
+// How long deleted projects stay in the trash (see lib/trash).
+export const trashSettingsRef = () => doc(db, 'artifacts', appId, 'public', 'data', 'hub_settings', 'trash');
@@ -0,0 +1,49 @@
+// --- Roles & Permissions ---
+// Decides what the UI offers. Enforcement lives in firestore.rules, which mirrors these checks.
+//   owner  - manages the team and collections, edits/deletes/reorders every project
+//   editor - creates projects, edits the ones they authored or were granted
+//   viewer - read only
+export const ROLES = ['owner', 'editor', 'viewer'];
+
+export const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+export const ROLE_DESCRIPTIONS = {
+  owner: 'Manages the team and every project',
+  editor: 'Creates projects and edits their own or shared ones',
+  viewer: 'Can browse projects but not change them',
+};
+
+export const canCreateProjects = (role) => role === 'owner' || role === 'editor';
+
+export const canManageTeam = (role) => role === 'owner';
+
+export const canReorderProjects = (role) => role === 'owner';
+
+export const canManageCollections = (role) => role === 'owner';
+
+export const isProjectAuthor = (project, user) => !!user && project.authorId === user.uid;
+
+// Authors (and owners) can also change who else may edit, and delete the project.
+export const canManageProject = (project, user, role) =>
+  role === 'owner' || (canCreateProjects(role) && isProjectAuthor(project, user));
+
+export const canEditProject = (project, user, role) =>
+  canManageProject(project, user, role) || (canCreateProjects(role) && (project.editors || []).includes(user.uid));
+
+// --- Visibility ---
+// public: listed for everyone; unlisted: anyone with the link; private: author, shared editors and owners.
+export const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+export const VISIBILITY_LABELS = { public: 'Public', unlisted: 'Unlisted', private: 'Private' };
+
+export const VISIBILITY_DESCRIPTIONS = {
+  public: 'Listed in the hub for every visitor',
+  unlisted: 'Hidden from the list, open to anyone with the link',
+  private: 'Only you, people it is shared with and hub owners',
+};
+
+// Projects saved before visibility existed were listed for everyone.
+export const visibilityOf = (project) => project.visibility || 'public';
+
+export const canViewProject = (project, user, role) =>
+  visibilityOf(project) !== 'private' || canEditProject(project, user, role);
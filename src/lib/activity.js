@@ -0,0 +1,35 @@
+// --- Activity Log ---
+// Who created, changed, moved, trashed, restored or purged a project, and when. Each event is
+// written twice in the batch that makes the change: under the project, for its history panel,
+// and to hub_activity, the hub-wide log owners see, which outlives purged projects.
+import { doc, query, orderBy, limit, serverTimestamp } from 'firebase/firestore';
+import { activityCol, projectActivityCol } from '../firebase';
+
+export const ACTIVITY_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  reorder: 'Moved',
+  delete: 'Moved to trash',
+  restore: 'Restored from trash',
+  purge: 'Deleted forever',
+};
+
+// `detail` says more about the change, e.g. "Restored an earlier revision". Purges skip the
+// project's own log, which goes with it.
+export const recordActivity = (batch, project, action, user, { detail = null, projectLog = true } = {}) => {
+  const event = {
+    projectId: project.id,
+    projectTitle: project.title || 'Untitled',
+    action,
+    detail,
+    actorId: user.uid,
+    actorName: user.displayName || user.email || 'Unknown',
+    createdAt: serverTimestamp(),
+  };
+  batch.set(doc(activityCol()), event);
+  if (projectLog) batch.set(doc(projectActivityCol(project.id)), event);
+};
+
+// The latest `count` events of one project, or of the whole hub without a project ID.
+export const activityQuery = (projectId, count) =>
+  query(projectId ? projectActivityCol(projectId) : activityCol(), orderBy('createdAt', 'desc'), limit(count));
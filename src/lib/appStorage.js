@@ -0,0 +1,127 @@
+// --- App Storage ---
+// Backs `hub.storage` (see sandboxBridge.js): a small key-value store per project and visitor.
+// Guests keep it in this browser's localStorage; signed-in users in one Firestore doc per
+// project (hub_app_data/<uid>_<projectId>), so it follows them between devices. A project
+// without an id (the editor's live preview) gets a store that only lasts while it is shown.
+import { getDoc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { appDataRef } from '../firebase';
+
+// Sizes in bytes of UTF-8. `total` is the whole store as saved, which also keeps a signed-in
+// user's doc well under Firestore's 1 MiB limit (firestore.rules checks the same number).
+export const STORAGE_LIMITS = { keyLength: 200, value: 64 * 1024, total: 256 * 1024, keys: 500 };
+
+// Batch a burst of writes (a game saving every frame) into one Firestore write.
+const REMOTE_SAVE_DELAY = 1000;
+
+const encoder = new TextEncoder();
+const byteSize = (text) => encoder.encode(text).length;
+const formatKb = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+const serialize = (entries) => JSON.stringify(Object.fromEntries(entries));
+const deserialize = (text) => new Map(Object.entries(text ? JSON.parse(text) : {}));
+
+const localBackend = (projectId) => {
+  const key = `hub:app-data:${projectId}`;
+  return {
+    delay: 0,
+    load: async () => deserialize(localStorage.getItem(key)),
+    save: async (text) => localStorage.setItem(key, text),
+    clear: async () => localStorage.removeItem(key),
+  };
+};
+
+const remoteBackend = (projectId, uid) => {
+  const ref = appDataRef(`${uid}_${projectId}`);
+  return {
+    delay: REMOTE_SAVE_DELAY,
+    load: async () => {
+      const snap = await getDoc(ref);
+      return deserialize(snap.exists() ? snap.data().data : null);
+    },
+    save: (text) => setDoc(ref, { ownerId: uid, projectId, data: text, updatedAt: serverTimestamp() }),
+    clear: () => deleteDoc(ref),
+  };
+};
+
+const memoryBackend = () => {
+  let saved = null;
+  return {
+    delay: 0,
+    load: async () => deserialize(saved),
+    save: async (text) => { saved = text; },
+    clear: async () => { saved = null; },
+  };
+};
+
+const check = (condition, message) => {
+  if (!condition) throw new Error(`hub.storage: ${message}`);
+};
+
+// Returns { run(op, key, value), flush(), clear() }. `run` answers one bridge request: 'get'
+// and 'set' take and give JSON text, 'list' takes a key prefix.
+export const createAppStorage = (projectId, uid) => {
+  const backend = !projectId ? memoryBackend() : uid ? remoteBackend(projectId, uid) : localBackend(projectId);
+  let entries = null;
+  let timer = null;
+  let dirty = false;
+
+  const load = () => {
+    if (!entries) {
+      entries = backend.load();
+      entries.catch(() => { entries = null; });
+    }
+    return entries;
+  };
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+    dirty = false;
+    await backend.save(serialize(await entries));
+  };
+
+  const changed = async () => {
+    dirty = true;
+    if (!backend.delay) return flush();
+    clearTimeout(timer);
+    timer = setTimeout(() => flush().catch(error => console.log("App Data Error:", error.message)), backend.delay);
+  };
+
+  const run = async (op, key, value) => {
+    const map = await load();
+    switch (op) {
+      case 'get':
+        return map.get(key) ?? null;
+      case 'list':
+        return [...map.keys()].filter(k => k.startsWith(key)).sort();
+      case 'set': {
+        check(typeof key === 'string' && key.length > 0 && key.length <= STORAGE_LIMITS.keyLength, `keys must be 1-${STORAGE_LIMITS.keyLength} characters long.`);
+        check(typeof value === 'string', 'the value must be JSON text.');
+        check(byteSize(value) <= STORAGE_LIMITS.value, `"${key}" is larger than the ${formatKb(STORAGE_LIMITS.value)} a value may take.`);
+        check(map.has(key) || map.size < STORAGE_LIMITS.keys, `an app may keep at most ${STORAGE_LIMITS.keys} keys.`);
+        const next = new Map(map).set(key, value);
+        check(byteSize(serialize(next)) <= STORAGE_LIMITS.total, `saving "${key}" would take this app's data over its ${formatKb(STORAGE_LIMITS.total)} quota.`);
+        map.set(key, value);
+        await changed();
+        return null;
+      }
+      case 'remove':
+        if (map.delete(key)) await changed();
+        return null;
+      default:
+        throw new Error(`hub.storage: unknown operation "${op}".`);
+    }
+  };
+
+  // Forget everything the app saved for this visitor.
+  const clear = async () => {
+    clearTimeout(timer);
+    timer = null;
+    dirty = false;
+    entries = Promise.resolve(new Map());
+    await backend.clear();
+  };
+
+  return { run, flush, clear };
+};
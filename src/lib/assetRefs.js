@@ -0,0 +1,50 @@
+// --- Asset References ---
+// How project code points at its uploaded assets (see projectStorage.js): `hub-asset://<path>`
+// anywhere in a file, a relative path in an HTML attribute or a CSS url(), or an ES import of
+// the asset (which yields its URL, as in Vite). Documents are built with all of these pointing
+// at the assets' download URLs.
+import { fileKind, normalizePath, resolveImport } from './projectFiles';
+
+export const ASSET_SCHEME = 'hub-asset://';
+
+// Asset path -> download URL.
+export const assetUrls = (assets) => new Map((assets || []).map(a => [a.path, a.url]));
+
+const SCHEME_PATTERN = /hub-asset:\/\/([^\s"'`()<>\\]+)/g;
+const ABSOLUTE_URL = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i;
+
+// The URL of the asset `ref` points at from the file `fromPath`, or null.
+export const lookupAsset = (ref, fromPath, urls) => {
+  if (ref.startsWith(ASSET_SCHEME)) return urls.get(normalizePath(ref.slice(ASSET_SCHEME.length))) ?? null;
+  if (ABSOLUTE_URL.test(ref)) return null;
+  const path = ref.split(/[?#]/)[0];
+  const resolved = resolveImport(path.startsWith('.') || path.startsWith('/') ? path : `./${path}`, fromPath, [...urls.keys()]);
+  return resolved ? urls.get(resolved) : null;
+};
+
+const rewriteScheme = (text, urls) => text.replace(SCHEME_PATTERN, (match, path) => urls.get(normalizePath(path)) ?? match);
+
+const rewriteCssUrls = (css, fromPath, urls) =>
+  css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, ref) => {
+    const url = lookupAsset(ref.trim(), fromPath, urls);
+    return url ? `url("${url}")` : match;
+  });
+
+const rewriteHtmlRefs = (html, fromPath, urls) =>
+  html.replace(/\b(src|href|poster|data)=(["'])([^"']+)\2/gi, (match, attr, quote, ref) => {
+    const url = lookupAsset(ref, fromPath, urls);
+    return url ? `${attr}=${quote}${url}${quote}` : match;
+  });
+
+// `files` with every asset reference except imports replaced by the asset's URL.
+export const resolveAssetRefs = (files, assets) => {
+  const urls = assetUrls(assets);
+  if (urls.size === 0) return files;
+  return files.map((file) => {
+    let content = rewriteScheme(file.content, urls);
+    const kind = fileKind(file.path);
+    if (kind === 'html') content = rewriteHtmlRefs(content, file.path, urls);
+    if (kind === 'html' || kind === 'css') content = rewriteCssUrls(content, file.path, urls);
+    return { ...file, content };
+  });
+};
@@ -0,0 +1,46 @@
+// --- Comments ---
+// Feedback under a project in the viewer, from any signed-in visitor who can open it. Threads
+// are one level deep: a reply names the comment that started its thread in `parentId`. Each
+// write moves the project's commentCount with it, so cards can show and sort by it without
+// reading the threads, and names the comment in lastCommentId so the rules can check the pairing.
+import { doc, writeBatch, increment, serverTimestamp } from 'firebase/firestore';
+import { db, projectRef, commentsCol } from '../firebase';
+
+export const COMMENT_MAX_LENGTH = 2000;
+
+const millis = (ts) => ts?.toMillis?.() ?? Infinity;
+const byDate = (a, b) => millis(a.createdAt) - millis(b.createdAt);
+
+export const addComment = async (projectId, user, text, parentId = null) => {
+  const batch = writeBatch(db);
+  const ref = doc(commentsCol(projectId));
+  batch.set(ref, {
+    text,
+    parentId,
+    authorId: user.uid,
+    authorName: user.displayName || user.email || 'Unknown',
+    createdAt: serverTimestamp(),
+  });
+  batch.update(projectRef(projectId), { commentCount: increment(1), lastCommentId: ref.id });
+  await batch.commit();
+};
+
+// A comment with replies is blanked rather than removed, so its thread stays readable.
+export const deleteComment = async (projectId, comment, hasReplies) => {
+  const batch = writeBatch(db);
+  const ref = doc(commentsCol(projectId), comment.id);
+  if (hasReplies) batch.update(ref, { text: '', deleted: true });
+  else batch.delete(ref);
+  batch.update(projectRef(projectId), { commentCount: increment(-1), lastCommentId: comment.id });
+  await batch.commit();
+};
+
+// [{ comment, replies }], oldest first. Deleted comments whose replies are gone too are dropped.
+export const commentThreads = (comments) => {
+  const threads = new Map(comments.filter(c => !c.parentId).sort(byDate).map(c => [c.id, { comment: c, replies: [] }]));
+  comments.filter(c => c.parentId).sort(byDate).forEach((reply) => {
+    const thread = threads.get(reply.parentId);
+    if (thread) thread.replies.push(reply);
+  });
+  return [...threads.values()].filter(t => !t.comment.deleted || t.replies.length > 0);
+};
@@ -0,0 +1,65 @@
+// --- Project Dependencies ---
+// Each project carries a manifest of npm package name -> version. Packages bundled
+// into the hub runtime are always available; everything else is served from esm.sh.
+import { fileKind, isRelativeSpecifier } from './projectFiles';
+import { collectImports } from './imports';
+
+// Packages provided by the hub runtime (see src/runtime).
+export const BUILTIN_PACKAGES = ['react', 'react-dom', 'lucide-react'];
+
+// Must be a single copy shared with the runtime, so a manifest entry cannot replace them.
+export const RUNTIME_PINNED = ['react', 'react-dom'];
+
+const CDN = 'https://esm.sh';
+
+// "@scope/pkg/sub/path" -> "@scope/pkg", "three/examples/x.js" -> "three"
+export const packageNameOf = (spec) => {
+  const parts = spec.split('/');
+  return spec.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+};
+
+export const isValidPackageName = (name) => /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(name);
+
+// Whether a bare import is served by the runtime rather than the manifest.
+export const isBuiltin = (spec, dependencies = {}) => {
+  const name = packageNameOf(spec);
+  if (RUNTIME_PINNED.includes(name)) return true;
+  return BUILTIN_PACKAGES.includes(name) && !dependencies[name];
+};
+
+// Bare package names imported anywhere in the project, excluding the runtime's own.
+export const scanDependencies = (files, type = null) => {
+  const names = new Set();
+  files.filter(f => fileKind(f.path) === 'script').forEach((file) => {
+    collectImports(file.content, file.path, type).forEach((spec) => {
+      if (isRelativeSpecifier(spec)) return;
+      const name = packageNameOf(spec);
+      if (!RUNTIME_PINNED.includes(name)) names.add(name);
+    });
+  });
+  return [...names].sort();
+};
+
+// Looks up the current release so scanned packages get pinned instead of tracking "latest".
+export const fetchLatestVersion = async (name) => {
+  try {
+    const res = await fetch(`https://registry.npmjs.org/${name.replace('/', '%2F')}/latest`);
+    if (!res.ok) return 'latest';
+    const data = await res.json();
+    return data.version || 'latest';
+  } catch {
+    return 'latest';
+  }
+};
+
+// React stays external so CDN packages share the runtime's single React instance.
+export const buildImportMap = (dependencies = {}) => {
+  const imports = {};
+  Object.entries(dependencies).forEach(([name, version]) => {
+    if (RUNTIME_PINNED.includes(name)) return;
+    const pinned = `${name}@${version || 'latest'}`;
+    imports[name] = `${CDN}/${pinned}?external=react,react-dom`;
+    imports[`${name}/`] = `${CDN}/${pinned}&external=react,react-dom/`;
+  });
+  return imports;
+};
@@ -0,0 +1,121 @@
+// --- Line Diff ---
+// Myers line diff used by the revision history panel and the save conflict merge.
+
+export const splitLines = (text) => (text ? text.replace(/\r\n/g, '\n').split('\n') : []);
+
+// Past this many added plus removed lines the changed middle is shown as replaced outright: the
+// search costs time in proportion to it and memory to its square (about 16 MB here).
+const MAX_EDITS = 2000;
+
+// Shortest edit script turning a[aStart, aStart + n) into b[bStart, bStart + m), as ops in order,
+// or null when it would take more than MAX_EDITS. `trace[d]` keeps the furthest x reached on
+// diagonals -d-1..d+1 before step d, which is what walking back from the end needs.
+const shortestEdit = (a, b, aStart, bStart, n, m) => {
+  const limit = Math.min(n + m, MAX_EDITS);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, aStart, bStart, n, m);
+    }
+  }
+  return null;
+};
+
+const backtrack = (trace, a, b, aStart, bStart, n, m) => {
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--; y--;
+      ops.push({ type: 'equal', text: a[aStart + x], oldLine: aStart + x + 1, newLine: bStart + y + 1 });
+    }
+    if (d === 0) break;
+    if (x === prevX) ops.push({ type: 'add', text: b[bStart + prevY], oldLine: null, newLine: bStart + prevY + 1 });
+    else ops.push({ type: 'remove', text: a[aStart + prevX], oldLine: aStart + prevX + 1, newLine: null });
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+};
+
+// Returns a flat list of { type: 'equal' | 'remove' | 'add', text, oldLine, newLine }.
+export const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim the common prefix/suffix so the search only covers the changed middle.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ type: 'equal', text: a[k], oldLine: k + 1, newLine: k + 1 });
+
+  const middle = shortestEdit(a, b, start, start, endA - start, endB - start);
+  if (middle) ops.push(...middle);
+  else {
+    for (let k = start; k < endA; k++) ops.push({ type: 'remove', text: a[k], oldLine: k + 1, newLine: null });
+    for (let k = start; k < endB; k++) ops.push({ type: 'add', text: b[k], oldLine: null, newLine: k + 1 });
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    ops.push({ type: 'equal', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+  return ops;
+};
+
+// Pairs up removed/added runs so they can be rendered as two aligned columns.
+export const toSideBySide = (ops) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const len = Math.max(removed.length, added.length);
+    for (let k = 0; k < len; k++) {
+      const l = removed[k];
+      const r = added[k];
+      rows.push({
+        left: l ? { line: l.oldLine, text: l.text, type: 'remove' } : null,
+        right: r ? { line: r.newLine, text: r.text, type: 'add' } : null,
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === 'remove') removed.push(op);
+    else if (op.type === 'add') added.push(op);
+    else {
+      flush();
+      rows.push({
+        left: { line: op.oldLine, text: op.text, type: 'equal' },
+        right: { line: op.newLine, text: op.text, type: 'equal' },
+      });
+    }
+  });
+  flush();
+  return rows;
+};
+
+export const diffStats = (ops) => ops.reduce((acc, op) => {
+  if (op.type === 'add') acc.added++;
+  else if (op.type === 'remove') acc.removed++;
+  return acc;
+}, { added: 0, removed: 0 });
@@ -0,0 +1,71 @@
+// --- Drafts ---
+// Unsaved project-form contents, so a closed tab or a crash loses at most a moment of typing.
+// A draft is always kept in this browser's localStorage; users who turn on syncing also keep a
+// copy in their account (hub_drafts), to pick up on another device. One draft per user and
+// project, 'new' standing in for a project that has not been saved yet ('new:<id>' for a remix
+// of project <id>).
+import { getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { draftRef } from '../firebase';
+
+const SYNC_KEY = 'hub:draft-sync';
+
+// Firestore caps a document at 1 MiB; larger drafts (big files inline) stay in this browser only.
+const MAX_SERVER_DRAFT_BYTES = 1000 * 1000;
+
+const encoder = new TextEncoder();
+
+const draftKey = (uid, projectId) => `${uid}_${projectId || 'new'}`;
+const storageKey = (uid, projectId) => `hub:draft:${draftKey(uid, projectId)}`;
+
+export const draftSyncEnabled = () => localStorage.getItem(SYNC_KEY) === '1';
+
+export const setDraftSync = (enabled) => {
+  if (enabled) localStorage.setItem(SYNC_KEY, '1');
+  else localStorage.removeItem(SYNC_KEY);
+};
+
+const readLocal = (uid, projectId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(uid, projectId)));
+  } catch {
+    return null;
+  }
+};
+
+// `draft` is { values, base, savedAt }: the form fields, the version they were edited from
+// (see UploadForm) and when they were typed, in milliseconds.
+export const writeLocalDraft = (uid, projectId, draft) => {
+  try {
+    localStorage.setItem(storageKey(uid, projectId), JSON.stringify(draft));
+  } catch (error) {
+    // Over the storage quota: the draft is lost, the form still works.
+    console.log("Draft Error:", error.message);
+  }
+};
+
+export const fitsServerDraft = (draft) => encoder.encode(JSON.stringify(draft)).length <= MAX_SERVER_DRAFT_BYTES;
+
+export const writeServerDraft = (uid, projectId, draft) =>
+  setDoc(draftRef(draftKey(uid, projectId)), { ...draft, ownerId: uid });
+
+// The newest stored draft, or null.
+export const loadDraft = async (uid, projectId, { server = false } = {}) => {
+  const local = readLocal(uid, projectId);
+  if (!server) return local;
+  try {
+    const snap = await getDoc(draftRef(draftKey(uid, projectId)));
+    const remote = snap.exists() ? snap.data() : null;
+    if (!remote) return local;
+    return !local || remote.savedAt > local.savedAt ? remote : local;
+  } catch (error) {
+    console.log("Draft Error:", error.message);
+    return local;
+  }
+};
+
+// Forgets the draft everywhere it may be, e.g. once the project is saved.
+export const removeDraft = (uid, projectId) => {
+  localStorage.removeItem(storageKey(uid, projectId));
+  if (!draftSyncEnabled()) return;
+  deleteDoc(draftRef(draftKey(uid, projectId))).catch(error => console.log("Draft Error:", error.message));
+};
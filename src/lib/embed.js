@@ -0,0 +1,48 @@
+// --- Embeds ---
+// `#/embed/:id` shows just the sandboxed app, for iframes in wikis, slides and docs pages
+// (e.g. #/embed/abc123?theme=dark&autoplay=0&errors=hide). Options left at their defaults are
+// kept out of the URL:
+// - theme: 'light' or 'dark', for the embed's own screens and the app's prefers-color-scheme
+// - autoplay: false waits for a click before running the app
+// - errors: false hides the strip that reports errors thrown by the app
+export const EMBED_DEFAULTS = { theme: 'light', autoplay: true, errors: true };
+
+export const EMBED_SIZES = { small: { width: 480, height: 320 }, medium: { width: 800, height: 500 }, large: { width: 1200, height: 750 } };
+
+const EMBED_PREFIX = '#/embed/';
+
+export const isEmbedHash = (hash) => hash.startsWith(EMBED_PREFIX);
+
+// Returns { id, options }.
+export const parseEmbedHash = (hash) => {
+  const rest = hash.slice(EMBED_PREFIX.length);
+  const queryIndex = rest.indexOf('?');
+  const params = new URLSearchParams(queryIndex === -1 ? '' : rest.slice(queryIndex + 1));
+  return {
+    id: decodeURIComponent(queryIndex === -1 ? rest : rest.slice(0, queryIndex)),
+    options: {
+      theme: params.get('theme') === 'dark' ? 'dark' : EMBED_DEFAULTS.theme,
+      autoplay: params.get('autoplay') !== '0',
+      errors: params.get('errors') !== 'hide',
+    },
+  };
+};
+
+// Links shared outside the hub, so always absolute.
+const hubUrl = (hash) => `${window.location.origin}${window.location.pathname}${hash}`;
+
+export const projectUrl = (projectId) => hubUrl(`#/project/${projectId}`);
+
+export const embedUrl = (projectId, options) => {
+  const params = new URLSearchParams();
+  if (options.theme !== EMBED_DEFAULTS.theme) params.set('theme', options.theme);
+  if (!options.autoplay) params.set('autoplay', '0');
+  if (!options.errors) params.set('errors', 'hide');
+  const query = params.toString();
+  return hubUrl(`${EMBED_PREFIX}${projectId}${query ? `?${query}` : ''}`);
+};
+
+const escapeAttribute = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+export const embedSnippet = (url, title, { width, height }) =>
+  `<iframe src="${escapeAttribute(url)}" title="${escapeAttribute(title || 'Project')}" width="${width}" height="${height}" style="border: 0; max-width: 100%;" allow="fullscreen; clipboard-write" loading="lazy"></iframe>`;
@@ -0,0 +1,170 @@
+// --- Entry Detection ---
+// Works out what the viewer should mount from the entry file: the default export,
+// a named export, a top-level component, or nothing because the code calls
+// createRoot(...).render(...) itself. Also flags constructs the sandbox can't run.
+import { parseSource, walk, errorLine } from './parse';
+import { collectImportsFromAst } from './imports';
+
+// Names older projects were told to use before exports were supported.
+const LEGACY_NAMES = ['App', 'MainHub', 'ProjectHub', 'Game', 'Dashboard'];
+const WRAPPERS = ['memo', 'forwardRef', 'lazy', 'observer'];
+const NODE_BUILTINS = ['fs', 'path', 'os', 'child_process', 'http', 'https', 'net', 'crypto', 'stream', 'zlib'];
+
+const isComponentName = (name) => /^[A-Z]/.test(name || '');
+
+const unwrapTs = (node) => {
+  let current = node;
+  while (current && (current.type === 'TSAsExpression' || current.type === 'TSSatisfiesExpression' || current.type === 'TSNonNullExpression' || current.type === 'ParenthesizedExpression')) {
+    current = current.expression;
+  }
+  return current;
+};
+
+const calleeName = (callee) => {
+  if (!callee) return null;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+  return null;
+};
+
+// Function, class, or memo/forwardRef-wrapped value.
+const isComponentValue = (node) => {
+  const value = unwrapTs(node);
+  if (!value) return false;
+  if (['ArrowFunctionExpression', 'FunctionExpression', 'ClassExpression', 'FunctionDeclaration', 'ClassDeclaration'].includes(value.type)) return true;
+  return value.type === 'CallExpression' && WRAPPERS.includes(calleeName(value.callee));
+};
+
+// "document.getElementById('x')" / "document.querySelector('#x')" -> "x"
+const mountTargetId = (node) => {
+  const arg = unwrapTs(node);
+  if (arg?.type !== 'CallExpression' || arg.arguments[0]?.type !== 'StringLiteral') return null;
+  const method = calleeName(arg.callee);
+  const value = arg.arguments[0].value;
+  if (method === 'getElementById') return value;
+  if (method === 'querySelector' && /^#[\w-]+$/.test(value)) return value.slice(1);
+  return null;
+};
+
+const topLevelComponents = (body) => {
+  const found = {};
+  body.forEach((stmt) => {
+    const decl = stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration' ? stmt.declaration : stmt;
+    if (!decl) return;
+    if ((decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id && isComponentName(decl.id.name)) {
+      found[decl.id.name] = decl.loc.start.line;
+    } else if (decl.type === 'VariableDeclaration') {
+      decl.declarations.forEach((d) => {
+        if (d.id.type === 'Identifier' && isComponentName(d.id.name) && isComponentValue(d.init)) {
+          found[d.id.name] = d.loc.start.line;
+        }
+      });
+    }
+  });
+  return found;
+};
+
+// Returns every mountable option in priority order plus warnings about the source.
+export const analyzeEntry = (source, path, type = null) => {
+  const warnings = [];
+  const candidates = [];
+  const mountTargets = new Set();
+  let selfMounts = false;
+
+  const { ast, errors } = parseSource(source, path, type);
+  errors.forEach((err) => {
+    warnings.push({ level: 'error', line: errorLine(err), message: `Syntax error: ${err.message.replace(/\s*\(\d+:\d+\)$/, '')}` });
+  });
+  if (!ast) return { candidates, detected: null, selfMounts, mountTargets: [], warnings };
+
+  const body = ast.program.body;
+  const components = topLevelComponents(body);
+
+  // Exports
+  body.forEach((stmt) => {
+    if (stmt.type === 'ExportDefaultDeclaration') {
+      const decl = unwrapTs(stmt.declaration);
+      const local = decl.type === 'Identifier' ? decl.name : decl.id?.name;
+      if (isComponentValue(decl) || (local && components[local])) {
+        candidates.push({ value: 'export:default', label: `default export${local ? ` (${local})` : ''}`, local, line: stmt.loc.start.line });
+      } else {
+        warnings.push({ level: 'warning', line: stmt.loc.start.line, message: 'The default export is not a component and will not be mounted.' });
+      }
+    } else if (stmt.type === 'ExportNamedDeclaration' && !stmt.source) {
+      const decl = stmt.declaration;
+      if (decl) {
+        const names = decl.type === 'VariableDeclaration'
+          ? decl.declarations.map(d => d.id.name)
+          : [decl.id?.name];
+        names.filter(name => components[name]).forEach((name) => {
+          candidates.push({ value: `export:${name}`, label: `export ${name}`, local: name, line: stmt.loc.start.line });
+        });
+      }
+      stmt.specifiers.forEach((spec) => {
+        const exported = spec.exported.name ?? spec.exported.value;
+        const local = spec.local.name;
+        if (!components[local]) return;
+        candidates.push(exported === 'default'
+          ? { value: 'export:default', label: `default export (${local})`, local, line: stmt.loc.start.line }
+          : { value: `export:${exported}`, label: `export ${exported}`, local, line: stmt.loc.start.line });
+      });
+    }
+  });
+
+  // Top-level components that aren't exported, legacy names first.
+  const exportedLocals = new Set(candidates.map(c => c.local));
+  const globals = Object.keys(components)
+    .filter(name => !exportedLocals.has(name))
+    .sort((a, b) => {
+      const rank = (name) => (LEGACY_NAMES.includes(name) ? LEGACY_NAMES.indexOf(name) : LEGACY_NAMES.length);
+      return rank(a) - rank(b) || components[b] - components[a];
+    });
+  globals.forEach((name) => {
+    candidates.push({ value: `global:${name}`, label: `${name} (not exported)`, local: name, line: components[name] });
+  });
+
+  // Self-mounting code and other constructs.
+  walk(ast.program, (node, ancestors) => {
+    if (node.type === 'CallExpression') {
+      const name = calleeName(node.callee);
+      if (name === 'createRoot' || name === 'hydrateRoot') {
+        selfMounts = true;
+        const id = mountTargetId(node.arguments[0]);
+        if (id) mountTargets.add(id);
+      } else if (name === 'render' && node.callee.type === 'MemberExpression' && node.callee.object.name === 'ReactDOM') {
+        warnings.push({ level: 'error', line: node.loc.start.line, message: 'ReactDOM.render() was removed in React 19. Use createRoot(container).render(...) instead.' });
+      }
+    } else if (node.type === 'MetaProperty' && node.meta.name === 'import') {
+      warnings.push({ level: 'error', line: node.loc.start.line, message: 'import.meta is not supported in the sandbox.' });
+    } else if (node.type === 'AwaitExpression' && !ancestors.some(a => /Function|Method/.test(a.type))) {
+      warnings.push({ level: 'error', line: node.loc.start.line, message: 'Top-level await is not supported. Move it into an async function or effect.' });
+    }
+  });
+
+  collectImportsFromAst(ast).forEach((spec) => {
+    if (/^(https?:)?\/\//.test(spec)) {
+      warnings.push({ level: 'error', line: null, message: `Importing from a URL (${spec}) is not supported. Add the package to the dependencies instead.` });
+    } else if (NODE_BUILTINS.includes(spec.replace(/^node:/, ''))) {
+      warnings.push({ level: 'warning', line: null, message: `'${spec}' is a Node.js module and is not available in the browser.` });
+    }
+  });
+
+  if (selfMounts) {
+    candidates.unshift({ value: 'self', label: 'code calls createRoot() itself', line: null });
+  }
+
+  const detected = candidates[0] || null;
+  if (!detected) {
+    warnings.push({ level: 'error', line: null, message: 'Nothing to render: export a component (e.g. "export default function App") or mount it with createRoot().render().' });
+  } else if (selfMounts && candidates.some(c => c.value === 'export:default')) {
+    warnings.push({ level: 'info', line: null, message: 'The code mounts itself, so its default export will not be mounted a second time.' });
+  }
+
+  return { candidates, detected, selfMounts, mountTargets: [...mountTargets], warnings };
+};
+
+// Applies the author's saved override when it still matches something in the code.
+export const resolveMount = (analysis, override) => {
+  const chosen = override && analysis.candidates.find(c => c.value === override);
+  return (chosen || analysis.detected)?.value || null;
+};
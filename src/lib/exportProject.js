@@ -0,0 +1,268 @@
+// --- Project Export ---
+// Gets a project out of the hub, either as one self-contained .html file (the viewer's own
+// document with the runtime inlined) or as a ready-to-run Vite project in a zip.
+import { zipSync, strToU8 } from 'fflate';
+import { runtimeUrl } from 'virtual:hub-runtime';
+import hubPackage from '../../package.json';
+import { getProjectFiles, fileKind, extname } from './projectFiles';
+import { parseSource, walk } from './parse';
+import { analyzeEntry, resolveMount } from './entry';
+import { scanDependencies, RUNTIME_PINNED } from './dependencies';
+import { buildSrcDoc, markdownPage, injectHeadScript, PRELUDE_GLOBALS } from './srcDoc';
+import { STANDALONE_STORAGE_SCRIPT } from './sandboxBridge';
+import { resolveAssetRefs } from './assetRefs';
+import { loadProjectContent } from './projectContent';
+import { PROJECT_TYPES, projectTypeOf } from './projectTypes';
+
+export const slugify = (title) =>
+  (title || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+
+export const downloadFile = (filename, data, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Standalone HTML ---
+
+let runtimeCode = null;
+const loadRuntimeCode = async () => {
+  if (!runtimeCode) {
+    runtimeCode = fetch(new URL(runtimeUrl, window.location.href)).then((res) => {
+      if (!res.ok) throw new Error(`Could not load the hub runtime (${res.status}).`);
+      return res.text();
+    });
+    runtimeCode.catch(() => { runtimeCode = null; });
+  }
+  return runtimeCode;
+};
+
+export const buildStandaloneHtml = async (project) => {
+  if (PROJECT_TYPES[projectTypeOf(project)].page) return buildSrcDoc(project, { bridge: false });
+  return buildSrcDoc(project, { bridge: false, runtimeCode: await loadRuntimeCode() });
+};
+
+// --- Vite Project ---
+
+const PRELUDE_HOOKS = ['useState', 'useEffect', 'useRef', 'useMemo', 'useCallback'];
+
+const patternNames = (node) => {
+  if (!node) return [];
+  switch (node.type) {
+    case 'Identifier': return [node.name];
+    case 'ObjectPattern': return node.properties.flatMap(p => patternNames(p.type === 'RestElement' ? p.argument : p.value));
+    case 'ArrayPattern': return node.elements.flatMap(patternNames);
+    case 'RestElement': return patternNames(node.argument);
+    case 'AssignmentPattern': return patternNames(node.left);
+    default: return [];
+  }
+};
+
+// The sandbox hands every module React, hooks and ReactDOM without an import; a real
+// bundler doesn't, so add imports for the ones a file uses but never declares.
+const addPreludeImports = (source, path, type) => {
+  const { ast } = parseSource(source, path, type);
+  if (!ast) return source;
+  const declared = new Set();
+  ast.program.body.forEach((stmt) => {
+    const decl = stmt.type.startsWith('Export') && stmt.declaration ? stmt.declaration : stmt;
+    if (stmt.type === 'ImportDeclaration') stmt.specifiers.forEach(s => declared.add(s.local.name));
+    else if (decl.type === 'VariableDeclaration') decl.declarations.forEach(d => patternNames(d.id).forEach(n => declared.add(n)));
+    else if (decl.id?.name) declared.add(decl.id.name);
+  });
+  const used = new Set();
+  walk(ast.program, (node, ancestors) => {
+    if ((node.type !== 'Identifier' && node.type !== 'JSXIdentifier') || !PRELUDE_GLOBALS.includes(node.name)) return;
+    // `ReactDOM.createRoot` and `{ React: 1 }` don't reference the globals named by their keys.
+    const parent = ancestors[ancestors.length - 1];
+    const isKey = (/MemberExpression$/.test(parent.type) && parent.property === node && !parent.computed)
+      || (/Property$/.test(parent.type) && parent.key === node && !parent.computed && !parent.shorthand);
+    if (!isKey) used.add(node.name);
+  });
+  const missing = PRELUDE_GLOBALS.filter(name => used.has(name) && !declared.has(name));
+  if (missing.length === 0) return source;
+
+  const hooks = PRELUDE_HOOKS.filter(name => missing.includes(name));
+  const lines = [];
+  if (missing.includes('React') || hooks.length) {
+    const named = hooks.length ? `{ ${hooks.join(', ')} }` : '';
+    lines.push(`import ${[missing.includes('React') ? 'React' : '', named].filter(Boolean).join(', ')} from 'react';`);
+  }
+  if (missing.includes('ReactDOM')) {
+    lines.push("import * as ReactDOMBase from 'react-dom';", "import * as ReactDOMClient from 'react-dom/client';");
+  }
+  if (missing.includes('createRoot')) lines.push("import { createRoot } from 'react-dom/client';");
+  // The sandbox's ReactDOM merges react-dom and react-dom/client.
+  if (missing.includes('ReactDOM')) lines.push('const ReactDOM = { ...ReactDOMBase, ...ReactDOMClient };');
+  return `// Added on export: the hub sandbox provided these implicitly.\n${lines.join('\n')}\n\n${source}`;
+};
+
+// First of `candidates` that doesn't collide with a project file.
+const freeName = (candidates, taken) => candidates.find(name => !taken.includes(name));
+
+const packageJson = (name, dependencies, devDependencies) => JSON.stringify({
+  name,
+  private: true,
+  version: '0.0.0',
+  type: 'module',
+  scripts: { dev: 'vite', build: 'vite build', preview: 'vite preview' },
+  dependencies,
+  devDependencies,
+}, null, 2) + '\n';
+
+const readme = (project, body) => `# ${project.title || 'Project'}
+
+${project.description || ''}
+
+Exported from Gemini Hub.
+
+\`\`\`sh
+npm install
+npm run dev
+\`\`\`
+${body ? `\n${body}\n` : ''}`;
+
+const htmlProjectFiles = (project, files, entry, slug) => {
+  // Classic <script src> and <link> references are not bundled by Vite, so sibling
+  // files are served as-is from public/ and keep their relative URLs.
+  const out = {};
+  files.forEach((file) => {
+    if (file.path === entry) out['index.html'] = injectHeadScript(file.content, STANDALONE_STORAGE_SCRIPT);
+    else out[`public/${file.path}`] = file.content;
+  });
+  out['package.json'] = packageJson(slug, {}, { vite: hubPackage.devDependencies.vite });
+  out['README.md'] = readme(project, 'Static files referenced by the page live in `public/`.');
+  return out;
+};
+
+// Returns a map of file path -> contents for a Vite + React + Tailwind project. Asset references
+// point at the hub's copies, except imports, whose files downloadViteProject adds under src/.
+export const buildViteProject = (project) => {
+  const { files: sourceFiles, entry } = getProjectFiles(project);
+  const files = resolveAssetRefs(sourceFiles, project.assets);
+  const slug = slugify(project.title);
+  const type = projectTypeOf(project);
+  const entryFile = files.find(f => f.path === entry);
+  if (type === 'html') return htmlProjectFiles(project, files, entry, slug);
+  if (type === 'markdown') {
+    // The page is rendered once here; the Markdown source is kept alongside it.
+    const page = { path: entry, content: markdownPage(entryFile, project.title, project.assets) };
+    return { ...htmlProjectFiles(project, files.map(f => (f.path === entry ? page : f)), entry, slug), [`public/${entry}`]: entryFile.content };
+  }
+
+  const out = {};
+  const srcPaths = files.map(f => f.path);
+  const analysis = analyzeEntry(entryFile.content, entry, type);
+  const mount = type === 'module' ? null : resolveMount(analysis, project.mount);
+
+  files.forEach((file) => {
+    let content = file.content;
+    if (fileKind(file.path) === 'script') content = addPreludeImports(content, file.path, type);
+    if (file.path === entry && mount?.startsWith('global:')) {
+      content += `\n\nexport { ${mount.slice('global:'.length)} };\n`;
+    }
+    out[`src/${file.path}`] = content;
+  });
+
+  const mainName = freeName(['main.jsx', 'hub-main.jsx', '__hub_main.jsx'], srcPaths);
+  const cssName = freeName(['tailwind.css', 'hub-tailwind.css', '__hub_tailwind.css'], srcPaths);
+  const entryImport = `./${entry}`;
+  let main = `import './${cssName}';\n`;
+  if (!mount || mount === 'self') {
+    main += `import '${entryImport}';\n`;
+  } else {
+    const name = mount === 'export:default' ? null : mount.slice(mount.indexOf(':') + 1);
+    main += "import { createRoot } from 'react-dom/client';\n";
+    main += name ? `import { ${name} as App } from '${entryImport}';\n` : `import App from '${entryImport}';\n`;
+    main += "\ncreateRoot(document.getElementById('root')).render(<App />);\n";
+  }
+  out[`src/${mainName}`] = main;
+  out[`src/${cssName}`] = '@import "tailwindcss";\n';
+
+  const containers = ['root', ...analysis.mountTargets.filter(id => id !== 'root')]
+    .map(id => `    <div id="${id}"></div>`).join('\n');
+  out['index.html'] = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${(project.title || 'Project').replace(/</g, '&lt;')}</title>
+    <script>${STANDALONE_STORAGE_SCRIPT}</script>
+    <style>
+      body { background-color: white; height: 100vh; margin: 0; }
+      #root { height: 100%; }
+    </style>
+  </head>
+  <body>
+${containers}
+    <script type="module" src="/src/${mainName}"></script>
+  </body>
+</html>
+`;
+
+  // JSX in .js files works in the hub, but Vite only parses JSX in .jsx/.tsx by default, and
+  // TypeScript only in .ts/.tsx, where TSX projects may have it in any script file.
+  const loader = type === 'tsx' ? 'tsx' : 'jsx';
+  const needsLoader = type === 'tsx' ? files.some(f => ['.js', '.jsx'].includes(extname(f.path))) : files.some(f => extname(f.path) === '.js');
+  out['vite.config.js'] = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+import tailwindcss from '@tailwindcss/vite';
+
+export default defineConfig({
+  plugins: [react(), tailwindcss()],${needsLoader ? `
+  esbuild: { loader: '${loader}', include: /src\\/.*\\.jsx?$/, exclude: [] },
+  optimizeDeps: { esbuildOptions: { loader: { '.js': '${loader}' } } },` : ''}
+});
+`;
+
+  const dependencies = {
+    react: hubPackage.dependencies.react,
+    'react-dom': hubPackage.dependencies['react-dom'],
+  };
+  const declared = project.dependencies || {};
+  scanDependencies(files, type).forEach((name) => {
+    if (!declared[name] && hubPackage.dependencies[name]) dependencies[name] = hubPackage.dependencies[name];
+  });
+  Object.entries(declared).forEach(([name, version]) => {
+    if (!RUNTIME_PINNED.includes(name)) dependencies[name] = version || 'latest';
+  });
+  const tailwind = hubPackage.devDependencies.tailwindcss;
+  out['package.json'] = packageJson(slug, dependencies, {
+    '@tailwindcss/vite': tailwind,
+    '@vitejs/plugin-react': hubPackage.devDependencies['@vitejs/plugin-react'],
+    tailwindcss: tailwind,
+    vite: hubPackage.devDependencies.vite,
+  });
+  out['README.md'] = readme(project, `The app's files are in \`src/\`; \`src/${mainName}\` mounts it the way the hub viewer did.`);
+  return out;
+};
+
+// --- Downloads ---
+
+export const downloadStandaloneHtml = async (project) => {
+  const loaded = await loadProjectContent(project);
+  downloadFile(`${slugify(project.title)}.html`, await buildStandaloneHtml(loaded), 'text/html');
+};
+
+const fetchAsset = async (asset) => {
+  const res = await fetch(asset.url);
+  if (!res.ok) throw new Error(`Could not download ${asset.path} (${res.status}).`);
+  return new Uint8Array(await res.arrayBuffer());
+};
+
+export const downloadViteProject = async (project) => {
+  const loaded = await loadProjectContent(project);
+  const slug = slugify(project.title);
+  const entries = Object.fromEntries(
+    Object.entries(buildViteProject(loaded)).map(([path, content]) => [`${slug}/${path}`, strToU8(content)])
+  );
+  if (!PROJECT_TYPES[projectTypeOf(loaded)].page) {
+    await Promise.all((loaded.assets || []).map(async (asset) => {
+      entries[`${slug}/src/${asset.path}`] = await fetchAsset(asset);
+    }));
+  }
+  downloadFile(`${slug}.zip`, zipSync(entries), 'application/zip');
+};
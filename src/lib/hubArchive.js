@@ -0,0 +1,205 @@
+// --- Hub Archive ---
+// A portable backup of every project: a zip with manifest.json (metadata, order, colors,
+// collections) and each project's files under projects/<id>/. Used to move projects between Firebase
+// projects or to seed a local emulator. Uploaded assets are listed by URL rather than copied, so
+// imported projects keep using the originals. `projects` must have their stored sources loaded.
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { writeBatch, doc, serverTimestamp, increment, Timestamp } from 'firebase/firestore';
+import { db, appId, projectsCol, projectRef, collectionRef } from '../firebase';
+import { getProjectFiles } from './projectFiles';
+import { visibilityOf } from './access';
+import { projectSnapshot, writeContent, recordRevision, recordBaseline, INLINE_CONTENT_REMOVED } from './projectWrites';
+import { compareOrder, rankBetween } from './ordering';
+import { storeLargeFiles } from './projectStorage';
+import { recordActivity } from './activity';
+
+const FORMAT = 'gemini-hub-archive';
+const VERSION = 1;
+
+const toMillis = (ts) => (ts?.toMillis ? ts.toMillis() : null);
+
+export const buildHubArchive = (projects, collections = []) => {
+  const entries = {};
+  const manifest = {
+    format: FORMAT,
+    version: VERSION,
+    source: appId,
+    exportedAt: new Date().toISOString(),
+    collections: collections.map(c => ({ id: c.id, name: c.name, description: c.description || '', color: c.color || 'indigo' })),
+    projects: projects.map((project) => {
+      const { files, entry } = getProjectFiles(project);
+      files.forEach((file) => {
+        entries[`projects/${project.id}/${file.path}`] = strToU8(file.content);
+      });
+      return {
+        id: project.id,
+        title: project.title,
+        description: project.description || '',
+        color: project.color || 'indigo',
+        category: project.category || null,
+        tags: project.tags || [],
+        type: project.type || null,
+        entry,
+        files: files.map(f => f.path),
+        dependencies: project.dependencies || {},
+        mount: project.mount || null,
+        assets: project.assets || [],
+        forkedFrom: project.forkedFrom || null,
+        visibility: visibilityOf(project),
+        collectionId: project.collectionId || null,
+        rank: project.rank || null,
+        createdAt: toMillis(project.createdAt),
+        updatedAt: toMillis(project.updatedAt),
+      };
+    }),
+  };
+  entries['manifest.json'] = strToU8(JSON.stringify(manifest, null, 2));
+  return zipSync(entries);
+};
+
+export const readHubArchive = (bytes) => {
+  let entries;
+  try {
+    entries = unzipSync(bytes);
+  } catch {
+    throw new Error('This file is not a zip archive.');
+  }
+  if (!entries['manifest.json']) throw new Error('The archive has no manifest.json.');
+  const manifest = JSON.parse(strFromU8(entries['manifest.json']));
+  if (manifest.format !== FORMAT) throw new Error('This is not a hub archive.');
+  if (manifest.version > VERSION) throw new Error(`The archive was made by a newer version of the hub (format ${manifest.version}).`);
+
+  const projects = manifest.projects.map((project) => {
+    const files = project.files.map((path) => {
+      const data = entries[`projects/${project.id}/${path}`];
+      if (!data) throw new Error(`The archive is missing ${path} of "${project.title}".`);
+      return { path, content: strFromU8(data) };
+    });
+    return { ...project, files };
+  });
+  return { source: manifest.source, exportedAt: manifest.exportedAt, collections: manifest.collections || [], projects };
+};
+
+// --- Import ---
+
+export const IMPORT_ACTIONS = {
+  skip: 'Skip',
+  overwrite: 'Overwrite existing',
+  duplicate: 'Import as copy',
+};
+
+const titleKey = (title) => (title || '').trim().toLowerCase();
+
+// Pairs each archived project with the existing one it would collide with, by ID first and
+// then by title. Collisions default to skip; everything else is created with its original ID.
+export const planImport = (archived, existing) => {
+  const byId = new Map(existing.map(p => [p.id, p]));
+  const byTitle = new Map(existing.map(p => [titleKey(p.title), p]));
+  return archived.map((project) => {
+    const idMatch = byId.get(project.id);
+    const target = idMatch || byTitle.get(titleKey(project.title));
+    return {
+      project,
+      collision: target ? { kind: idMatch ? 'id' : 'title', target } : null,
+      action: target ? 'skip' : 'create',
+    };
+  });
+};
+
+// Firestore caps a batch at 500 writes and 10 MiB; stay well under both.
+const MAX_BATCH_WRITES = 450;
+const MAX_BATCH_BYTES = 4 * 1024 * 1024;
+
+const IMPORT_DETAIL = 'Imported from a hub archive';
+
+// Writes the plan in batches and reports progress as (done, total). Imported projects become
+// the importer's (security rules require it) and are appended after the current projects of
+// their collection, keeping their relative order. The collections they reference are written
+// too, by ID, so re-importing into the same hub updates them instead of adding copies.
+export const commitImport = async (plan, existing, user, { collections = [], onProgress = () => {} } = {}) => {
+  const work = plan
+    .filter(item => item.action !== 'skip')
+    .sort((a, b) => compareOrder(a.project, b.project));
+  const titles = new Set(existing.map(p => titleKey(p.title)));
+  const lastRank = new Map();
+  [...existing].sort(compareOrder).forEach(p => p.rank && lastRank.set(p.collectionId || null, p.rank));
+  const takeRank = (collectionId) => {
+    const rank = rankBetween(lastRank.get(collectionId) ?? null, null);
+    lastRank.set(collectionId, rank);
+    return rank;
+  };
+
+  let batch = writeBatch(db);
+  let writes = 0;
+  let bytes = 0;
+  let done = 0;
+
+  const created = work.filter(item => item.action !== 'overwrite');
+  collections
+    .filter(c => created.some(item => item.project.collectionId === c.id))
+    .forEach((c) => {
+      batch.set(collectionRef(c.id), { name: c.name, description: c.description, color: c.color }, { merge: true });
+      writes++;
+    });
+
+  const flush = async () => {
+    if (writes === 0) return;
+    await batch.commit();
+    batch = writeBatch(db);
+    writes = 0;
+    bytes = 0;
+    onProgress(done, work.length);
+  };
+
+  for (const { project, collision, action } of work) {
+    const ref = action === 'overwrite' ? projectRef(collision.target.id)
+      : action === 'duplicate' ? doc(projectsCol())
+      : projectRef(project.id);
+    // Files too large for the document go back to Storage under the project they land in.
+    const snapshot = projectSnapshot({ ...project, files: await storeLargeFiles(ref.id, project.files) });
+    const size = JSON.stringify(snapshot).length * 2;
+    if (writes + 6 > MAX_BATCH_WRITES || (writes > 0 && bytes + size > MAX_BATCH_BYTES)) await flush();
+
+    if (action === 'overwrite') {
+      // Keeps the target's author, sharing, position and history; adds the import as a revision.
+      const target = collision.target;
+      const baselines = recordBaseline(batch, target);
+      batch.update(ref, {
+        ...writeContent(batch, ref.id, snapshot, project.files),
+        visibility: project.visibility || 'public',
+        ...INLINE_CONTENT_REMOVED,
+        revisionCount: increment(1 + baselines),
+        updatedAt: serverTimestamp()
+      });
+      recordRevision(batch, ref.id, snapshot, user);
+      recordActivity(batch, { id: ref.id, title: snapshot.title }, 'update', user, { detail: IMPORT_DETAIL });
+      writes += 5 + baselines;
+    } else {
+      if (titles.has(titleKey(snapshot.title))) snapshot.title = `${snapshot.title} (imported)`;
+      titles.add(titleKey(snapshot.title));
+      batch.set(ref, {
+        ...writeContent(batch, ref.id, snapshot, project.files),
+        visibility: project.visibility || 'public',
+        collectionId: project.collectionId || null,
+        rank: takeRank(project.collectionId || null),
+        authorId: user.uid,
+        editors: [],
+        revisionCount: 1,
+        viewCount: 0,
+        starCount: 0,
+        commentCount: 0,
+        deletedAt: null,
+        ...(project.forkedFrom ? { forkedFrom: project.forkedFrom } : {}),
+        createdAt: project.createdAt ? Timestamp.fromMillis(project.createdAt) : serverTimestamp(),
+        updatedAt: project.updatedAt ? Timestamp.fromMillis(project.updatedAt) : serverTimestamp()
+      });
+      recordRevision(batch, ref.id, snapshot, user);
+      recordActivity(batch, { id: ref.id, title: snapshot.title }, 'create', user, { detail: IMPORT_DETAIL });
+      writes += 5;
+    }
+    bytes += size;
+    done++;
+  }
+  await flush();
+  return done;
+};
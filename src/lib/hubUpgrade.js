@@ -0,0 +1,63 @@
+// --- Hub Upgrade ---
+// One-off rewrites of projects saved by older versions of the hub. They need every project, so
+// they run in an owner's session; hub_settings/schema records the version reached and later
+// sessions skip them.
+//
+// Version 1: projects get the fields the paged list orders and filters by (visibility,
+// collectionId, rank, updatedAt, viewCount), since Firestore leaves documents missing them out
+// of those queries, and code kept in the project document moves to its content doc. A project
+// without history gets its current code recorded as a revision first.
+//
+// Version 2: projects get the detectedType their card shows (see projectTypes.js).
+//
+// Version 3: projects get deletedAt: null, which every list query filters on (see trash.js).
+//
+// Version 4: projects get the starCount and commentCount the "Most starred" and "Most
+// discussed" sorts order by.
+import { getDoc, getDocs, setDoc, writeBatch, serverTimestamp, increment, Timestamp } from 'firebase/firestore';
+import { db, projectsCol, projectRef, hubSchemaRef } from '../firebase';
+import { getProjectFiles } from './projectFiles';
+import { compareOrder, missingRanks } from './ordering';
+import { hasContent, loadProjectContent } from './projectContent';
+import { detectProjectType } from './projectTypes';
+import { loadProjectSources } from './projectStorage';
+import { projectSnapshot, writeContent, recordBaseline, INLINE_CONTENT_REMOVED } from './projectWrites';
+
+const SCHEMA_VERSION = 4;
+
+export const upgradeHub = async (user) => {
+  const schema = await getDoc(hubSchemaRef());
+  if ((schema.data()?.version || 0) >= SCHEMA_VERSION) return;
+
+  const projects = (await getDocs(projectsCol())).docs.map(d => ({ id: d.id, ...d.data() }));
+  projects.sort(compareOrder);
+  const ranks = new Map(missingRanks(projects));
+
+  // One batch per project: a content doc can be close to Firestore's 1 MiB on its own.
+  for (const project of projects) {
+    const batch = writeBatch(db);
+    const fields = { ...ranks.get(project.id) };
+    if (project.visibility === undefined) fields.visibility = 'public';
+    if (project.collectionId === undefined) fields.collectionId = null;
+    if (project.updatedAt === undefined) fields.updatedAt = project.createdAt || Timestamp.fromMillis(0);
+    if (project.viewCount === undefined) fields.viewCount = 0;
+    if (project.deletedAt === undefined) fields.deletedAt = null;
+    if (project.starCount === undefined) fields.starCount = 0;
+    if (project.commentCount === undefined) fields.commentCount = 0;
+    if (hasContent(project)) {
+      const baselines = recordBaseline(batch, project);
+      const snapshot = projectSnapshot({ ...project, ...getProjectFiles(project) });
+      const sources = getProjectFiles(await loadProjectSources(project)).files;
+      Object.assign(fields, writeContent(batch, project.id, snapshot, sources), INLINE_CONTENT_REMOVED);
+      if (baselines) fields.revisionCount = increment(baselines);
+    } else if (project.detectedType === undefined) {
+      const { files, entry } = getProjectFiles(await loadProjectContent(project));
+      fields.detectedType = detectProjectType(files, entry);
+    }
+    if (Object.keys(fields).length === 0) continue;
+    batch.update(projectRef(project.id), fields);
+    await batch.commit();
+  }
+
+  await setDoc(hubSchemaRef(), { version: SCHEMA_VERSION, upgradedBy: user.uid, upgradedAt: serverTimestamp() });
+};
@@ -0,0 +1,43 @@
+// --- Import Scanning ---
+// Finds module specifiers referenced by a source file (static, re-export, dynamic and require).
+import { parseSource, walk } from './parse';
+
+// Fallback for sources the parser rejects, so a typo doesn't hide every dependency.
+const IMPORT_PATTERNS = [
+  /\b(?:import|export)\s+(?:[\w*{}\s,$]*?\s*from\s*)?["']([^"']+)["']/g,
+  /\bimport\s*\(\s*["']([^"']+)["']\s*\)/g,
+  /\brequire\s*\(\s*["']([^"']+)["']\s*\)/g,
+];
+
+const scanWithPatterns = (source) => {
+  const specs = new Set();
+  IMPORT_PATTERNS.forEach((pattern) => {
+    for (const match of source.matchAll(pattern)) specs.add(match[1]);
+  });
+  return [...specs];
+};
+
+const stringArg = (node) => (node?.type === 'StringLiteral' ? node.value : null);
+
+export const collectImportsFromAst = (ast) => {
+  const specs = new Set();
+  walk(ast.program, (node) => {
+    if (node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' || (node.type === 'ExportNamedDeclaration' && node.source)) {
+      if (node.importKind !== 'type' && node.exportKind !== 'type') specs.add(node.source.value);
+    } else if (node.type === 'ImportExpression') {
+      const spec = stringArg(node.source);
+      if (spec) specs.add(spec);
+    } else if (node.type === 'CallExpression') {
+      const isImport = node.callee.type === 'Import';
+      const isRequire = node.callee.type === 'Identifier' && node.callee.name === 'require';
+      const spec = (isImport || isRequire) && stringArg(node.arguments[0]);
+      if (spec) specs.add(spec);
+    }
+  });
+  return [...specs];
+};
+
+export const collectImports = (source, path, type = null) => {
+  const { ast } = parseSource(source, path, type);
+  return ast ? collectImportsFromAst(ast) : scanWithPatterns(source);
+};
@@ -0,0 +1,29 @@
+// --- Markers ---
+// hub_stars and hub_views docs (<uid>_<projectId>) outlive a purged project, since whoever purges
+// it can't see other users' markers. Each user clears their own, once a session; the rules let
+// them delete a marker whose project is gone without touching its counter.
+import { getDoc, getDocs, deleteDoc } from 'firebase/firestore';
+import { projectRef } from '../firebase';
+import { starredQuery } from './stars';
+import { viewedQuery } from './views';
+
+// Only a missing project counts as gone: one this user can't read (trashed, or private) may still
+// be restored or shared with them.
+const isGone = async (projectId) => {
+  try {
+    return !(await getDoc(projectRef(projectId))).exists();
+  } catch {
+    return false;
+  }
+};
+
+export const pruneMarkers = async (uid) => {
+  const key = `hub:pruned:${uid}`;
+  if (sessionStorage.getItem(key)) return;
+  const markers = (await Promise.all([starredQuery(uid), viewedQuery(uid)].map(q => getDocs(q))))
+    .flatMap(snap => snap.docs);
+  const projectIds = [...new Set(markers.map(d => d.data().projectId))];
+  const gone = new Set((await Promise.all(projectIds.map(async id => ((await isGone(id)) ? id : null)))).filter(Boolean));
+  await Promise.all(markers.filter(d => gone.has(d.data().projectId)).map(d => deleteDoc(d.ref)));
+  sessionStorage.setItem(key, '1');
+};
@@ -0,0 +1,35 @@
+// --- Hub Membership ---
+// Signing in with Google only identifies a user; access comes from their hub_members doc.
+// Owners invite people by email, and the invite is turned into a membership the first
+// time that person signs in.
+import { getDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db, memberRef, inviteRef, hubOwnerRef } from '../firebase';
+
+const memberProfile = (user) => ({
+  email: user.email.toLowerCase(),
+  displayName: user.displayName || null,
+  joinedAt: serverTimestamp(),
+});
+
+// Returns true if a pending invite was found and accepted.
+export const acceptInvite = async (user) => {
+  if (!user.email) return false;
+  const snap = await getDoc(inviteRef(user.email));
+  if (!snap.exists()) return false;
+  const invite = snap.data();
+  const batch = writeBatch(db);
+  batch.set(memberRef(user.uid), { ...memberProfile(user), role: invite.role, invitedBy: invite.invitedBy || null });
+  batch.delete(inviteRef(user.email));
+  await batch.commit();
+  return true;
+};
+
+export const isHubClaimed = async () => (await getDoc(hubOwnerRef())).exists();
+
+// A fresh hub has no members, so the first person to claim it becomes its owner.
+export const claimHub = async (user) => {
+  const batch = writeBatch(db);
+  batch.set(hubOwnerRef(), { uid: user.uid, claimedAt: serverTimestamp() });
+  batch.set(memberRef(user.uid), { ...memberProfile(user), role: 'owner', invitedBy: null });
+  await batch.commit();
+};
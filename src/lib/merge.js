@@ -0,0 +1,138 @@
+// --- Three-way Merge ---
+// Combines two edits of a project made from the same base version, for the editor's save
+// conflict prompt. A change made on one side only is taken as is; lines both sides changed
+// differently are kept git-style between conflict markers for the user to resolve.
+import { diffLines, splitLines } from './diff';
+
+// A side's changes as hunks: base lines [start, end) replaced by `lines`.
+const hunksOf = (ops) => {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+  ops.forEach((op) => {
+    if (op.type === 'equal') {
+      current = null;
+      index++;
+      return;
+    }
+    if (!current) {
+      current = { start: index, end: index, lines: [] };
+      hunks.push(current);
+    }
+    if (op.type === 'remove') {
+      current.end++;
+      index++;
+    } else {
+      current.lines.push(op.text);
+    }
+  });
+  return hunks;
+};
+
+// Base lines [lo, hi) with one side's hunks (all inside that range) applied.
+const applyHunks = (baseLines, hunks, lo, hi) => {
+  const out = [];
+  let i = lo;
+  hunks.forEach((hunk) => {
+    out.push(...baseLines.slice(i, hunk.start), ...hunk.lines);
+    i = hunk.end;
+  });
+  out.push(...baseLines.slice(i, hi));
+  return out;
+};
+
+// Returns { text, conflicts }, `conflicts` being the 1-based lines of the conflict markers.
+export const mergeText = (base, mine, theirs) => {
+  const baseLines = splitLines(base);
+  const hunks = [
+    ...hunksOf(diffLines(base, mine)).map(h => ({ ...h, mine: true })),
+    ...hunksOf(diffLines(base, theirs)).map(h => ({ ...h, mine: false })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const out = [];
+  const conflicts = [];
+  let i = 0;
+  let k = 0;
+  while (k < hunks.length) {
+    // Hunks that overlap or touch are resolved together.
+    const lo = hunks[k].start;
+    let hi = hunks[k].end;
+    const group = [];
+    while (k < hunks.length && hunks[k].start <= hi) {
+      group.push(hunks[k]);
+      hi = Math.max(hi, hunks[k].end);
+      k++;
+    }
+    out.push(...baseLines.slice(i, lo));
+    const ours = group.filter(h => h.mine);
+    const their = group.filter(h => !h.mine);
+    const oursLines = applyHunks(baseLines, ours, lo, hi);
+    const theirLines = applyHunks(baseLines, their, lo, hi);
+    if (their.length === 0 || oursLines.join('\n') === theirLines.join('\n')) {
+      out.push(...oursLines);
+    } else if (ours.length === 0) {
+      out.push(...theirLines);
+    } else {
+      conflicts.push(out.length + 1);
+      out.push('<<<<<<< yours', ...oursLines, '=======', ...theirLines, '>>>>>>> saved');
+    }
+    i = hi;
+  }
+  out.push(...baseLines.slice(i));
+  return { text: out.join('\n'), conflicts };
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// One field's merged value as { value } (undefined when it was removed), or null when both
+// sides changed it differently.
+const pick = (base, mine, theirs) => {
+  if (same(mine, theirs) || same(theirs, base)) return { value: mine };
+  if (same(mine, base)) return { value: theirs };
+  return null;
+};
+
+const FIELDS = ['title', 'description', 'color', 'category', 'tags', 'type', 'mount', 'entry', 'assets'];
+
+// `base`, `mine` and `theirs` are project snapshots (see projectWrites). Returns { snapshot,
+// conflicts }; each conflict is { field }, { field: 'dependencies', name }, { path, line } for
+// conflict markers in a file, or { path, deleted: true } for a file one side edited and the
+// other deleted. Where fields conflict, your value is kept.
+export const mergeProjects = (base, mine, theirs) => {
+  const snapshot = {};
+  const conflicts = [];
+
+  FIELDS.forEach((field) => {
+    const result = pick(base[field], mine[field], theirs[field]);
+    snapshot[field] = result ? result.value : mine[field];
+    if (!result) conflicts.push({ field });
+  });
+
+  const deps = [base.dependencies, mine.dependencies, theirs.dependencies].map(d => d || {});
+  snapshot.dependencies = {};
+  new Set(deps.flatMap(Object.keys)).forEach((name) => {
+    const result = pick(...deps.map(d => d[name]));
+    const value = result ? result.value : deps[1][name];
+    if (value !== undefined) snapshot.dependencies[name] = value;
+    if (!result) conflicts.push({ field: 'dependencies', name });
+  });
+
+  const [baseFiles, myFiles, theirFiles] = [base, mine, theirs].map(s => new Map((s.files || []).map(f => [f.path, f.content])));
+  snapshot.files = [];
+  new Set([...myFiles.keys(), ...theirFiles.keys()]).forEach((path) => {
+    const result = pick(baseFiles.get(path), myFiles.get(path), theirFiles.get(path));
+    if (result) {
+      if (result.value !== undefined) snapshot.files.push({ path, content: result.value });
+    } else if (!myFiles.has(path) || !theirFiles.has(path)) {
+      snapshot.files.push({ path, content: myFiles.get(path) ?? theirFiles.get(path) });
+      conflicts.push({ path, deleted: true });
+    } else {
+      const { text, conflicts: lines } = mergeText(baseFiles.get(path) || '', myFiles.get(path), theirFiles.get(path));
+      snapshot.files.push({ path, content: text });
+      lines.forEach(line => conflicts.push({ path, line }));
+    }
+  });
+  if (!snapshot.files.some(f => f.path === snapshot.entry)) snapshot.entry = snapshot.files[0]?.path;
+
+  return { snapshot, conflicts };
+};
@@ -0,0 +1,108 @@
+// --- Ordering ---
+// Projects are ordered inside their collection by `rank`, a string key that sorts
+// lexicographically (fractional indexing). Moving a project only rewrites its own rank: the new
+// key is picked between its new neighbours', so there is always room and no other doc changes.
+import { writeBatch } from 'firebase/firestore';
+import { db, projectRef } from '../firebase';
+
+// Base 62 in ASCII order, so plain string comparison (and Firestore's) agrees with the digits.
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const MID = DIGITS[Math.floor(DIGITS.length / 2)];
+
+// Keys never end in '0', which keeps a gap below every key.
+const midpoint = (a, b) => {
+  if (b !== null) {
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  if (b && b.length > 1) return b[0];
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+// Appending is the common case (new projects), so step the last digit instead of halving the
+// remaining space: keys grow by one character every ~60 appends rather than every ~6.
+const increment = (a) => {
+  const i = [...a].findLastIndex(c => c !== 'z');
+  if (i === -1) return a + DIGITS[1];
+  return a.slice(0, i) + DIGITS[DIGITS.indexOf(a[i]) + 1];
+};
+
+// A key strictly between `before` and `after`; either may be null for the start/end of the list.
+export const rankBetween = (before, after) => {
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Cannot rank between "${before}" and "${after}".`);
+  }
+  if (after === null) return before === null ? MID : increment(before);
+  return midpoint(before || '', after);
+};
+
+const millis = (ts) => ts?.toMillis?.() ?? 0;
+
+// Total order for a list: ranked projects by rank; projects saved before ranks existed after
+// them, by their old orderIndex and then newest first. Ties fall back to the ID so the order
+// is stable between renders.
+export const compareOrder = (a, b) => {
+  if (a.rank && b.rank && a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+  if (!!a.rank !== !!b.rank) return a.rank ? -1 : 1;
+  if (!a.rank) {
+    const indexA = a.orderIndex ?? Infinity;
+    const indexB = b.orderIndex ?? Infinity;
+    if (indexA !== indexB) return indexA < indexB ? -1 : 1;
+    const created = millis(b.createdAt) - millis(a.createdAt);
+    if (created !== 0) return created;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+// Rank for a project added after everything in `list` (sorted with compareOrder).
+export const rankAfterLast = (list) => rankBetween(list.findLast(p => p.rank)?.rank ?? null, null);
+
+// `list` is one collection in its new order, with the moved project already in place.
+// Returns the [id, fields] writes: just the moved project's rank, unless its neighbours have no
+// usable ranks (projects not yet migrated), in which case the whole collection is ranked afresh.
+// When only part of the collection is loaded, `end` is a rank every unloaded project is at or
+// after, so one moved to the end of `list` stays before them.
+export const planMove = (list, movedId, end = null) => {
+  const index = list.findIndex(p => p.id === movedId);
+  const before = list[index - 1]?.rank ?? null;
+  const after = list[index + 1]?.rank ?? end;
+  const fits = (index === 0 || before) && (index === list.length - 1 || after) && (!before || !after || before < after);
+  if (fits) return [[movedId, { rank: rankBetween(before, after) }]];
+  let rank = null;
+  return list.map(p => [p.id, { rank: (rank = rankBetween(rank, null)) }]);
+};
+
+// Firestore caps a batch at 500 writes.
+const MAX_BATCH_WRITES = 450;
+
+// `finish(batch)` adds to the last batch, such as the activity entry for the move.
+export const writeOrder = async (writes, finish = null) => {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(([id, fields]) => batch.update(projectRef(id), fields));
+    if (finish && i + MAX_BATCH_WRITES >= writes.length) finish(batch);
+    await batch.commit();
+  }
+};
+
+// Ranks for projects saved before ranks existed: appended to their collection in their current
+// order. `projects` is the whole hub, sorted with compareOrder.
+export const missingRanks = (projects) => {
+  const last = new Map();
+  const writes = [];
+  projects.forEach((project) => {
+    const key = project.collectionId || null;
+    if (project.rank) {
+      last.set(key, project.rank);
+      return;
+    }
+    const rank = rankBetween(last.get(key) ?? null, null);
+    last.set(key, rank);
+    writes.push([project.id, { rank }]);
+  });
+  return writes;
+};
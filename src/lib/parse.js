@@ -0,0 +1,44 @@
+// --- Source Parsing ---
+// Thin wrapper around @babel/parser shared by import scanning and entry detection.
+import { parse } from '@babel/parser';
+
+// TSX projects (see projectTypes.js) may keep TypeScript in .js and .jsx files too.
+const pluginsFor = (path, type) => {
+  if (/\.(ts|mts|cts)$/i.test(path)) return ['typescript'];
+  if (/\.tsx$/i.test(path) || type === 'tsx') return ['jsx', 'typescript'];
+  return ['jsx'];
+};
+
+// Returns { ast, errors }; ast is null when the source cannot be parsed at all.
+export const parseSource = (source, path = 'App.jsx', type = null) => {
+  try {
+    const ast = parse(source, {
+      sourceType: 'module',
+      plugins: pluginsFor(path, type),
+      errorRecovery: true,
+      allowAwaitOutsideFunction: true,
+    });
+    return { ast, errors: ast.errors || [] };
+  } catch (err) {
+    return { ast: null, errors: [err] };
+  }
+};
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'errors', 'comments', 'tokens', 'leadingComments', 'trailingComments', 'innerComments']);
+
+// Depth-first visit of every AST node; `ancestors` holds the path from the root.
+export const walk = (node, visit, ancestors = []) => {
+  visit(node, ancestors);
+  const next = [...ancestors, node];
+  Object.keys(node).forEach((key) => {
+    if (SKIP_KEYS.has(key)) return;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(c => { if (c && typeof c.type === 'string') walk(c, visit, next); });
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, next);
+    }
+  });
+};
+
+export const errorLine = (err) => err.loc?.line ?? null;
@@ -0,0 +1,40 @@
+// --- Project Content ---
+// Loads what a project document leaves out (see CONTENT_FIELDS in projectWrites): its content
+// doc, then any files kept in Storage. The list works on project documents alone; the viewer,
+// editor, history and exports call this first.
+import { getDoc } from 'firebase/firestore';
+import { projectContentRef } from '../firebase';
+import { hasStoredFiles, loadProjectSources } from './projectStorage';
+import { projectVersion } from './projectWrites';
+
+// Revisions, and projects saved before content docs existed, carry their files themselves.
+export const hasContent = (project) => !!project && ('files' in project || 'code' in project);
+
+// True when loadProjectContent has nothing to fetch.
+export const isContentLoaded = (project) => hasContent(project) && !hasStoredFiles(project);
+
+// `<id>@<version>` -> Promise of the content doc. Every save bumps the version, so an entry
+// never goes stale and reopening a project costs no reads.
+const contents = new Map();
+
+const loadContentDoc = (project) => {
+  const key = `${project.id}@${projectVersion(project)}`;
+  if (!contents.has(key)) {
+    const content = getDoc(projectContentRef(project.id)).then(snap => (snap.exists() ? snap.data() : { files: [] }));
+    content.catch(() => contents.delete(key));
+    contents.set(key, content);
+  }
+  return contents.get(key);
+};
+
+// The project (or revision) with its files, dependencies and assets filled in.
+export const loadProjectContent = async (project) => {
+  if (hasContent(project)) return loadProjectSources(project);
+  let content;
+  try {
+    content = await loadContentDoc(project);
+  } catch (error) {
+    throw new Error(`Could not load "${project.title}": ${error.message}`);
+  }
+  return loadProjectSources({ ...project, ...content });
+};
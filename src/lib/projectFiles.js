@@ -0,0 +1,71 @@
+// --- Project Files ---
+// Projects store a list of { path, content } files plus an entry path.
+// Documents saved before multi-file support only have a single `code` string.
+
+export const SCRIPT_EXTENSIONS = ['.jsx', '.js', '.tsx', '.ts', '.mjs'];
+export const RESOLVE_EXTENSIONS = [...SCRIPT_EXTENSIONS, '.json', '.css'];
+
+export const extname = (path) => {
+  const match = /\.[^./]+$/.exec(path || '');
+  return match ? match[0].toLowerCase() : '';
+};
+
+export const fileKind = (path) => {
+  const ext = extname(path);
+  if (SCRIPT_EXTENSIONS.includes(ext)) return 'script';
+  if (ext === '.css') return 'css';
+  if (ext === '.json') return 'json';
+  if (ext === '.html' || ext === '.htm') return 'html';
+  return 'text';
+};
+
+export const guessFileName = (code) => (code && code.trim().startsWith('<') ? 'index.html' : 'App.jsx');
+
+export const getProjectFiles = (project) => {
+  if (project?.files?.length) {
+    const entry = project.files.some(f => f.path === project.entry) ? project.entry : project.files[0].path;
+    return { files: project.files, entry };
+  }
+  const code = project?.code || '';
+  const path = guessFileName(code);
+  return { files: [{ path, content: code }], entry: path };
+};
+
+// Normalizes "./a/../b.js" style paths into "b.js" (no leading slash).
+export const normalizePath = (path) => {
+  const parts = [];
+  path.split('/').forEach((part) => {
+    if (!part || part === '.') return;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  });
+  return parts.join('/');
+};
+
+export const dirname = (path) => {
+  const i = path.lastIndexOf('/');
+  return i === -1 ? '' : path.slice(0, i);
+};
+
+export const isRelativeSpecifier = (spec) => spec.startsWith('./') || spec.startsWith('../') || spec.startsWith('/');
+
+// Resolves an import specifier from `fromPath` against the file list, trying the
+// usual extension and index-file fallbacks. Returns the matched path or null.
+export const resolveImport = (spec, fromPath, paths) => {
+  const base = spec.startsWith('/') ? spec : `${dirname(fromPath)}/${spec}`;
+  const target = normalizePath(base);
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map(ext => target + ext),
+    ...RESOLVE_EXTENSIONS.map(ext => `${target}/index${ext}`),
+  ];
+  return candidates.find(c => paths.includes(c)) || null;
+};
+
+// Flattens files into one text blob, used for diffing whole revisions.
+export const serializeFiles = ({ files, entry }) => {
+  if (files.length === 1) return files[0].content;
+  return files
+    .map(f => `// ===== ${f.path}${f.path === entry ? ' (entry)' : ''} =====\n${f.content}`)
+    .join('\n\n');
+};
@@ -0,0 +1,67 @@
+// --- Project Queries ---
+// Firestore rules reject queries that could return projects the visitor may not list, so each
+// role queries exactly the slices it is allowed to see and merges the results.
+import { query, where, orderBy, limit, getDocs, onSnapshot } from 'firebase/firestore';
+import { projectsCol } from '../firebase';
+import { canCreateProjects } from './access';
+
+// `constraints` are added to every slice. Each combination of filter and order used with these
+// needs a composite index (firestore.indexes.json). Projects in the trash are left out; the
+// Trash view lists them on its own (see trash.js).
+export const visibleQueries = (role, uid, ...constraints) => {
+  const live = where('deletedAt', '==', null);
+  if (role === 'owner') return [query(projectsCol(), live, ...constraints)];
+  const queries = [query(projectsCol(), where('visibility', '==', 'public'), live, ...constraints)];
+  if (canCreateProjects(role)) {
+    queries.push(
+      query(projectsCol(), where('authorId', '==', uid), live, ...constraints),
+      query(projectsCol(), where('editors', 'array-contains', uid), live, ...constraints)
+    );
+  }
+  return queries;
+};
+
+// Subscribes to every slice; once all have answered, `onChange` gets each slice's projects on
+// every change. Returns the unsubscribe function.
+export const subscribeSlices = (queries, onChange, onError) => {
+  const results = queries.map(() => null);
+  const unsubs = queries.map((q, i) => onSnapshot(q, (snap) => {
+    results[i] = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    if (!results.includes(null)) onChange(results);
+  }, onError));
+  return () => unsubs.forEach(unsub => unsub());
+};
+
+// A project can be in several slices (public and shared with me); keep one copy.
+export const mergeSlices = (results) => [...new Map(results.flat().map(p => [p.id, p])).values()];
+
+// Server-side order for each sort mode (see SORT_MODES in search.js). Projects missing the
+// field are left out by Firestore, which is why new projects start with updatedAt and the counters.
+export const LIST_ORDERS = {
+  manual: { field: 'rank', direction: 'asc' },
+  newest: { field: 'createdAt', direction: 'desc' },
+  updated: { field: 'updatedAt', direction: 'desc' },
+  views: { field: 'viewCount', direction: 'desc' },
+  stars: { field: 'starCount', direction: 'desc' },
+  comments: { field: 'commentCount', direction: 'desc' },
+};
+
+const sortValue = (value) => value?.toMillis?.() ?? value ?? null;
+
+// Compares two projects the way Firestore orders them: by the field, then by ID.
+export const compareListOrder = ({ field, direction }) => (a, b) => {
+  const x = sortValue(a[field]);
+  const y = sortValue(b[field]);
+  const result = x === y ? (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) : x === null ? -1 : y === null ? 1 : x < y ? -1 : 1;
+  return direction === 'desc' ? -result : result;
+};
+
+// The last rank in a collection (null for the projects in none) among the projects this visitor
+// can see, or null when it is empty. The list may not have loaded that far.
+export const fetchLastRank = async (role, uid, collectionId) => {
+  const snaps = await Promise.all(
+    visibleQueries(role, uid, where('collectionId', '==', collectionId), orderBy('rank', 'desc'), limit(1)).map(q => getDocs(q))
+  );
+  const ranks = snaps.flatMap(snap => snap.docs.map(d => d.data().rank)).filter(Boolean).sort();
+  return ranks.at(-1) ?? null;
+};
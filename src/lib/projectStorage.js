@@ -0,0 +1,101 @@
+// --- Project Storage ---
+// The Firebase Storage side of a project: uploaded assets (images, sounds, fonts, data files)
+// and source files too large for the project document. Both are stored under a hash of their
+// bytes, so revisions can keep pointing at them and an unchanged file is never uploaded twice.
+//
+// A stored source file is { path, source, size } in Firestore, where `source` is its Storage
+// path; loadProjectSources() turns it back into { path, content } before anything reads it.
+// An asset is { path, source, url, contentType, size }, `path` being the name the project's
+// code refers to it by. Card thumbnails (see thumbnails.js) are kept here too.
+import { ref, uploadBytes, getBytes, getDownloadURL } from 'firebase/storage';
+import { storage, appId } from '../firebase';
+
+// Files over INLINE_FILE_LIMIT bytes, and then the largest files until the rest fit in
+// INLINE_TOTAL_LIMIT, move to Storage. Together with metadata that keeps the document (and each
+// revision) well under Firestore's 1 MiB.
+export const INLINE_FILE_LIMIT = 100 * 1024;
+const INLINE_TOTAL_LIMIT = 600 * 1024;
+export const ASSET_SIZE_LIMIT = 10 * 1024 * 1024;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const projectPath = (projectId, rest) => `artifacts/${appId}/projects/${projectId}/${rest}`;
+
+const sha256 = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return [...digest].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const isStoredFile = (file) => typeof file.content !== 'string' && !!file.source;
+
+export const hasStoredFiles = (project) => !!project?.files?.some(isStoredFile);
+
+// Storage path -> Promise of the text. Stored sources never change, so they are cached for the session.
+const sources = new Map();
+
+const loadSource = (path) => {
+  if (!sources.has(path)) {
+    const text = getBytes(ref(storage, path)).then(buffer => decoder.decode(buffer));
+    text.catch(() => sources.delete(path));
+    sources.set(path, text);
+  }
+  return sources.get(path);
+};
+
+// The project (or revision) with every stored file's content filled in.
+export const loadProjectSources = async (project) => {
+  if (!hasStoredFiles(project)) return project;
+  const files = await Promise.all(project.files.map(async (file) => {
+    if (!isStoredFile(file)) return file;
+    try {
+      return { path: file.path, content: await loadSource(file.source) };
+    } catch (error) {
+      throw new Error(`Could not load ${file.path}: ${error.message}`);
+    }
+  }));
+  return { ...project, files };
+};
+
+const storeSource = async (projectId, file) => {
+  const bytes = encoder.encode(file.content);
+  const path = projectPath(projectId, `sources/${await sha256(bytes)}`);
+  if (!sources.has(path)) {
+    await uploadBytes(ref(storage, path), bytes, { contentType: 'text/plain; charset=utf-8' });
+    sources.set(path, Promise.resolve(file.content));
+  }
+  return { path: file.path, source: path, size: bytes.length };
+};
+
+// Moves files out of the document as described above; files already stored are kept as they are.
+export const storeLargeFiles = async (projectId, files) => {
+  const sizes = files.map(f => (isStoredFile(f) ? 0 : encoder.encode(f.content).length));
+  let inline = sizes.reduce((a, b) => a + b, 0);
+  const out = [...files];
+  const largestFirst = files.map((f, i) => i).sort((a, b) => sizes[b] - sizes[a]);
+  for (const i of largestFirst) {
+    if (isStoredFile(files[i]) || (sizes[i] <= INLINE_FILE_LIMIT && inline <= INLINE_TOTAL_LIMIT)) continue;
+    out[i] = await storeSource(projectId, files[i]);
+    inline -= sizes[i];
+  }
+  return out;
+};
+
+export const uploadAsset = async (projectId, file, path) => {
+  if (file.size > ASSET_SIZE_LIMIT) {
+    throw new Error(`${file.name} is larger than ${ASSET_SIZE_LIMIT / 1024 / 1024} MB.`);
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const contentType = file.type || 'application/octet-stream';
+  // The name is kept in the Storage path so downloads are saved under it.
+  const target = ref(storage, projectPath(projectId, `assets/${await sha256(bytes)}/${path.split('/').pop()}`));
+  await uploadBytes(target, bytes, { contentType });
+  return { path, source: target.fullPath, url: await getDownloadURL(target), contentType, size: bytes.length };
+};
+
+export const uploadThumbnail = async (projectId, blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const target = ref(storage, projectPath(projectId, `thumbnails/${await sha256(bytes)}.jpg`));
+  await uploadBytes(target, bytes, { contentType: 'image/jpeg' });
+  return { source: target.fullPath, url: await getDownloadURL(target) };
+};
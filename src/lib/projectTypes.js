@@ -0,0 +1,58 @@
+// --- Project Types ---
+// What a project is decides how the viewer builds it (see srcDoc.js). Authors may pick the type
+// in the editor; projects left on auto-detection (type null) get it worked out from their files.
+// `page` types are rendered as a static document, the others through the sandbox module loader.
+import { parseSource, walk } from './parse';
+import { getProjectFiles, fileKind, extname } from './projectFiles';
+
+export const PROJECT_TYPES = {
+  html: { label: 'HTML', description: 'A web page; its local scripts and stylesheets are inlined.', page: true },
+  jsx: { label: 'JSX', description: 'React components in JavaScript.' },
+  tsx: { label: 'TSX', description: 'React components in TypeScript; types are stripped before running.' },
+  module: { label: 'JS module', description: 'Plain JavaScript that runs once and draws into the page itself.' },
+  markdown: { label: 'Markdown', description: 'A document, rendered as a styled page.', page: true },
+};
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const REACT_GLOBALS = ['React', 'ReactDOM', 'createRoot'];
+
+// Parses as plain JSX and as TSX; TypeScript is only assumed when it is what makes the file parse.
+const isTypeScript = (file) => {
+  if (/\.(tsx?|mts|cts)$/i.test(file.path)) return true;
+  const plain = parseSource(file.content, file.path).errors.length;
+  return plain > 0 && parseSource(file.content, file.path, 'tsx').errors.length < plain;
+};
+
+// JSX, an import of React, or the React globals the sandbox provides.
+const usesReact = (file) => {
+  const { ast } = parseSource(file.content, file.path, 'tsx');
+  if (!ast) return true;
+  let found = false;
+  walk(ast.program, (node) => {
+    if (found) return;
+    found = node.type === 'JSXElement' || node.type === 'JSXFragment'
+      || (node.type === 'ImportDeclaration' && /^react(-dom)?(\/|$)/.test(node.source.value))
+      || (node.type === 'Identifier' && REACT_GLOBALS.includes(node.name));
+  });
+  return found;
+};
+
+export const detectProjectType = (files, entry) => {
+  const entryFile = files.find(f => f.path === entry);
+  // A lone file starting with "<" is raw HTML/JS, as saved before projects had file names.
+  if (fileKind(entry) === 'html' || (files.length === 1 && entryFile?.content.trim().startsWith('<'))) return 'html';
+  if (MARKDOWN_EXTENSIONS.includes(extname(entry))) return 'markdown';
+  if (fileKind(entry) === 'script' && entryFile?.content.trim() && !usesReact(entryFile)) return 'module';
+  return files.some(f => fileKind(f.path) === 'script' && isTypeScript(f)) ? 'tsx' : 'jsx';
+};
+
+// The type a loaded project is built as.
+export const projectTypeOf = (project) => {
+  if (PROJECT_TYPES[project?.type]) return project.type;
+  const { files, entry } = getProjectFiles(project);
+  return detectProjectType(files, entry);
+};
+
+// The same from the project document alone, which records what detection found when it was
+// saved (see projectWrites.js); null for projects not saved since types existed.
+export const listedTypeOf = (project) => (PROJECT_TYPES[project.type] ? project.type : project.detectedType || null);
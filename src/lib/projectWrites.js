@@ -0,0 +1,96 @@
+// --- Project Writes ---
+// Every write to a project also appends a full snapshot to its revisions subcollection,
+// so these helpers are shared by the editor, restores and hub imports.
+import { doc, serverTimestamp, deleteField, Timestamp } from 'firebase/firestore';
+import { revisionsCol, projectContentRef } from '../firebase';
+import { isStoredFile } from './projectStorage';
+import { codeSearchText } from './search';
+import { detectProjectType } from './projectTypes';
+import { getProjectFiles } from './projectFiles';
+
+// The versioned part of a project: what a revision stores and a restore brings back.
+// Files kept in Storage stay references (see projectStorage).
+export const projectSnapshot = ({ title, description, color, category, tags, type, files, entry, dependencies, mount, assets }) => ({
+  title,
+  description,
+  color: color || 'indigo',
+  category: category || null,
+  tags: tags || [],
+  type: type || null,
+  files: files.map(f => (isStoredFile(f) ? { path: f.path, source: f.source, size: f.size } : { path: f.path, content: f.content })),
+  entry,
+  dependencies: dependencies || {},
+  mount: mount || null,
+  assets: (assets || []).map(({ path, source, url, contentType, size }) => ({ path, source, url, contentType, size })),
+});
+
+const SNAPSHOT_FIELDS = ['title', 'description', 'color', 'category', 'tags', 'type', 'dependencies', 'mount', 'assets'];
+
+// What restoring `revision` saves over `current` (with its content loaded): the fields the
+// revision recorded, and the current project's for the rest, since revisions saved before
+// tags, categories or project types existed don't have them.
+export const restoredSnapshot = (current, revision) => {
+  const recorded = Object.fromEntries(SNAPSHOT_FIELDS.filter(key => revision[key] !== undefined).map(key => [key, revision[key]]));
+  return projectSnapshot({ ...current, ...recorded, ...getProjectFiles(revision) });
+};
+
+// The project document only holds what the list shows; these fields go to its content doc
+// (see projectContent), so listing projects never downloads their code.
+export const CONTENT_FIELDS = ['files', 'entry', 'dependencies', 'mount', 'assets'];
+
+// Writes a snapshot's content doc and returns the fields for the project document, including
+// the search text and detected type, which `sources` (the files before any moved to Storage)
+// provide.
+export const writeContent = (batch, projectId, snapshot, sources = snapshot.files) => {
+  const fields = { ...snapshot, searchText: codeSearchText(sources), detectedType: detectProjectType(sources, snapshot.entry) };
+  const content = {};
+  CONTENT_FIELDS.forEach((key) => {
+    content[key] = snapshot[key];
+    delete fields[key];
+  });
+  batch.set(projectContentRef(projectId), content);
+  return fields;
+};
+
+// For updates: drops code saved in the project document itself, before content docs existed.
+export const INLINE_CONTENT_REMOVED = Object.fromEntries(['code', ...CONTENT_FIELDS].map(key => [key, deleteField()]));
+
+// Every content write bumps revisionCount, so it doubles as the version an edit started from.
+export const projectVersion = (project) => project.revisionCount || 0;
+
+// Thrown when a project was saved by someone else after the editor opened it; `project` is
+// the saved copy.
+export class SaveConflictError extends Error {
+  constructor(project) {
+    super('This project was changed by someone else since you opened it.');
+    this.name = 'SaveConflictError';
+    this.project = project;
+  }
+}
+
+export const recordRevision = (batch, projectId, snapshot, user, extra = {}) => {
+  batch.set(doc(revisionsCol(projectId)), {
+    ...snapshot,
+    authorId: user.uid,
+    authorName: user.displayName || user.email || 'Unknown',
+    createdAt: serverTimestamp(),
+    ...extra
+  });
+};
+
+// Legacy project without history: keep the version we are about to overwrite.
+// Returns how many revisions were added, for the project's revisionCount.
+export const recordBaseline = (batch, project) => {
+  if (project.revisionCount) return 0;
+  batch.set(doc(revisionsCol(project.id)), {
+    title: project.title,
+    description: project.description,
+    code: project.code,
+    color: project.color || 'indigo',
+    authorId: project.authorId || null,
+    authorName: null,
+    baseline: true,
+    createdAt: project.updatedAt || project.createdAt || Timestamp.fromMillis(0)
+  });
+  return 1;
+};
@@ -0,0 +1,222 @@
+// --- Sandbox Bridge ---
+// Injected first into every sandbox document. Forwards console output, uncaught
+// errors and unhandled rejections to the hub over postMessage so ProjectViewer can
+// show them in its devtools drawer. Stack frames are mapped back to the author's
+// file/line using `window.__hubSource`, which the runtime fills in once it has
+// compiled the project.
+//
+// It also defines `hub.storage`, the apps' replacement for localStorage (which throws in the
+// sandbox's opaque origin): each call is posted to the hub, which keeps the data per project
+// and visitor (see appStorage.js) and posts the result back.
+//
+// And it answers the hub's requests for a thumbnail (see thumbnails.js): the hub cannot read
+// the document, so the page draws itself with the runtime's `capture` (html-to-image) and
+// posts back a JPEG. Module pages have loaded the runtime already; HTML and Markdown pages
+// load it from `window.__hubRuntimeSrc` (set by srcDoc.js) when first asked.
+
+export const SANDBOX_MESSAGE_SOURCE = 'gemini-hub-sandbox';
+
+// Wait this long (ms) for the hub to answer a storage call.
+const STORAGE_TIMEOUT = 10000;
+
+// Card image size in pixels; the capture is the top of the page at this aspect ratio.
+export const THUMBNAIL_SIZE = { width: 640, height: 400 };
+
+// The public API on top of `request(op, key, value)`; values travel as JSON text.
+const STORAGE_API = `
+  window.hub = window.hub || {};
+  window.hub.storage = {
+    get: function (key) {
+      return request('get', String(key)).then(function (text) { return text == null ? null : JSON.parse(text); });
+    },
+    set: function (key, value) {
+      var text;
+      try { text = JSON.stringify(value); } catch (e) { return Promise.reject(e); }
+      if (text === undefined) return Promise.reject(new TypeError('hub.storage.set: the value cannot be stored as JSON.'));
+      return request('set', String(key), text).then(function () {});
+    },
+    remove: function (key) {
+      return request('remove', String(key)).then(function () {});
+    },
+    // Keys starting with the prefix (all keys without one), sorted.
+    list: function (prefix) {
+      return request('list', prefix == null ? '' : String(prefix));
+    }
+  };`;
+
+export const BRIDGE_SCRIPT = `
+(function () {
+  var SOURCE = ${JSON.stringify(SANDBOX_MESSAGE_SOURCE)};
+  var MAX_TEXT = 4000;
+
+  var post = function (entry) {
+    entry.source = SOURCE;
+    entry.time = Date.now();
+    try { window.parent.postMessage(entry, '*'); } catch (e) { /* detached */ }
+  };
+
+  var truncate = function (text) {
+    return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT) + '…' : text;
+  };
+
+  var format = function (value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.name + ': ' + value.message;
+    if (typeof value === 'function') return 'ƒ ' + (value.name || 'anonymous') + '()';
+    if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+    if (value === undefined) return 'undefined';
+    if (value instanceof Node) return '<' + (value.nodeName || 'node').toLowerCase() + '>';
+    var seen = [];
+    try {
+      return truncate(JSON.stringify(value, function (key, v) {
+        if (typeof v === 'object' && v !== null) {
+          if (seen.indexOf(v) !== -1) return '[Circular]';
+          seen.push(v);
+        }
+        if (typeof v === 'function') return 'ƒ ' + (v.name || 'anonymous') + '()';
+        if (typeof v === 'bigint') return v.toString() + 'n';
+        return v;
+      }, 2));
+    } catch (e) {
+      return String(value);
+    }
+  };
+
+  // "App.jsx:12:5" inside a stack -> { file, line, column } in the author's source.
+  var framesOf = function (error) {
+    if (!error) return [];
+    if (error.hubFrames) return error.hubFrames;
+    var info = window.__hubSource;
+    if (!info || !error.stack) return [];
+    var frames = [];
+    var pattern = /([\\w.\\/@-]+):(\\d+):(\\d+)/g;
+    var match;
+    while ((match = pattern.exec(error.stack))) {
+      if (info.files.indexOf(match[1]) === -1) continue;
+      frames.push({ file: match[1], line: Number(match[2]) - info.lineOffset, column: Number(match[3]) });
+    }
+    return frames;
+  };
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      var error = args.filter(function (a) { return a instanceof Error; })[0];
+      post({ kind: 'console', level: level, text: truncate(args.map(format).join(' ')), frames: framesOf(error) });
+      return original.apply(console, arguments);
+    };
+  });
+
+  window.addEventListener('error', function (event) {
+    post({ kind: 'error', level: 'error', text: event.message || format(event.error), frames: framesOf(event.error) });
+  });
+
+  window.addEventListener('unhandledrejection', function (event) {
+    post({ kind: 'rejection', level: 'error', text: 'Unhandled promise rejection: ' + format(event.reason), frames: framesOf(event.reason) });
+  });
+
+  // --- hub.storage ---
+  var pending = {};
+  var nextId = 0;
+
+  var request = function (op, key, value) {
+    return new Promise(function (resolve, reject) {
+      var id = ++nextId;
+      // Documents shown without a hub listening (e.g. history previews) get an answer too.
+      var timer = setTimeout(function () {
+        delete pending[id];
+        reject(new Error('hub.storage is not available here.'));
+      }, ${STORAGE_TIMEOUT});
+      pending[id] = { resolve: resolve, reject: reject, timer: timer };
+      post({ kind: 'storage', id: id, op: op, key: key, value: value });
+    });
+  };
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.source !== window.parent || !data || data.source !== SOURCE || data.kind !== 'storage-reply') return;
+    var call = pending[data.id];
+    if (!call) return;
+    delete pending[data.id];
+    clearTimeout(call.timer);
+    if (data.error) call.reject(new Error(data.error));
+    else call.resolve(data.value);
+  });
+
+  ${STORAGE_API}
+
+  // --- Thumbnails ---
+  var loadRuntime = function () {
+    if (window.HubRuntime) return Promise.resolve(window.HubRuntime);
+    return new Promise(function (resolve, reject) {
+      window.__hubNoTailwind = true;
+      var script = document.createElement('script');
+      script.src = window.__hubRuntimeSrc;
+      script.onload = function () { resolve(window.HubRuntime); };
+      script.onerror = function () { reject(new Error('The hub runtime failed to load.')); };
+      document.head.appendChild(script);
+    });
+  };
+
+  var drawPage = function () {
+    var width = window.innerWidth;
+    var height = Math.min(window.innerHeight, Math.round(width * ${THUMBNAIL_SIZE.height / THUMBNAIL_SIZE.width}));
+    var background = getComputedStyle(document.body).backgroundColor;
+    if (!background || background === 'transparent' || background === 'rgba(0, 0, 0, 0)') background = '#ffffff';
+    return loadRuntime().then(function (runtime) {
+      return runtime.capture(document.documentElement, {
+        width: width,
+        height: height,
+        canvasWidth: ${THUMBNAIL_SIZE.width},
+        canvasHeight: ${THUMBNAIL_SIZE.height},
+        pixelRatio: 1,
+        backgroundColor: background
+      });
+    }).then(function (canvas) {
+      // Throws when the app drew cross-origin images without CORS.
+      return new Promise(function (resolve, reject) {
+        canvas.toBlob(function (blob) {
+          if (blob) resolve(blob);
+          else reject(new Error('The page could not be drawn.'));
+        }, 'image/jpeg', 0.82);
+      });
+    });
+  };
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.source !== window.parent || !data || data.source !== SOURCE || data.kind !== 'capture') return;
+    drawPage().then(function (blob) {
+      post({ kind: 'capture-reply', id: data.id, blob: blob });
+    }, function (error) {
+      post({ kind: 'capture-reply', id: data.id, error: format(error) });
+    });
+  });
+})();
+`;
+
+// Exported documents run on their own origin, where localStorage works; `hub.storage` keeps the
+// same API there, stored under a "hub:" prefix.
+export const STANDALONE_STORAGE_SCRIPT = `
+(function () {
+  var PREFIX = 'hub:';
+  var request = function (op, key, value) {
+    try {
+      if (op === 'get') return Promise.resolve(localStorage.getItem(PREFIX + key));
+      if (op === 'set') return Promise.resolve(localStorage.setItem(PREFIX + key, value));
+      if (op === 'remove') return Promise.resolve(localStorage.removeItem(PREFIX + key));
+      var keys = [];
+      for (var i = 0; i < localStorage.length; i++) {
+        var name = localStorage.key(i);
+        if (name.indexOf(PREFIX + key) === 0) keys.push(name.slice(PREFIX.length));
+      }
+      return Promise.resolve(keys.sort());
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  };
+
+  ${STORAGE_API}
+})();
+`;
@@ -0,0 +1,153 @@
+// --- Discovery ---
+// Tags, ranked full-text search, sort modes and the list filters kept in the hash URL
+// (e.g. #/?q=chart&tags=canvas,3d&category=tool&starred=1&sort=newest).
+import { DEFAULT_CATEGORY } from '../constants';
+import { getProjectFiles } from './projectFiles';
+
+// --- Tags ---
+
+// "  Data Viz " -> "data-viz"
+export const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/[^a-z0-9+#.]+/g, '-').replace(/^-+|-+$/g, '');
+
+export const categoryOf = (project) => project.category || DEFAULT_CATEGORY;
+
+// Every tag in use with how many projects carry it, most used first.
+export const tagCounts = (projects) => {
+  const counts = new Map();
+  projects.forEach(p => (p.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// --- Filters in the URL ---
+
+export const SORT_MODES = {
+  manual: 'Manual order',
+  newest: 'Newest',
+  updated: 'Recently updated',
+  views: 'Most viewed',
+  stars: 'Most starred',
+  comments: 'Most discussed',
+};
+
+// `starred` keeps only the projects the signed-in user has starred.
+export const EMPTY_FILTERS = { q: '', tags: [], category: null, starred: false, sort: 'manual' };
+
+export const parseListHash = (hash) => {
+  const queryIndex = hash.indexOf('?');
+  const params = new URLSearchParams(queryIndex === -1 ? '' : hash.slice(queryIndex + 1));
+  const sort = params.get('sort');
+  return {
+    q: params.get('q') || '',
+    tags: (params.get('tags') || '').split(',').map(normalizeTag).filter(Boolean),
+    category: params.get('category') || null,
+    starred: params.get('starred') === '1',
+    sort: SORT_MODES[sort] ? sort : EMPTY_FILTERS.sort,
+  };
+};
+
+export const formatListHash = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.q) params.set('q', filters.q);
+  if (filters.tags.length) params.set('tags', filters.tags.join(','));
+  if (filters.category) params.set('category', filters.category);
+  if (filters.starred) params.set('starred', '1');
+  if (filters.sort !== EMPTY_FILTERS.sort) params.set('sort', filters.sort);
+  const query = params.toString();
+  return query ? `#/?${query}` : '#/';
+};
+
+export const hasActiveFilters = (filters) => !!(filters.q.trim() || filters.tags.length || filters.category || filters.starred);
+
+// --- Ranked search ---
+
+const tokenize = (text) => text.toLowerCase().split(/[^a-z0-9_$]+/).filter(Boolean);
+
+// The list only loads project documents, not their files, so the words of the code are saved
+// with the project as `searchText`: each distinct word once, capped so the document stays small.
+const SEARCH_TEXT_LIMIT = 20000;
+
+export const codeSearchText = (files) => {
+  let text = '';
+  for (const word of new Set(tokenize(files.map(f => f.content || '').join('\n')))) {
+    if (text.length + word.length + 1 > SEARCH_TEXT_LIMIT) break;
+    text += (text ? ' ' : '') + word;
+  }
+  return text;
+};
+
+// Per-field weights: a hit in the title counts far more than one buried in the code.
+const FIELD_WEIGHTS = { title: 10, tags: 8, category: 5, description: 3, code: 1 };
+
+const indexCache = new WeakMap();
+const searchIndex = (project) => {
+  if (!indexCache.has(project)) {
+    indexCache.set(project, {
+      title: tokenize(project.title || ''),
+      tags: (project.tags || []).flatMap(tokenize),
+      category: tokenize(categoryOf(project)),
+      description: tokenize(project.description || ''),
+      code: tokenize(project.searchText ?? getProjectFiles(project).files.map(f => f.content || '').join('\n')),
+    });
+  }
+  return indexCache.get(project);
+};
+
+// Exact word hits score full weight, prefix hits ("calc" in "calculator") half. Code hits are
+// capped so code with many similar words doesn't outrank a matching title.
+const scoreTerm = (term, index) => {
+  let score = 0;
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    let hits = 0;
+    index[field].forEach((word) => {
+      if (word === term) hits += 1;
+      else if (word.startsWith(term)) hits += 0.5;
+    });
+    score += weight * (field === 'code' ? Math.min(hits, 5) : Math.min(hits, 2));
+  });
+  return score;
+};
+
+// Every term has to match somewhere; returns 0 for projects that don't match.
+export const scoreProject = (project, query) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return 1;
+  const index = searchIndex(project);
+  let total = 0;
+  for (const term of terms) {
+    const score = scoreTerm(term, index);
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total;
+};
+
+// --- Sorting ---
+
+const millis = (ts) => ts?.toMillis?.() ?? 0;
+
+const COMPARATORS = {
+  // `projects` arrives in manual order already.
+  manual: () => 0,
+  newest: (a, b) => millis(b.createdAt) - millis(a.createdAt),
+  updated: (a, b) => millis(b.updatedAt || b.createdAt) - millis(a.updatedAt || a.createdAt),
+  views: (a, b) => (b.viewCount || 0) - (a.viewCount || 0),
+  stars: (a, b) => (b.starCount || 0) - (a.starCount || 0),
+  comments: (a, b) => (b.commentCount || 0) - (a.commentCount || 0),
+};
+
+// Applies chips and search, then orders by relevance while searching and by the sort mode otherwise
+// (the sort mode still breaks relevance ties). `starredIds` are the projects "My starred" keeps.
+export const applyFilters = (projects, filters, starredIds = new Set()) => {
+  const compare = COMPARATORS[filters.sort] || COMPARATORS.manual;
+  const searching = tokenize(filters.q).length > 0;
+  return projects
+    .filter(p => !filters.category || categoryOf(p) === filters.category)
+    .filter(p => !filters.starred || starredIds.has(p.id))
+    .filter(p => filters.tags.every(tag => (p.tags || []).includes(tag)))
+    .map((project, order) => ({ project, order, score: scoreProject(project, filters.q) }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => (searching ? b.score - a.score : 0) || compare(a.project, b.project) || a.order - b.order)
+    .map(item => item.project);
+};
@@ -0,0 +1,351 @@
+// --- Sandbox Document Builder ---
+// Turns a project's files into the HTML document loaded by the viewer iframe.
+import { runtimeUrl } from 'virtual:hub-runtime';
+import { marked } from 'marked';
+import { getProjectFiles, fileKind, resolveImport, isRelativeSpecifier } from './projectFiles';
+import { collectImports } from './imports';
+import { buildImportMap, isBuiltin, packageNameOf } from './dependencies';
+import { analyzeEntry, resolveMount } from './entry';
+import { BRIDGE_SCRIPT, STANDALONE_STORAGE_SCRIPT } from './sandboxBridge';
+import { assetUrls, resolveAssetRefs } from './assetRefs';
+import { projectTypeOf } from './projectTypes';
+
+// Resolves every import between project files up front so the sandbox only has to look them up.
+// Bare imports are split into runtime packages and manifest packages loaded through the import map.
+// Relative imports may also point at uploaded assets.
+export const buildModuleGraph = (files, dependencies = {}, assets = [], type = null) => {
+  const paths = [...files.map(f => f.path), ...assets.map(a => a.path)];
+  const resolutions = {};
+  const externals = new Set(['react', 'react-dom', 'react-dom/client']);
+  const missing = [];
+
+  files.filter(f => fileKind(f.path) === 'script').forEach((file) => {
+    resolutions[file.path] = {};
+    collectImports(file.content, file.path, type).forEach((spec) => {
+      if (isRelativeSpecifier(spec)) {
+        const resolved = resolveImport(spec, file.path, paths);
+        if (resolved) resolutions[file.path][spec] = resolved;
+        else missing.push({ from: file.path, spec });
+      } else {
+        externals.add(spec);
+      }
+    });
+  });
+
+  const runtime = [...externals].filter(spec => isBuiltin(spec, dependencies));
+  const remote = [...externals].filter(spec => !isBuiltin(spec, dependencies));
+  const undeclared = [...new Set(remote.map(packageNameOf).filter(name => !dependencies[name]))];
+
+  return { resolutions, runtime, remote, undeclared, missing };
+};
+
+export const escapeScript = (text) => text.replace(/<\/script/gi, '<\\/script');
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Globals older projects use without importing them; the sandbox provides them to every module.
+export const PRELUDE_GLOBALS = ['React', 'ReactDOM', 'createRoot', 'useState', 'useEffect', 'useRef', 'useMemo', 'useCallback'];
+
+// Puts a script first in <head>: the bridge must run before any project script so it sees
+// every console call, and hub.storage has to exist by the time the app runs.
+export const injectHeadScript = (html, code) => {
+  const tag = `<script>${code}</script>`;
+  const head = /<head\b[^>]*>/i.exec(html);
+  if (head) return html.slice(0, head.index + head[0].length) + tag + html.slice(head.index + head[0].length);
+  const doctype = /^\s*<!doctype[^>]*>/i.exec(html);
+  if (doctype) return doctype[0] + tag + html.slice(doctype[0].length);
+  return tag + html;
+};
+
+const MARKDOWN_STYLES = `
+  body { margin: 0; background: white; color: #1e293b; font: 16px/1.7 system-ui, -apple-system, "Segoe UI", sans-serif; }
+  article { max-width: 46rem; margin: 0 auto; padding: 2.5rem 1.5rem 4rem; }
+  h1, h2, h3, h4 { line-height: 1.25; margin: 2em 0 0.6em; color: #0f172a; }
+  h1 { font-size: 2.1em; margin-top: 0; }
+  h2 { font-size: 1.5em; padding-bottom: 0.3em; border-bottom: 1px solid #e2e8f0; }
+  a { color: #4f46e5; }
+  img { max-width: 100%; }
+  code { font: 0.875em ui-monospace, SFMono-Regular, Menlo, monospace; background: #f1f5f9; padding: 0.15em 0.35em; border-radius: 4px; }
+  pre { background: #0f172a; color: #e2e8f0; padding: 1em 1.2em; border-radius: 8px; overflow-x: auto; }
+  pre code { background: none; padding: 0; color: inherit; }
+  blockquote { margin: 1em 0; padding: 0 1em; border-left: 4px solid #c7d2fe; color: #475569; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #e2e8f0; padding: 0.4em 0.8em; text-align: left; }
+  hr { border: none; border-top: 1px solid #e2e8f0; margin: 2em 0; }
+`;
+
+// A Markdown entry as a page. Relative image and link targets resolve to assets like they
+// would from an HTML file next to it.
+export const markdownPage = (entryFile, title, assets = []) => {
+  const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title || 'Project')}</title>
+    <style>${MARKDOWN_STYLES}</style>
+  </head>
+  <body>
+    <article>${marked.parse(entryFile.content, { gfm: true })}</article>
+  </body>
+</html>
+`;
+  return resolveAssetRefs([{ path: `${entryFile.path}.html`, content: html }], assets)[0].content;
+};
+
+// HTML projects may reference sibling files; inline them since the sandbox has no file server.
+const inlineHtmlAssets = (html, files, entry) => {
+  const paths = files.map(f => f.path);
+  const lookup = (ref) => {
+    if (/^([a-z]+:)?\/\//i.test(ref) || ref.startsWith('data:')) return null;
+    const resolved = resolveImport(ref.startsWith('.') || ref.startsWith('/') ? ref : `./${ref}`, entry, paths);
+    return resolved ? files.find(f => f.path === resolved) : null;
+  };
+
+  return html
+    .replace(/<link\b[^>]*\bhref=["']([^"']+)["'][^>]*>/gi, (tag, href) => {
+      const file = /rel=["']?stylesheet/i.test(tag) && lookup(href);
+      return file ? `<style>${file.content}</style>` : tag;
+    })
+    .replace(/<script\b([^>]*?)\bsrc=["']([^"']+)["']([^>]*)>\s*<\/script>/gi, (tag, pre, src, post) => {
+      const file = lookup(src);
+      return file ? `<script${pre}${post}>${escapeScript(file.content)}</script>` : tag;
+    });
+};
+
+// Documents leaving the hub (see exportProject.js) pass `runtimeCode` to inline the runtime
+// bundle instead of loading it from the hub, and `bridge: false` to drop the devtools bridge
+// (hub.storage then falls back to the page's own localStorage).
+export const buildSrcDoc = (project, { runtimeCode = null, bridge = true } = {}) => {
+  if (!project) return '';
+  const { files: sourceFiles, entry } = getProjectFiles(project);
+  const assets = project.assets || [];
+  const files = resolveAssetRefs(sourceFiles, assets);
+  const entryFile = files.find(f => f.path === entry);
+  if (!entryFile || !entryFile.content.trim()) return '';
+
+  const type = projectTypeOf(project);
+  // srcdoc frames are sandboxed to an opaque origin, so point at the hub's own origin explicitly.
+  const runtimeSrc = new URL(runtimeUrl, window.location.href).href;
+  const headScript = bridge
+    ? `window.__hubRuntimeSrc = ${JSON.stringify(runtimeSrc)};${BRIDGE_SCRIPT}`
+    : STANDALONE_STORAGE_SCRIPT;
+
+  // 1. RENDER PAGES
+  // An HTML entry is rendered directly, with local scripts and stylesheets inlined.
+  if (type === 'html') {
+    return injectHeadScript(inlineHtmlAssets(entryFile.content, files, entry), headScript);
+  }
+  if (type === 'markdown') {
+    return injectHeadScript(markdownPage(entryFile, project.title, assets), headScript);
+  }
+
+  // 2. RUN MODULES
+  // JSX, TSX and plain JS go through the module loader; only components get mounted.
+  const dependencies = project.dependencies || {};
+  const { resolutions, runtime, remote, undeclared } = buildModuleGraph(files, dependencies, assets, type);
+  const analysis = analyzeEntry(entryFile.content, entry, type);
+  const mount = type === 'module' ? null : resolveMount(analysis, project.mount);
+  const sources = Object.fromEntries(files.map(f => [f.path, f.content]));
+  if (mount?.startsWith('global:')) {
+    // Expose a top-level component that was never exported.
+    sources[entry] += `\nexport { ${mount.slice('global:'.length)} as __hubEntry };`;
+  }
+  const manifest = {
+    type,
+    entry,
+    files: sources,
+    mount,
+    mountTargets: analysis.mountTargets,
+    resolutions,
+    assets: Object.fromEntries(assetUrls(assets)),
+    runtime,
+    remote,
+    undeclared,
+    importMap: buildImportMap(dependencies),
+  };
+  const manifestJson = JSON.stringify(manifest).replace(/</g, '\\u003c');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(project.title || 'Project')}</title>
+        <script>${headScript}</script>
+        ${runtimeCode ? `<script>${escapeScript(runtimeCode)}</script>` : `<script src="${runtimeSrc}"></script>`}
+        <style>
+          body { background-color: white; height: 100vh; margin: 0; }
+          #root { height: 100%; }
+        </style>
+      </head>
+      <body>
+        <div id="root"></div>
+        <script type="application/json" id="hub-manifest">${manifestJson}</script>
+
+        <script>
+          // --- IMPORT MAP ---
+          // Manifest packages come from the CDN but must share the runtime's React, so each
+          // runtime package is re-exported from a data: module and mapped by name.
+          (function () {
+            var manifest = JSON.parse(document.getElementById('hub-manifest').textContent);
+            if (!manifest.remote.length || !window.HubRuntime) return;
+            var imports = {};
+            Object.keys(HubRuntime.packages).forEach(function (name) {
+              var mod = HubRuntime.packages[name];
+              var keys = Object.keys(mod).filter(function (key) { return key !== 'default' && /^[A-Za-z_$][\\w$]*$/.test(key); });
+              var source = 'const m = window.HubRuntime.packages[' + JSON.stringify(name) + '];\\n' +
+                'export default (m.default !== undefined ? m.default : m);\\n' +
+                keys.map(function (key, i) { return 'const v' + i + ' = m[' + JSON.stringify(key) + ']; export { v' + i + ' as ' + key + ' };'; }).join('\\n');
+              imports[name] = 'data:text/javascript;charset=utf-8,' + encodeURIComponent(source);
+            });
+            Object.assign(imports, manifest.importMap);
+            var map = document.createElement('script');
+            map.type = 'importmap';
+            map.textContent = JSON.stringify({ imports: imports });
+            document.head.appendChild(map);
+          })();
+        </script>
+
+        <script type="module">
+          const showError = (title, message, color) => {
+            document.body.innerHTML = '<div style="color:' + color + '; padding:20px; font-family: sans-serif;">' +
+              '<h2 style="font-weight:bold; margin-bottom:10px;">' + title + '</h2>' +
+              '<pre style="white-space: pre-wrap;">' + String(message).replace(/</g, '&lt;') + '</pre>' +
+              '</div>';
+          };
+
+          const { type, entry, files, mount, mountTargets, resolutions, assets, runtime, remote, undeclared } = JSON.parse(document.getElementById('hub-manifest').textContent);
+
+          // --- LOAD PACKAGES ---
+          if (!window.HubRuntime) {
+            showError('Runtime Error', 'The hub runtime failed to load.', '#ef4444');
+            throw new Error('HubRuntime missing');
+          }
+          const fail = (message) => {
+            showError('Dependency Error', message, 'orange');
+            throw new Error(message);
+          };
+          if (undeclared.length) {
+            fail("Package '" + undeclared[0] + "' is not listed in this project's dependencies.");
+          }
+
+          const packages = {};
+          runtime.forEach((name) => {
+            if (!HubRuntime.packages[name]) fail("Package '" + name + "' is not available in the hub runtime.");
+            packages[name] = HubRuntime.packages[name];
+          });
+          await Promise.all(remote.map(async (name) => {
+            try {
+              packages[name] = await import(name);
+            } catch (e) {
+              fail("Could not load package '" + name + "': " + e.message);
+            }
+          }));
+
+          const React = packages['react'];
+          const ReactDOM = { ...packages['react-dom'], ...packages['react-dom/client'] };
+          const { createRoot } = ReactDOM;
+          const PRELUDE = ${JSON.stringify(PRELUDE_GLOBALS)};
+          const preludeValues = [React.default || React, ReactDOM, createRoot, React.useState, React.useEffect, React.useRef, React.useMemo, React.useCallback];
+
+          // --- VIRTUAL MODULE RESOLVER ---
+          const cache = {};
+
+          // The prelude lives in an outer scope so user code may redeclare those names.
+          const wrap = (code, path) => new Function(...PRELUDE, 'return function (require, module, exports) {\\n' + code + '\\n};\\n//# sourceURL=' + path);
+
+          // Sucrase keeps lines aligned, so only the wrapper's header lines need subtracting.
+          // Engines differ in how many lines new Function() adds, so measure it once.
+          const measureLineOffset = () => {
+            try {
+              wrap('throw new Error();', '__hub_probe__')(...preludeValues)();
+            } catch (e) {
+              const match = /__hub_probe__:(\\d+)/.exec(e.stack || '');
+              if (match) return Number(match[1]) - 1;
+            }
+            return 0;
+          };
+          window.__hubSource = { files: Object.keys(files), lineOffset: measureLineOffset() };
+
+          const compile = (path, source) => {
+            let code;
+            try {
+              code = HubRuntime.transform(source, path, type);
+            } catch (e) {
+              const match = /\\((\\d+):(\\d+)\\)\\s*$/.exec(e.message);
+              e.hubFrames = [{ file: path, line: match ? Number(match[1]) : 1, column: match ? Number(match[2]) : 0 }];
+              throw e;
+            }
+            return wrap(code, path)(...preludeValues);
+          };
+
+          const load = (path) => {
+            if (cache[path]) return cache[path].exports;
+            const module = { exports: {} };
+            cache[path] = module;
+            const source = files[path];
+
+            if (assets[path] !== undefined) {
+              // An imported asset is its URL, as in Vite.
+              module.exports = { __esModule: true, default: assets[path] };
+            } else if (/\\.css$/i.test(path)) {
+              const style = document.createElement('style');
+              style.dataset.file = path;
+              style.textContent = source;
+              document.head.appendChild(style);
+            } else if (/\\.json$/i.test(path)) {
+              module.exports = JSON.parse(source);
+            } else {
+              let run;
+              try {
+                run = compile(path, source);
+              } catch (e) {
+                if (!e.message.includes(path)) e.message = path + ': ' + e.message;
+                throw e;
+              }
+              run(requireFrom(path), module, module.exports);
+            }
+            return module.exports;
+          };
+
+          const requireFrom = (from) => (spec) => {
+            const resolved = resolutions[from] && resolutions[from][spec];
+            if (resolved) return load(resolved);
+            if (packages[spec]) return { __esModule: true, ...packages[spec] };
+            throw new Error("Cannot resolve module '" + spec + "' from " + from);
+          };
+
+          // --- MOUNT LOGIC ---
+          // Code that calls createRoot() itself may target its own container id.
+          mountTargets.forEach((id) => {
+            if (document.getElementById(id)) return;
+            const container = document.createElement('div');
+            container.id = id;
+            document.body.insertBefore(container, document.getElementById('root'));
+          });
+
+          try {
+            const entryExports = load(entry);
+            if (!mount && type !== 'module') {
+              throw new Error("Could not find a component to render in " + entry + ". Export a default component or call createRoot().render().");
+            }
+
+            if (mount && mount !== 'self') {
+              const exportName = mount.startsWith('global:') ? '__hubEntry' : mount.slice('export:'.length);
+              const ComponentToRender = entryExports[exportName];
+              if (!ComponentToRender) {
+                throw new Error("'" + exportName + "' is not exported from " + entry + ".");
+              }
+              createRoot(document.getElementById('root')).render(React.createElement(ComponentToRender));
+            }
+          } catch (e) {
+            console.error(e);
+            showError('Mounting Error', e.message, 'orange');
+          }
+        </script>
+      </body>
+    </html>
+  `;
+};
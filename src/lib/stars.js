@@ -0,0 +1,16 @@
+// --- Stars ---
+// A signed-in user's favorites: one hub_stars doc per user and project, named <uid>_<projectId>,
+// written together with the project's starCount so the rules can keep the two in step.
+import { query, where, writeBatch, increment, serverTimestamp } from 'firebase/firestore';
+import { db, projectRef, starsCol, starRef } from '../firebase';
+
+export const starredQuery = (uid) => query(starsCol(), where('uid', '==', uid));
+
+export const setStarred = async (projectId, uid, starred) => {
+  const batch = writeBatch(db);
+  const ref = starRef(`${uid}_${projectId}`);
+  if (starred) batch.set(ref, { uid, projectId, createdAt: serverTimestamp() });
+  else batch.delete(ref);
+  batch.update(projectRef(projectId), { starCount: increment(starred ? 1 : -1) });
+  await batch.commit();
+};
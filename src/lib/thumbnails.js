@@ -0,0 +1,114 @@
+// --- Thumbnails ---
+// The image on a project's card. It is captured from the running app: in a hidden sandboxed
+// frame after a save, or from the viewer's frame on request (see the bridge in sandboxBridge.js),
+// and stored next to the project's assets. `project.thumbnail` is { url, source, version, manual }:
+// `version` is the project version it shows. Automatic thumbnails are redone once the project
+// has been saved since; `manual` ones (picked in the viewer) stay until reset.
+import { runTransaction, updateDoc, deleteField } from 'firebase/firestore';
+import { db, projectRef } from '../firebase';
+import { SANDBOX_MESSAGE_SOURCE, THUMBNAIL_SIZE } from './sandboxBridge';
+import { buildSrcDoc } from './srcDoc';
+import { uploadThumbnail } from './projectStorage';
+import { projectVersion } from './projectWrites';
+
+const CAPTURE_TIMEOUT = 20000;
+// How long a project gets to load and render in the hidden frame before it is captured.
+const SETTLE_TIME = 2500;
+
+export const needsThumbnail = (project) =>
+  !project.thumbnail || (!project.thumbnail.manual && project.thumbnail.version !== projectVersion(project));
+
+let nextCaptureId = 0;
+
+// Asks the document in `iframe` to draw itself; resolves with a JPEG blob.
+export const captureFrame = (iframe) => new Promise((resolve, reject) => {
+  const id = ++nextCaptureId;
+  const finish = () => {
+    clearTimeout(timer);
+    window.removeEventListener('message', handleMessage);
+  };
+  const handleMessage = (event) => {
+    const data = event.data;
+    if (event.source !== iframe.contentWindow || data?.source !== SANDBOX_MESSAGE_SOURCE || data.kind !== 'capture-reply' || data.id !== id) return;
+    finish();
+    if (data.error) reject(new Error(`Could not capture the app: ${data.error}`));
+    else resolve(data.blob);
+  };
+  const timer = setTimeout(() => {
+    finish();
+    reject(new Error('The app did not answer the capture request.'));
+  }, CAPTURE_TIMEOUT);
+  window.addEventListener('message', handleMessage);
+  // The sandbox's origin is opaque, so it cannot be named as the target.
+  iframe.contentWindow.postMessage({ source: SANDBOX_MESSAGE_SOURCE, kind: 'capture', id }, '*');
+});
+
+// Runs `project` (content loaded) off screen at a desktop size and captures it. The frame may
+// not show dialogs, so an app calling alert() cannot interrupt the editor.
+const renderThumbnail = async (project) => {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('sandbox', 'allow-scripts');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.tabIndex = -1;
+  iframe.style.cssText = 'position:fixed;left:-10000px;top:0;width:1280px;height:800px;border:0;';
+  const loaded = new Promise(resolve => iframe.addEventListener('load', resolve, { once: true }));
+  iframe.srcdoc = buildSrcDoc(project);
+  document.body.appendChild(iframe);
+  try {
+    await loaded;
+    await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+    return await captureFrame(iframe);
+  } finally {
+    iframe.remove();
+  }
+};
+
+// An image picked by hand, cropped to the card's aspect ratio and scaled down.
+export const imageToThumbnail = async (file) => {
+  if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image.`);
+  const image = await createImageBitmap(file);
+  const { width, height } = THUMBNAIL_SIZE;
+  const scale = Math.max(width / image.width, height / image.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, (width - image.width * scale) / 2, (height - image.height * scale) / 2, image.width * scale, image.height * scale);
+  image.close();
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`${file.name} could not be read.`))), 'image/jpeg', 0.82);
+  });
+};
+
+// Stores `blob` as the project's thumbnail. An automatic one is dropped if the project was
+// saved again meanwhile (a newer capture is on its way) or someone picked one by hand.
+export const saveThumbnail = async (projectId, blob, { version, manual }) => {
+  const stored = await uploadThumbnail(projectId, blob);
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(projectRef(projectId));
+    if (!snap.exists()) return;
+    const current = snap.data();
+    if (!manual && (projectVersion(current) !== version || current.thumbnail?.manual)) return;
+    transaction.update(snap.ref, { thumbnail: { ...stored, version, manual } });
+  });
+};
+
+// Project versions captured (or tried) this session, so a failing app isn't retried on every render.
+const attempted = new Set();
+
+// Back to automatic thumbnails; the next capture replaces this one.
+export const resetThumbnail = async (projectId) => {
+  await updateDoc(projectRef(projectId), { thumbnail: deleteField() });
+  [...attempted].filter(key => key.startsWith(`${projectId}@`)).forEach(key => attempted.delete(key));
+};
+
+// Captures and saves an automatic thumbnail for `project` (content loaded) if it needs one.
+export const refreshThumbnail = async (project) => {
+  const key = `${project.id}@${projectVersion(project)}`;
+  if (!needsThumbnail(project) || attempted.has(key)) return;
+  attempted.add(key);
+  const blob = await renderThumbnail(project);
+  await saveThumbnail(project.id, blob, { version: projectVersion(project), manual: false });
+};
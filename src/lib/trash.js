@@ -0,0 +1,82 @@
+// --- Trash ---
+// Deleting a project only marks it with `deletedAt`: it drops out of every list and link (see
+// visibleQueries and firestore.rules) but keeps its content and history, so whoever may manage
+// it can restore it from the Trash view. Purging removes it for good, by hand or once it has been
+// in the trash longer than the hub's retention period (hub_settings/trash, set by owners).
+import { getDoc, getDocs, writeBatch, query, where, orderBy, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db, projectsCol, projectRef, projectContentRef, revisionsCol, projectActivityCol, commentsCol, trashSettingsRef } from '../firebase';
+import { recordActivity } from './activity';
+
+// retentionDays: 0 keeps trashed projects until someone purges them.
+export const TRASH_DEFAULTS = { retentionDays: 30 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Firestore caps a batch at 500 writes.
+const MAX_BATCH_WRITES = 450;
+
+// Projects saved before the trash existed have no deletedAt at all (see hubUpgrade).
+export const isTrashed = (project) => !!project?.deletedAt;
+
+export const loadTrashSettings = async () => ({ ...TRASH_DEFAULTS, ...(await getDoc(trashSettingsRef())).data() });
+
+// When a trashed project will be purged, or null when it is kept until someone does it by hand
+// (or was only just trashed and has no server time yet).
+export const purgeDate = (project, { retentionDays }) => {
+  const deletedAt = project.deletedAt?.toMillis?.();
+  if (!retentionDays || !deletedAt) return null;
+  return new Date(deletedAt + retentionDays * DAY);
+};
+
+// The trashed projects this member may restore or purge: all of them for owners, their own for editors.
+export const trashQuery = (role, uid) => query(
+  projectsCol(),
+  where('deletedAt', '!=', null),
+  ...(role === 'owner' ? [] : [where('authorId', '==', uid)]),
+  orderBy('deletedAt', 'desc')
+);
+
+export const moveToTrash = async (project, user) => {
+  const batch = writeBatch(db);
+  batch.update(projectRef(project.id), { deletedAt: serverTimestamp(), deletedBy: user.uid });
+  recordActivity(batch, project, 'delete', user);
+  await batch.commit();
+};
+
+export const restoreFromTrash = async (project, user) => {
+  const batch = writeBatch(db);
+  batch.update(projectRef(project.id), { deletedAt: null, deletedBy: null });
+  recordActivity(batch, project, 'restore', user);
+  await batch.commit();
+};
+
+// Deletes the project with its content doc, revisions, activity and comments. Files and assets in Storage
+// stay, as they do when a save stops using them; the hub-wide log keeps a 'purge' event. Users'
+// stars and view markers for it go from their own sessions (see markers.js).
+export const purgeProject = async (project, user, { detail = null } = {}) => {
+  const children = (await Promise.all([revisionsCol(project.id), projectActivityCol(project.id), commentsCol(project.id)].map(col => getDocs(col))))
+    .flatMap(snap => snap.docs.map(d => d.ref));
+  for (let i = 0; i < children.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    children.slice(i, i + MAX_BATCH_WRITES).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+  const batch = writeBatch(db);
+  batch.delete(projectContentRef(project.id));
+  batch.delete(projectRef(project.id));
+  recordActivity(batch, project, 'purge', user, { detail, projectLog: false });
+  await batch.commit();
+};
+
+// Purges what has been in the trash longer than the retention period. Runs in an owner's
+// session, like the hub upgrade, since only owners see every trashed project. Returns how many
+// projects went.
+export const purgeExpiredTrash = async (user) => {
+  const { retentionDays } = await loadTrashSettings();
+  if (!retentionDays) return 0;
+  const cutoff = Timestamp.fromMillis(Date.now() - retentionDays * DAY);
+  const expired = (await getDocs(query(projectsCol(), where('deletedAt', '<', cutoff))))
+    .docs.map(d => ({ id: d.id, ...d.data() }));
+  for (const project of expired) await purgeProject(project, user, { detail: `In the trash for more than ${retentionDays} days` });
+  return expired.length;
+};
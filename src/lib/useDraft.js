@@ -0,0 +1,98 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  draftSyncEnabled, setDraftSync, loadDraft, writeLocalDraft, fitsServerDraft, writeServerDraft, removeDraft
+} from './drafts';
+
+// Local copies are cheap, so they follow typing closely; account copies cost a write each.
+const LOCAL_DELAY = 1000;
+const SERVER_DELAY = 5000;
+
+// Autosaves the project form's `values` (with the `base` they were edited from) as a draft, and
+// offers a draft left over from an earlier session. Nothing is stored while the values still
+// match what the form opened with. `tooLarge` says the last draft was too big to keep in the
+// account, so only this browser has it.
+export const useDraft = (uid, projectId, values, base) => {
+  const [offer, setOffer] = useState(null);
+  const [sync, setSync] = useState(draftSyncEnabled);
+  const [tooLarge, setTooLarge] = useState(false);
+  const initialRef = useRef(JSON.stringify(values));
+  const latestRef = useRef({ values, base });
+  // Whether this session stored a draft, so going back to the opening values can remove it
+  // without touching an older draft that is still on offer.
+  const wroteRef = useRef(false);
+  const doneRef = useRef(false);
+
+  useEffect(() => {
+    latestRef.current = { values, base };
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDraft(uid, projectId, { server: draftSyncEnabled() }).then((draft) => {
+      if (!cancelled && draft && JSON.stringify(draft.values) !== initialRef.current) setOffer(draft);
+    });
+    return () => { cancelled = true; };
+  }, [uid, projectId]);
+
+  useEffect(() => {
+    const store = (write) => {
+      if (doneRef.current) return;
+      if (JSON.stringify(values) === initialRef.current) {
+        if (wroteRef.current) removeDraft(uid, projectId);
+        wroteRef.current = false;
+        return;
+      }
+      wroteRef.current = true;
+      write({ values, base, savedAt: Date.now() });
+    };
+    const local = setTimeout(() => store(draft => writeLocalDraft(uid, projectId, draft)), LOCAL_DELAY);
+    const remote = sync && setTimeout(() => store(draft => {
+      const fits = fitsServerDraft(draft);
+      setTooLarge(!fits);
+      if (!fits) return;
+      writeServerDraft(uid, projectId, draft).catch(error => console.log("Draft Error:", error.message));
+    }), SERVER_DELAY);
+    return () => {
+      clearTimeout(local);
+      clearTimeout(remote);
+    };
+  }, [uid, projectId, values, base, sync]);
+
+  // Keep whatever was typed since the last autosave when the tab closes or the form is left.
+  useEffect(() => {
+    const flush = () => {
+      const latest = latestRef.current;
+      if (doneRef.current || JSON.stringify(latest.values) === initialRef.current) return;
+      writeLocalDraft(uid, projectId, { ...latest, savedAt: Date.now() });
+    };
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [uid, projectId]);
+
+  return {
+    offer,
+    sync,
+    tooLarge,
+    setSync: (enabled) => {
+      setDraftSync(enabled);
+      setSync(enabled);
+    },
+    // The offered draft, for the form to load; autosave takes over from there.
+    takeOffer: () => {
+      setOffer(null);
+      return offer;
+    },
+    dismissOffer: () => {
+      setOffer(null);
+      if (!wroteRef.current) removeDraft(uid, projectId);
+    },
+    // The project was saved: drop the draft and stop autosaving.
+    finish: () => {
+      doneRef.current = true;
+      removeDraft(uid, projectId);
+    },
+  };
+};
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { isContentLoaded, loadProjectContent } from './projectContent';
+
+// `project` with its content loaded (see projectContent): null while loading, and { error } if
+// that failed. While a newer copy of the same project loads, the previous one is kept, so a
+// snapshot that only bumped a counter does not blank the viewer.
+export const useProjectContent = (project) => {
+  const [loaded, setLoaded] = useState({ project: null, result: null });
+  const ready = !project || isContentLoaded(project);
+
+  useEffect(() => {
+    if (ready) return;
+    let cancelled = false;
+    loadProjectContent(project).then(
+      (result) => !cancelled && setLoaded({ project, result }),
+      (error) => !cancelled && setLoaded({ project, result: { error: error.message } })
+    );
+    return () => { cancelled = true; };
+  }, [project, ready]);
+
+  if (ready) return project;
+  return loaded.project === project || loaded.project?.id === project.id ? loaded.result : null;
+};
@@ -0,0 +1,57 @@
+// --- Project List ---
+// Subscribes to project documents (metadata only, see projectContent) a page at a time, in the
+// given sort order and optionally inside one collection; loadMore() adds a page. Each visible
+// slice is limited on its own, so the merged list is cut before the earliest slice end: what
+// is shown is in its final place, and nothing still unloaded sorts before `end`.
+//
+// Returns { projects, setProjects, loading, hasMore, end, loadMore }; setProjects shows a
+// local change (a drag) until the next snapshot.
+import { useState, useEffect, useCallback } from 'react';
+import { where, orderBy, limit } from 'firebase/firestore';
+import { visibleQueries, subscribeSlices, mergeSlices, LIST_ORDERS, compareListOrder } from './projectQueries';
+
+export const PAGE_SIZE = 24;
+
+export const useProjectList = (role, uid, { sort = 'manual', collectionId } = {}) => {
+  const key = JSON.stringify([role, uid, sort, collectionId]);
+  const [pages, setPages] = useState({ key, count: 1 });
+  const count = pages.key === key ? pages.count : 1;
+  const [list, setList] = useState({ key: null, count: 0, projects: [], end: null });
+
+  useEffect(() => {
+    const order = LIST_ORDERS[sort] || LIST_ORDERS.manual;
+    const compare = compareListOrder(order);
+    const size = count * PAGE_SIZE;
+    const queries = visibleQueries(
+      role, uid,
+      ...(collectionId !== undefined ? [where('collectionId', '==', collectionId)] : []),
+      orderBy(order.field, order.direction),
+      limit(size)
+    );
+    return subscribeSlices(queries, (results) => {
+      const ends = results.filter(r => r.length >= size).map(r => r.at(-1)).sort(compare);
+      const end = ends[0] || null;
+      const projects = mergeSlices(results)
+        .filter(p => !end || compare(p, end) < 0)
+        .sort(compare);
+      setList({ key, count, projects, end });
+    }, (error) => {
+      console.log("DB Error:", error.message);
+      setList({ key, count, projects: [], end: null });
+    });
+  }, [key, count, role, uid, sort, collectionId]);
+
+  const current = list.key === key;
+  const loading = !current || list.count !== count;
+  const loadMore = useCallback(() => setPages({ key, count: count + 1 }), [key, count]);
+  const setProjects = useCallback(projects => setList(l => ({ ...l, projects })), []);
+
+  return {
+    projects: current ? list.projects : [],
+    setProjects,
+    loading,
+    hasMore: current && !!list.end,
+    end: current ? list.end : null,
+    loadMore,
+  };
+};
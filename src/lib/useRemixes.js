@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { where } from 'firebase/firestore';
+import { visibleQueries, subscribeSlices, mergeSlices } from './projectQueries';
+
+const millis = (ts) => ts?.toMillis?.() ?? 0;
+
+// Projects remixed from `projectId` (their `forkedFrom.id`) that this visitor can see, oldest first.
+export const useRemixes = (projectId, role, uid) => {
+  const [remixes, setRemixes] = useState({ projectId: null, list: [] });
+
+  useEffect(() => {
+    if (!projectId) return;
+    const queries = visibleQueries(role, uid, where('forkedFrom.id', '==', projectId));
+    return subscribeSlices(queries, (results) => {
+      const list = mergeSlices(results).sort((a, b) => millis(a.createdAt) - millis(b.createdAt));
+      setRemixes({ projectId, list });
+    }, (error) => console.log("Remixes Error:", error.message));
+  }, [projectId, role, uid]);
+
+  return remixes.projectId === projectId ? remixes.list : [];
+};
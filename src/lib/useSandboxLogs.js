@@ -0,0 +1,39 @@
+// --- Sandbox Logs ---
+// Collects the console entries the bridge (see sandboxBridge.js) posts from one iframe.
+// Entries are tagged with the document they came from, so a new render starts clean.
+import { useState, useEffect, useRef } from 'react';
+import { SANDBOX_MESSAGE_SOURCE } from './sandboxBridge';
+
+const MAX_LOG_ENTRIES = 500;
+const LOG_KINDS = ['console', 'error', 'rejection'];
+
+// `docKey` identifies the rendered document; `onError` runs for every error entry.
+export const useSandboxLogs = (iframeRef, docKey, onError) => {
+  const [logs, setLogs] = useState({ doc: null, entries: [] });
+  const onErrorRef = useRef(onError);
+
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  useEffect(() => {
+    let nextId = 0;
+    const handleMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow || event.data?.source !== SANDBOX_MESSAGE_SOURCE) return;
+      if (!LOG_KINDS.includes(event.data.kind)) return;
+      const entry = { ...event.data, id: nextId++ };
+      setLogs(prev => {
+        const base = prev.doc === docKey ? prev.entries : [];
+        return { doc: docKey, entries: [...base, entry].slice(-MAX_LOG_ENTRIES) };
+      });
+      if (entry.level === 'error') onErrorRef.current?.(entry);
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [iframeRef, docKey]);
+
+  return {
+    entries: logs.doc === docKey ? logs.entries : [],
+    clear: () => setLogs({ doc: docKey, entries: [] }),
+  };
+};
@@ -0,0 +1,31 @@
+// --- Sandbox Storage ---
+// Answers the hub.storage requests the bridge (see sandboxBridge.js) posts from one iframe,
+// using a store from createAppStorage.
+import { useEffect } from 'react';
+import { SANDBOX_MESSAGE_SOURCE } from './sandboxBridge';
+
+export const useSandboxStorage = (iframeRef, store) => {
+  useEffect(() => {
+    const handleMessage = async (event) => {
+      const data = event.data;
+      if (event.source !== iframeRef.current?.contentWindow || data?.source !== SANDBOX_MESSAGE_SOURCE || data.kind !== 'storage') return;
+      const reply = { source: SANDBOX_MESSAGE_SOURCE, kind: 'storage-reply', id: data.id };
+      try {
+        reply.value = await store.run(data.op, data.key, data.value);
+      } catch (error) {
+        reply.error = error.message;
+      }
+      // The sandbox's origin is opaque, so it cannot be named as the target.
+      event.source.postMessage(reply, '*');
+    };
+    // Writes still waiting to be batched are saved when the app is closed.
+    const flush = () => store.flush().catch(error => console.log("App Data Error:", error.message));
+    window.addEventListener('message', handleMessage);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('message', handleMessage);
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [iframeRef, store]);
+};
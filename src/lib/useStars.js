@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { onSnapshot } from 'firebase/firestore';
+import { starredQuery } from './stars';
+
+const NONE = new Set();
+
+// The IDs of the projects `uid` has starred; empty for guests and until they load.
+export const useStars = (uid) => {
+  const [stars, setStars] = useState({ uid: null, ids: NONE });
+
+  useEffect(() => {
+    if (!uid) return;
+    return onSnapshot(starredQuery(uid), (snap) => {
+      setStars({ uid, ids: new Set(snap.docs.map(d => d.data().projectId)) });
+    }, (error) => console.log("Stars Error:", error.message));
+  }, [uid]);
+
+  return stars.uid === uid ? stars.ids : NONE;
+};
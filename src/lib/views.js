@@ -0,0 +1,29 @@
+// --- Views ---
+// Counts an opened project once per signed-in user for the "Most viewed" sort. A user's first
+// view leaves a hub_views marker <uid>_<projectId> in the same batch, which the rules require,
+// so their later visits don't count again. Guests aren't counted, since nothing would stop one
+// from counting again and again. The viewer and embeds (see embed.js) share the count.
+import { getDoc, query, where, writeBatch, increment, serverTimestamp } from 'firebase/firestore';
+import { db, projectRef, viewsCol, viewRef } from '../firebase';
+
+export const viewedQuery = (uid) => query(viewsCol(), where('uid', '==', uid));
+
+const countView = async (projectId, uid) => {
+  const marker = viewRef(`${uid}_${projectId}`);
+  if ((await getDoc(marker)).exists()) return;
+  const batch = writeBatch(db);
+  batch.set(marker, { uid, projectId, viewedAt: serverTimestamp() });
+  batch.update(projectRef(projectId), { viewCount: increment(1) });
+  await batch.commit();
+};
+
+// The session key only saves looking the marker up again on every visit, so it is set once the
+// view is known to be counted; a failed attempt is retried next time the project opens.
+export const recordView = (projectId, uid = null) => {
+  if (!uid) return;
+  const key = `hub:viewed:${uid}:${projectId}`;
+  if (sessionStorage.getItem(key)) return;
+  countView(projectId, uid)
+    .then(() => sessionStorage.setItem(key, '1'))
+    .catch(error => console.log("View Count Error:", error.message));
+};
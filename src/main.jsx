@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import EmbedPlayer from './components/EmbedPlayer.jsx'
+import { isEmbedHash } from './lib/embed'
+
+// Embeds get a page of their own, so an iframe never loads the hub's list.
+const Page = isEmbedHash(window.location.hash) ? EmbedPlayer : App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Page />
   </StrictMode>,
 )
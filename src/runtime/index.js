@@ -0,0 +1,47 @@
+// --- Sandbox Runtime ---
+// Bundled by the `hubRuntime` Vite plugin into a single classic script that the
+// viewer iframe loads from the hub itself, so hosted apps need no CDN access.
+// Everything exported here ends up on `window.HubRuntime` inside the sandbox.
+import * as React from 'react';
+import * as ReactJsxRuntime from 'react/jsx-runtime';
+import * as ReactDOM from 'react-dom';
+import * as ReactDOMClient from 'react-dom/client';
+import * as LucideReact from 'lucide-react';
+import { transform as sucraseTransform } from 'sucrase';
+import { toCanvas } from 'html-to-image';
+import tailwindSource from '@tailwindcss/browser?raw';
+
+// Tailwind's browser build scans the document and injects utilities on the fly. HTML and
+// Markdown pages load the runtime only to be drawn (see sandboxBridge.js) and set
+// `__hubNoTailwind` first, so their own styles are left as they are.
+if (!window.__hubNoTailwind) new Function(tailwindSource)();
+
+export const packages = {
+  'react': React,
+  'react/jsx-runtime': ReactJsxRuntime,
+  'react-dom': ReactDOM,
+  'react-dom/client': ReactDOMClient,
+  'lucide-react': LucideReact,
+};
+
+export const versions = {
+  react: React.version,
+};
+
+// Draws `node` onto a canvas for the project's thumbnail (see sandboxBridge.js).
+export const capture = (node, options) => toCanvas(node, options);
+
+// Strips JSX/TypeScript and rewrites ES imports to CommonJS `require` calls.
+// Sucrase keeps output lines aligned with the input, which keeps error line numbers meaningful.
+// `type` is the project's type: TSX projects may have TypeScript in any script file, and plain
+// JS modules only get JSX support in .jsx/.tsx files.
+export const transform = (source, path, type = 'jsx') => {
+  const transforms = ['imports'];
+  if (type !== 'module' || /\.[jt]sx$/.test(path)) transforms.unshift('jsx');
+  if (type === 'tsx' || /\.tsx?$/.test(path)) transforms.unshift('typescript');
+  return sucraseTransform(source, {
+    filePath: path,
+    transforms,
+    production: true,
+  }).code;
+};
@@ -0,0 +1,318 @@
+// --- Firestore Rules Tests ---
+// Who may read and write projects, members, revisions and the view, star and comment counters
+// under firestore.rules.
+import { describe, test, before, beforeEach, after } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  collection, getDoc, getDocs, setDoc, updateDoc, deleteDoc, writeBatch, query, where, increment, serverTimestamp
+} from 'firebase/firestore';
+import { APP_ID, MEMBERS, hubDoc, startHub, seedHub, project, as } from './hub.js';
+
+let env;
+
+before(async () => {
+  env = await startHub(['firestore']);
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await seedHub(env);
+});
+
+after(() => env.cleanup());
+
+const db = (who) => as(env, who).firestore();
+
+describe('projects', () => {
+  test('everyone can open a public project', async () => {
+    for (const who of [null, 'viewer', 'editor', 'otherEditor', 'owner']) {
+      await assertSucceeds(getDoc(hubDoc(db(who), 'hub_projects/public')));
+    }
+  });
+
+  test('guests may only list public, untrashed projects', async () => {
+    const projects = collection(db(null), `artifacts/${APP_ID}/public/data/hub_projects`);
+    await assertSucceeds(getDocs(query(projects, where('visibility', '==', 'public'), where('deletedAt', '==', null))));
+    await assertFails(getDocs(projects));
+  });
+
+  test('editors create projects as themselves; viewers and guests cannot', async () => {
+    await assertSucceeds(setDoc(hubDoc(db('editor'), 'hub_projects/new'), project()));
+    await assertFails(setDoc(hubDoc(db('editor'), 'hub_projects/forged'), project({ authorId: MEMBERS.otherEditor })));
+    await assertFails(setDoc(hubDoc(db('viewer'), 'hub_projects/viewer'), project({ authorId: MEMBERS.viewer })));
+    await assertFails(setDoc(hubDoc(db(null), 'hub_projects/guest'), project({ authorId: 'guest' })));
+  });
+
+  test('the author and owners edit a project; other members and guests cannot', async () => {
+    await assertSucceeds(updateDoc(hubDoc(db('editor'), 'hub_projects/public'), { title: 'By the author' }));
+    await assertSucceeds(updateDoc(hubDoc(db('owner'), 'hub_projects/public'), { title: 'By an owner' }));
+    for (const who of [null, 'viewer', 'otherEditor']) {
+      await assertFails(updateDoc(hubDoc(db(who), 'hub_projects/public'), { title: 'Not theirs' }));
+    }
+  });
+
+  test('shared editors change the content but not who has access', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { editors: [MEMBERS.otherEditor] })
+    );
+    const shared = hubDoc(db('otherEditor'), 'hub_projects/public');
+    await assertSucceeds(updateDoc(shared, { title: 'Shared edit' }));
+    await assertFails(updateDoc(shared, { visibility: 'private' }));
+    await assertFails(updateDoc(shared, { editors: [] }));
+    await assertFails(updateDoc(shared, { authorId: MEMBERS.otherEditor }));
+  });
+
+  test('new projects start uncounted, visible and out of the trash', async () => {
+    const create = (fields) => setDoc(hubDoc(db('editor'), 'hub_projects/new'), project(fields));
+    await assertSucceeds(create({ viewCount: 0, starCount: 0, commentCount: 0 }));
+    await assertFails(create({ viewCount: 100 }));
+    await assertFails(create({ starCount: 5 }));
+    await assertFails(create({ commentCount: 5, lastCommentId: 'made-up' }));
+    await assertFails(create({ visibility: 'secret' }));
+    await assertFails(create({ deletedAt: serverTimestamp() }));
+  });
+
+  test('a save cannot set the counters', async () => {
+    for (const who of ['editor', 'owner']) {
+      const ref = hubDoc(db(who), 'hub_projects/public');
+      await assertFails(updateDoc(ref, { title: 'Saved', viewCount: 1000 }));
+      await assertFails(updateDoc(ref, { title: 'Saved', starCount: 1000 }));
+      await assertFails(updateDoc(ref, { title: 'Saved', commentCount: 1000, lastCommentId: 'made-up' }));
+    }
+    await assertSucceeds(updateDoc(hubDoc(db('owner'), 'hub_projects/public'), { viewCount: 0, starCount: 0, commentCount: 0 }));
+  });
+
+  test('nobody may change the author', async () => {
+    await assertFails(updateDoc(hubDoc(db('owner'), 'hub_projects/public'), { authorId: MEMBERS.owner }));
+  });
+
+  test('only a project in the trash can be deleted, by whoever may manage it', async () => {
+    await assertFails(deleteDoc(hubDoc(db('editor'), 'hub_projects/public')));
+    await assertSucceeds(updateDoc(hubDoc(db('editor'), 'hub_projects/public'), { deletedAt: serverTimestamp(), deletedBy: MEMBERS.editor }));
+    await assertFails(deleteDoc(hubDoc(db('otherEditor'), 'hub_projects/public')));
+    await assertSucceeds(deleteDoc(hubDoc(db('editor'), 'hub_projects/public')));
+  });
+
+  test('a trashed project is hidden from everyone who may not restore it', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { deletedAt: serverTimestamp() })
+    );
+    for (const who of [null, 'viewer', 'otherEditor']) {
+      await assertFails(getDoc(hubDoc(db(who), 'hub_projects/public')));
+    }
+    await assertSucceeds(getDoc(hubDoc(db('editor'), 'hub_projects/public')));
+    await assertSucceeds(getDoc(hubDoc(db('owner'), 'hub_projects/public')));
+  });
+});
+
+describe('private projects', () => {
+  test('only the author, shared editors and owners can open one', async () => {
+    await assertSucceeds(getDoc(hubDoc(db('editor'), 'hub_projects/private')));
+    await assertSucceeds(getDoc(hubDoc(db('owner'), 'hub_projects/private')));
+    for (const who of [null, 'viewer', 'otherEditor']) {
+      await assertFails(getDoc(hubDoc(db(who), 'hub_projects/private')));
+    }
+  });
+
+  test('their content and revisions are hidden the same way', async () => {
+    for (const path of ['content/current', 'revisions/first']) {
+      await assertSucceeds(getDoc(hubDoc(db('editor'), `hub_projects/private/${path}`)));
+      await assertSucceeds(getDoc(hubDoc(db('owner'), `hub_projects/private/${path}`)));
+      for (const who of [null, 'viewer', 'otherEditor']) {
+        await assertFails(getDoc(hubDoc(db(who), `hub_projects/private/${path}`)));
+      }
+    }
+  });
+
+  test('members may list them only with a query limited to their own', async () => {
+    const projects = collection(db('otherEditor'), `artifacts/${APP_ID}/public/data/hub_projects`);
+    await assertFails(getDocs(query(projects, where('visibility', '==', 'private'))));
+    await assertSucceeds(getDocs(query(projects, where('visibility', '==', 'private'), where('authorId', '==', MEMBERS.otherEditor))));
+  });
+});
+
+describe('revisions', () => {
+  // Each context is its own app, so a batch takes all its refs from one client.
+  const saveWithRevision = (who) => {
+    const client = db(who);
+    const batch = writeBatch(client);
+    batch.update(hubDoc(client, 'hub_projects/public'), { title: 'Saved', revisionCount: increment(1) });
+    batch.set(hubDoc(client, 'hub_projects/public/revisions/second'), { title: 'Saved', authorId: MEMBERS[who] });
+    return batch.commit();
+  };
+
+  test('anyone who can open a public project reads its history', async () => {
+    for (const who of [null, 'viewer', 'otherEditor']) {
+      await assertSucceeds(getDoc(hubDoc(db(who), 'hub_projects/public/revisions/first')));
+    }
+  });
+
+  test('are recorded with a save by someone who may edit the project', async () => {
+    await assertSucceeds(saveWithRevision('editor'));
+    await assertFails(saveWithRevision('otherEditor'));
+    await assertFails(saveWithRevision('viewer'));
+  });
+
+  test('name their author', async () => {
+    await assertFails(setDoc(hubDoc(db('editor'), 'hub_projects/public/revisions/forged'), { title: 'Project', authorId: MEMBERS.owner }));
+  });
+
+  test('a baseline comes first, under the project\'s own author', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { editors: [MEMBERS.otherEditor] })
+    );
+    const saveWithBaseline = (authorId) => {
+      const client = db('otherEditor');
+      const batch = writeBatch(client);
+      batch.update(hubDoc(client, 'hub_projects/public'), { title: 'Saved', revisionCount: increment(2) });
+      batch.set(hubDoc(client, 'hub_projects/public/revisions/baseline'), { title: 'Project', authorId, baseline: true });
+      batch.set(hubDoc(client, 'hub_projects/public/revisions/second'), { title: 'Saved', authorId: MEMBERS.otherEditor });
+      return batch.commit();
+    };
+    await assertFails(saveWithBaseline(MEMBERS.owner));
+    await assertSucceeds(saveWithBaseline(MEMBERS.editor));
+    await assertFails(setDoc(
+      hubDoc(db('otherEditor'), 'hub_projects/public/revisions/late'),
+      { title: 'Project', authorId: MEMBERS.editor, baseline: true }
+    ));
+  });
+
+  test('are never changed, and removed only by whoever may manage the project', async () => {
+    await assertFails(updateDoc(hubDoc(db('owner'), 'hub_projects/public/revisions/first'), { title: 'Rewritten' }));
+    await assertFails(deleteDoc(hubDoc(db('otherEditor'), 'hub_projects/public/revisions/first')));
+    await assertSucceeds(deleteDoc(hubDoc(db('editor'), 'hub_projects/public/revisions/first')));
+  });
+});
+
+describe('content', () => {
+  const save = (who, fields = {}) => {
+    const client = db(who);
+    const batch = writeBatch(client);
+    batch.update(hubDoc(client, 'hub_projects/public'), { title: 'Saved', ...fields });
+    batch.set(hubDoc(client, 'hub_projects/public/content/current'), { files: [{ path: 'App.jsx', content: 'export default () => 1;' }] });
+    return batch.commit();
+  };
+
+  beforeEach(() => env.withSecurityRulesDisabled(context =>
+    updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { editors: [MEMBERS.otherEditor], revisionCount: 1 })
+  ));
+
+  test('changes only with a new version of the project', async () => {
+    await assertFails(setDoc(hubDoc(db('editor'), 'hub_projects/public/content/current'), { files: [] }));
+    await assertFails(save('otherEditor'));
+    await assertSucceeds(save('otherEditor', { revisionCount: increment(1) }));
+  });
+
+  test('of a trashed project is left to whoever may manage it', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { deletedAt: serverTimestamp() })
+    );
+    await assertFails(save('otherEditor', { revisionCount: increment(1) }));
+    await assertSucceeds(save('editor', { revisionCount: increment(1) }));
+  });
+});
+
+describe('members', () => {
+  test('members read the team; signed-in strangers only their own doc; guests nothing', async () => {
+    await assertSucceeds(getDoc(hubDoc(db('viewer'), `hub_members/${MEMBERS.owner}`)));
+    const stranger = env.authenticatedContext('stranger', { email: 'stranger@example.com', email_verified: true }).firestore();
+    await assertSucceeds(getDoc(hubDoc(stranger, 'hub_members/stranger')));
+    await assertFails(getDoc(hubDoc(stranger, `hub_members/${MEMBERS.owner}`)));
+    await assertFails(getDoc(hubDoc(db(null), `hub_members/${MEMBERS.owner}`)));
+  });
+
+  test('joining takes an invite, with the role it grants', async () => {
+    const stranger = env.authenticatedContext('stranger', { email: 'stranger@example.com', email_verified: true }).firestore();
+    const membership = hubDoc(stranger, 'hub_members/stranger');
+    await assertFails(setDoc(membership, { email: 'stranger@example.com', role: 'viewer' }));
+    await assertSucceeds(setDoc(hubDoc(db('owner'), 'hub_invites/stranger@example.com'), { email: 'stranger@example.com', role: 'viewer' }));
+    await assertFails(setDoc(membership, { email: 'stranger@example.com', role: 'owner' }));
+    await assertSucceeds(setDoc(membership, { email: 'stranger@example.com', role: 'viewer' }));
+  });
+
+  test('only owners invite members or change their roles, and never their own', async () => {
+    await assertFails(setDoc(hubDoc(db('editor'), 'hub_invites/someone@example.com'), { email: 'someone@example.com', role: 'editor' }));
+    await assertFails(updateDoc(hubDoc(db('editor'), `hub_members/${MEMBERS.viewer}`), { role: 'editor' }));
+    await assertFails(updateDoc(hubDoc(db('viewer'), `hub_members/${MEMBERS.viewer}`), { role: 'owner' }));
+    await assertSucceeds(updateDoc(hubDoc(db('owner'), `hub_members/${MEMBERS.viewer}`), { role: 'editor' }));
+    await assertFails(updateDoc(hubDoc(db('owner'), `hub_members/${MEMBERS.owner}`), { role: 'viewer' }));
+  });
+
+  test('only owners remove members, and not themselves', async () => {
+    await assertFails(deleteDoc(hubDoc(db('editor'), `hub_members/${MEMBERS.viewer}`)));
+    await assertFails(deleteDoc(hubDoc(db('owner'), `hub_members/${MEMBERS.owner}`)));
+    await assertSucceeds(deleteDoc(hubDoc(db('owner'), `hub_members/${MEMBERS.viewer}`)));
+  });
+});
+
+describe('counters', () => {
+  // Runs `writes(batch, ref)` as one batch from `who`, where `ref(path)` is a hub document.
+  const commit = (who, writes) => {
+    const client = db(who);
+    const batch = writeBatch(client);
+    writes(batch, path => hubDoc(client, path));
+    return batch.commit();
+  };
+
+  const view = (who) => commit(who, (batch, ref) => {
+    batch.set(ref(`hub_views/${MEMBERS[who]}_public`), { uid: MEMBERS[who], projectId: 'public', viewedAt: serverTimestamp() });
+    batch.update(ref('hub_projects/public'), { viewCount: increment(1) });
+  });
+
+  test('a signed-in visitor\'s view counts once; guests\' not at all', async () => {
+    await assertSucceeds(view('viewer'));
+    await assertFails(view('viewer'));
+    await assertFails(updateDoc(hubDoc(db('viewer'), 'hub_projects/public'), { viewCount: increment(1) }));
+    await assertFails(updateDoc(hubDoc(db(null), 'hub_projects/public'), { viewCount: increment(1) }));
+  });
+
+  test('a star moves starCount only together with the visitor\'s marker', async () => {
+    await assertFails(updateDoc(hubDoc(db('viewer'), 'hub_projects/public'), { starCount: increment(1) }));
+    await assertSucceeds(commit('viewer', (batch, ref) => {
+      batch.set(ref(`hub_stars/${MEMBERS.viewer}_public`), { uid: MEMBERS.viewer, projectId: 'public', createdAt: serverTimestamp() });
+      batch.update(ref('hub_projects/public'), { starCount: increment(1) });
+    }));
+    // Unstarring must remove the marker in the same batch.
+    await assertFails(updateDoc(hubDoc(db('viewer'), 'hub_projects/public'), { starCount: increment(-1) }));
+    await assertSucceeds(commit('viewer', (batch, ref) => {
+      batch.delete(ref(`hub_stars/${MEMBERS.viewer}_public`));
+      batch.update(ref('hub_projects/public'), { starCount: increment(-1) });
+    }));
+  });
+
+  const comment = (text) => ({ text, parentId: null, authorId: MEMBERS.viewer, authorName: 'Viewer', createdAt: serverTimestamp() });
+
+  test('commentCount moves by one with the comment it names', async () => {
+    await assertFails(updateDoc(hubDoc(db('viewer'), 'hub_projects/public'), { commentCount: increment(1), lastCommentId: 'none' }));
+    await assertSucceeds(commit('viewer', (batch, ref) => {
+      batch.set(ref('hub_projects/public/comments/first'), comment('Nice'));
+      batch.update(ref('hub_projects/public'), { commentCount: increment(1), lastCommentId: 'first' });
+    }));
+    // One comment cannot stand for two.
+    await assertFails(commit('viewer', (batch, ref) => {
+      batch.set(ref('hub_projects/public/comments/second'), comment('Again'));
+      batch.update(ref('hub_projects/public'), { commentCount: increment(2), lastCommentId: 'second' });
+    }));
+    await assertSucceeds(commit('viewer', (batch, ref) => {
+      batch.delete(ref('hub_projects/public/comments/first'));
+      batch.update(ref('hub_projects/public'), { commentCount: increment(-1), lastCommentId: 'first' });
+    }));
+  });
+
+  test('a comment that is already deleted cannot take commentCount down again', async () => {
+    await env.withSecurityRulesDisabled(context => Promise.all([
+      setDoc(hubDoc(context.firestore(), 'hub_projects/public/comments/blanked'), { ...comment(''), deleted: true }),
+      setDoc(hubDoc(context.firestore(), 'hub_projects/public/comments/reply'), { ...comment('Reply'), parentId: 'blanked' }),
+      updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { commentCount: 1, lastCommentId: 'reply' }),
+    ]));
+    await assertFails(updateDoc(hubDoc(db('viewer'), 'hub_projects/public'), { commentCount: increment(-1), lastCommentId: 'blanked' }));
+    await assertFails(commit('viewer', (batch, ref) => {
+      batch.delete(ref('hub_projects/public/comments/blanked'));
+      batch.update(ref('hub_projects/public'), { commentCount: increment(-1), lastCommentId: 'blanked' });
+    }));
+    await assertFails(commit('viewer', (batch, ref) => {
+      batch.update(ref('hub_projects/public/comments/blanked'), { text: '', deleted: true });
+      batch.update(ref('hub_projects/public'), { commentCount: increment(-1), lastCommentId: 'blanked' });
+    }));
+  });
+});
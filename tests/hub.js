@@ -0,0 +1,51 @@
+// --- Rules Test Fixtures ---
+// A small hub for the Firestore and Storage rules tests: one member of each role, an editor
+// with nothing of theirs, and a public and a private project by `editor`. Run the tests with
+// `npm run test:rules`, which starts the emulators around them.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
+
+export const PROJECT_ID = 'demo-gemini-hub';
+export const APP_ID = 'gemini-project-hub';
+
+export const MEMBERS = {
+  owner: 'owner',
+  editor: 'editor',
+  otherEditor: 'other-editor',
+  viewer: 'viewer',
+};
+
+export const hubDoc = (db, path) => doc(db, `artifacts/${APP_ID}/public/data/${path}`);
+
+export const startHub = (services) => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  ...Object.fromEntries(services.map(name => [name, { rules: readFileSync(`${name}.rules`, 'utf8') }])),
+});
+
+export const project = (fields = {}) => ({
+  title: 'Project',
+  authorId: MEMBERS.editor,
+  editors: [],
+  visibility: 'public',
+  deletedAt: null,
+  createdAt: serverTimestamp(),
+  ...fields,
+});
+
+export const seedHub = (env) => env.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(MEMBERS).map(([role, uid]) =>
+    setDoc(hubDoc(db, `hub_members/${uid}`), { email: `${uid}@example.com`, role: role === 'otherEditor' ? 'editor' : role })
+  ));
+  for (const [id, fields] of [['public', {}], ['private', { visibility: 'private' }]]) {
+    await setDoc(hubDoc(db, `hub_projects/${id}`), project(fields));
+    await setDoc(hubDoc(db, `hub_projects/${id}/content/current`), { files: [{ path: 'App.jsx', content: 'export default () => null;' }] });
+    await setDoc(hubDoc(db, `hub_projects/${id}/revisions/first`), { title: 'Project', authorId: MEMBERS.editor });
+  }
+});
+
+// Who is asking: a member by role name, or a guest for null.
+export const as = (env, who) => (who
+  ? env.authenticatedContext(MEMBERS[who], { email: `${MEMBERS[who]}@example.com`, email_verified: true })
+  : env.unauthenticatedContext());
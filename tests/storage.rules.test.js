@@ -0,0 +1,96 @@
+// --- Storage Rules Tests ---
+// Uploads and downloads under storage.rules, which look the project up in Firestore.
+import { describe, test, before, beforeEach, after } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { updateDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes } from 'firebase/storage';
+import { APP_ID, MEMBERS, hubDoc, startHub, seedHub, as } from './hub.js';
+
+const MB = 1024 * 1024;
+
+const objectPath = (projectId, rest) => `artifacts/${APP_ID}/projects/${projectId}/${rest}`;
+
+let env;
+
+before(async () => {
+  env = await startHub(['firestore', 'storage']);
+});
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.clearStorage();
+  await seedHub(env);
+  await env.withSecurityRulesDisabled(async (context) => {
+    const storage = context.storage();
+    for (const projectId of ['public', 'private']) {
+      await uploadBytes(ref(storage, objectPath(projectId, 'sources/abc')), new Uint8Array(16));
+    }
+  });
+});
+
+after(() => env.cleanup());
+
+const upload = (who, projectId, rest, size, metadata = {}) =>
+  uploadBytes(ref(as(env, who).storage(), objectPath(projectId, rest)), new Uint8Array(size), metadata);
+
+const download = (who, projectId) => getBytes(ref(as(env, who).storage(), objectPath(projectId, 'sources/abc')));
+
+describe('writes', () => {
+  test('the author, shared editors and owners upload to a project', async () => {
+    await env.withSecurityRulesDisabled(context =>
+      updateDoc(hubDoc(context.firestore(), 'hub_projects/public'), { editors: [MEMBERS.otherEditor] })
+    );
+    for (const who of ['editor', 'otherEditor', 'owner']) {
+      await assertSucceeds(upload(who, 'public', `sources/by-${who}`, 1024));
+    }
+  });
+
+  test('other members and guests cannot', async () => {
+    for (const who of [null, 'viewer', 'otherEditor']) {
+      await assertFails(upload(who, 'public', 'sources/not-theirs', 1024));
+    }
+  });
+
+  test('editors may upload for a project that does not exist yet; viewers may not', async () => {
+    await assertSucceeds(upload('otherEditor', 'new', 'sources/first', 1024));
+    await assertFails(upload('viewer', 'new', 'sources/first', 1024));
+  });
+
+  test('stored objects are never overwritten or deleted', async () => {
+    await assertFails(upload('editor', 'public', 'sources/abc', 16));
+  });
+});
+
+describe('size caps', () => {
+  test('sources up to 1 MB', async () => {
+    await assertSucceeds(upload('editor', 'public', 'sources/at-cap', MB));
+    await assertFails(upload('editor', 'public', 'sources/over-cap', MB + 1));
+  });
+
+  test('assets up to 10 MB', async () => {
+    await assertSucceeds(upload('editor', 'public', 'assets/at-cap/song.mp3', 10 * MB));
+    await assertFails(upload('editor', 'public', 'assets/over-cap/song.mp3', 10 * MB + 1));
+  });
+
+  test('thumbnails up to 1 MB, and only JPEGs', async () => {
+    await assertSucceeds(upload('editor', 'public', 'thumbnails/at-cap.jpg', MB, { contentType: 'image/jpeg' }));
+    await assertFails(upload('editor', 'public', 'thumbnails/over-cap.jpg', MB + 1, { contentType: 'image/jpeg' }));
+    await assertFails(upload('editor', 'public', 'thumbnails/picture.png', 1024, { contentType: 'image/png' }));
+  });
+});
+
+describe('reads', () => {
+  test('anyone can download a public project\'s files', async () => {
+    for (const who of [null, 'viewer', 'otherEditor', 'editor']) {
+      await assertSucceeds(download(who, 'public'));
+    }
+  });
+
+  test('a private project\'s files are for those who may edit it', async () => {
+    await assertSucceeds(download('editor', 'private'));
+    await assertSucceeds(download('owner', 'private'));
+    for (const who of [null, 'viewer', 'otherEditor']) {
+      await assertFails(download(who, 'private'));
+    }
+  });
+});